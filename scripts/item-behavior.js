@@ -0,0 +1,458 @@
+// Checks what happens to items end to end: through the schema migrations, repository,
+// store and history into IndexedDB (fake-indexeddb in Node), with localStorage an
+// in-memory Storage.
+// Usage: npm run test:items
+// Exits with code 1 when a check fails.
+import 'fake-indexeddb/auto';
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import { subDays } from 'date-fns';
+import { STORAGE_KEYS } from '../src/utils/storage.js';
+import { getStorageBackend } from '../src/utils/storageBackends.js';
+import { runStorageMigrations, getMigrationBackup, MIGRATIONS, SCHEMA_VERSION } from '../src/utils/storageMigrations.js';
+import { itemRepository, ItemConflictError, getPurgeDate } from '../src/utils/itemRepository.js';
+import { createItemStore } from '../src/utils/itemStore.js';
+import { startItemSync } from '../src/utils/itemSync.js';
+import { getActor, describeActor, getEditedFields } from '../src/utils/itemEvents.js';
+import { createItemHistory } from '../src/utils/itemHistory.js';
+import { exportData, importData, clearAllData } from '../src/utils/dataBackup.js';
+
+// The parts of the Web Storage API the app uses
+class MemoryStorage {
+  constructor() {
+    this.values = new Map();
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.values.delete(key);
+  }
+
+  clear() {
+    this.values.clear();
+  }
+}
+
+globalThis.localStorage = new MemoryStorage();
+
+// Every check starts from nothing stored
+const reset = async () => {
+  const backend = await getStorageBackend();
+  await Promise.all([
+    backend.items.clear(),
+    backend.events.clear(),
+    backend.settings.clear(),
+    backend.notifications.clear(),
+    backend.schema.setVersion(SCHEMA_VERSION)
+  ]);
+  localStorage.clear();
+};
+
+// Lets the clock move on, so the next save has a later updatedAt
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// Resolves once `store` holds what `condition` looks for, or rejects after a second
+const waitFor = (store, condition) => new Promise((resolve, reject) => {
+  if (condition(store.getState())) {
+    resolve();
+    return;
+  }
+  const timer = setTimeout(() => {
+    unsubscribe();
+    reject(new Error('Timed out waiting for the other tab'));
+  }, 1000);
+  const unsubscribe = store.subscribe(() => {
+    if (!condition(store.getState())) return;
+    clearTimeout(timer);
+    unsubscribe();
+    resolve();
+  });
+});
+
+const names = (items) => items.map(item => item.name).sort();
+
+// Items stored by the first versions of the app, under both keys
+const storeVersionZero = () => {
+  localStorage.setItem(STORAGE_KEYS.ITEMS, JSON.stringify([{ id: 1, name: 'Milk', quantity: 1, isExpired: false }]));
+  localStorage.setItem(STORAGE_KEYS.LEGACY_ITEMS, JSON.stringify([{ id: 2, name: 'Bread' }]));
+  localStorage.setItem(STORAGE_KEYS.NOTIFICATIONS, JSON.stringify([{ message: 'Milk expires soon' }]));
+};
+
+const storedRaw = () => Object.fromEntries(
+  [STORAGE_KEYS.ITEMS, STORAGE_KEYS.LEGACY_ITEMS, STORAGE_KEYS.NOTIFICATIONS, STORAGE_KEYS.SCHEMA_VERSION]
+    .map(key => [key, localStorage.getItem(key)])
+);
+
+const CHECKS = {
+  'migrates version 0 data and keeps a backup of it': async () => {
+    storeVersionZero();
+    const before = storedRaw();
+    const result = await runStorageMigrations();
+    assert.equal(result.ok, true, result.error);
+    assert.deepEqual(result.applied, [1, 2, 3]);
+    assert.equal(localStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION), String(SCHEMA_VERSION));
+    const items = await itemRepository.getAll();
+    assert.deepEqual(items.map(item => [item.id, item.quantity]), [['1', '1'], ['2', '']]);
+    assert.equal(localStorage.getItem(STORAGE_KEYS.ITEMS), null);
+    assert.equal(localStorage.getItem(STORAGE_KEYS.LEGACY_ITEMS), null);
+    assert.deepEqual(getMigrationBackup().data[STORAGE_KEYS.ITEMS], before[STORAGE_KEYS.ITEMS]);
+  },
+
+  'leaves the data alone when a migration step fails': async () => {
+    storeVersionZero();
+    localStorage.setItem(STORAGE_KEYS.LEGACY_ITEMS, JSON.stringify({ name: 'Bread' }));
+    const before = storedRaw();
+    const result = await runStorageMigrations();
+    assert.equal(result.ok, false);
+    assert.match(result.error, /version 1/);
+    assert.deepEqual(storedRaw(), before);
+    assert.equal(getMigrationBackup(), null);
+    assert.deepEqual(await (await getStorageBackend()).items.getAll(), []);
+  },
+
+  'rolls back a migration whose write fails part way': async () => {
+    storeVersionZero();
+    const before = storedRaw();
+    // Storage that fills up once the items are written
+    const setItem = localStorage.setItem;
+    let full = true;
+    localStorage.setItem = function (key, value) {
+      if (full && key === STORAGE_KEYS.NOTIFICATIONS) {
+        full = false;
+        throw new Error('Storage is full');
+      }
+      return setItem.call(this, key, value);
+    };
+    try {
+      const result = await runStorageMigrations();
+      assert.equal(result.ok, false);
+      assert.equal(result.error, 'Storage is full');
+    } finally {
+      localStorage.setItem = setItem;
+    }
+    assert.deepEqual(storedRaw(), before);
+  },
+
+  'migrates data already in IndexedDB from the version stamped in it': async () => {
+    const backend = await getStorageBackend();
+    await backend.items.put([{ id: 'a', name: 'Milk', amount: 2 }]);
+    await backend.schema.setVersion(SCHEMA_VERSION);
+    localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(SCHEMA_VERSION));
+    const nextVersion = {
+      version: SCHEMA_VERSION + 1,
+      description: 'Amounts as quantities',
+      migrate: (state) => ({
+        ...state,
+        items: state.items && state.items.map(({ amount, ...item }) => ({ ...item, quantity: String(amount ?? '') }))
+      })
+    };
+
+    const result = await runStorageMigrations({ migrations: [...MIGRATIONS, nextVersion] });
+    assert.equal(result.ok, true, result.error);
+    assert.deepEqual(result.applied, [SCHEMA_VERSION + 1]);
+    assert.deepEqual(await backend.items.getAll(), [{ id: 'a', name: 'Milk', quantity: '2' }]);
+    assert.equal(await backend.schema.getVersion(), SCHEMA_VERSION + 1);
+    assert.deepEqual(await itemRepository.getAllEvents(), []);
+  },
+
+  'leaves IndexedDB as it was when a migration step fails there': async () => {
+    const backend = await getStorageBackend();
+    await backend.items.put([{ id: 'a', name: 'Milk' }]);
+    await backend.schema.setVersion(SCHEMA_VERSION);
+    localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(SCHEMA_VERSION));
+    localStorage.setItem(STORAGE_KEYS.ITEMS, JSON.stringify([{ id: 'b', name: 'Bread', quantity: '1' }]));
+    const failing = {
+      version: SCHEMA_VERSION + 1,
+      description: 'Needs every item to have a quantity',
+      migrate: (state) => {
+        if (state.items?.some(item => !item.quantity)) throw new Error('Milk has no quantity');
+        return state;
+      }
+    };
+
+    const result = await runStorageMigrations({ migrations: [...MIGRATIONS, failing] });
+    assert.equal(result.ok, false);
+    assert.match(result.error, /Milk has no quantity/);
+    assert.deepEqual(await backend.items.getAll(), [{ id: 'a', name: 'Milk' }]);
+    assert.equal(await backend.schema.getVersion(), SCHEMA_VERSION);
+    // Upgraded, but kept out of the database until it is at the same version
+    assert.equal(JSON.parse(localStorage.getItem(STORAGE_KEYS.ITEMS))[0].name, 'Bread');
+  },
+
+  'leaves data from a newer version of the app alone': async () => {
+    storeVersionZero();
+    localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(SCHEMA_VERSION + 1));
+    const before = storedRaw();
+    const result = await runStorageMigrations();
+    assert.equal(result.ok, false);
+    assert.deepEqual(storedRaw(), before);
+  },
+
+  'shows changes saved in another tab': async () => {
+    const [tabA, tabB] = [createItemStore(), createItemStore()];
+    const stops = [startItemSync(tabA), startItemSync(tabB)];
+    try {
+      await Promise.all([tabA.load(), tabB.load()]);
+      const milk = await tabA.add({ name: 'Milk' });
+      await waitFor(tabB, state => state.items.some(item => item.id === milk.id));
+      await tabA.remove(milk.id);
+      await waitFor(tabB, state => state.trash.some(item => item.id === milk.id));
+      assert.deepEqual(tabB.getState().items, []);
+    } finally {
+      stops.forEach(stop => stop());
+    }
+  },
+
+  'keeps the version saved last when tabs announce changes out of order': async () => {
+    const store = createItemStore();
+    const milk = await store.add({ name: 'Milk' });
+    await tick();
+    const newer = await itemRepository.update(milk.id, { name: 'Oat milk' });
+    store.applyRemote({ upserted: [newer] });
+    const shown = store.getState().items[0];
+    assert.equal(shown.name, 'Oat milk');
+
+    store.applyRemote({ upserted: [milk] });
+    assert.equal(store.getState().items[0], shown);
+  },
+
+  'drops items another tab deleted for good': async () => {
+    const store = createItemStore();
+    const [milk, bread] = await store.addMany([{ name: 'Milk' }, { name: 'Bread' }]);
+    await store.remove(bread.id);
+    store.applyRemote({ removed: [milk.id, bread.id] });
+    assert.deepEqual(store.getState(), { items: [], trash: [], status: 'idle', error: null });
+  },
+
+  'refuses edits to an item saved since and shows it as saved': async () => {
+    const [tabA, tabB] = [createItemStore(), createItemStore()];
+    const milk = await tabA.add({ name: 'Milk' });
+    await tabB.load();
+    await tick();
+    await tabA.update(milk.id, { name: 'Oat milk' });
+
+    await assert.rejects(
+      tabB.update(milk.id, { quantity: '2' }, { expectedUpdatedAt: milk.updatedAt }),
+      error => error instanceof ItemConflictError && error.current.name === 'Oat milk'
+    );
+    assert.equal(tabB.getState().items[0].name, 'Oat milk');
+    const saved = await itemRepository.getById(milk.id);
+    assert.equal(saved.name, 'Oat milk');
+    assert.equal(saved.quantity, '');
+
+    const updated = await tabB.update(milk.id, { quantity: '2' }, { expectedUpdatedAt: saved.updatedAt });
+    assert.equal(updated.quantity, '2');
+  },
+
+  'undoes and redoes a bulk add or delete as one step': async () => {
+    const store = createItemStore();
+    const history = createItemHistory(store);
+    const added = await history.add([{ name: 'Milk' }, { name: 'Bread' }, { name: 'Eggs' }]);
+    assert.equal(added.label, 'Added 3 items');
+    await history.remove(added.result.slice(0, 2).map(item => item.id));
+    assert.equal(history.getState().undoLabel, 'Deleted 2 items');
+
+    await history.undo();
+    assert.deepEqual(names(store.getState().items), ['Bread', 'Eggs', 'Milk']);
+    assert.deepEqual(store.getState().trash, []);
+    await history.undo();
+    assert.deepEqual(store.getState().items, []);
+    assert.deepEqual(await itemRepository.getDeleted(), []);
+
+    await history.redo();
+    assert.deepEqual(store.getState().items.map(item => item.id), added.result.map(item => item.id));
+    assert.deepEqual(history.getState(), { canUndo: true, canRedo: true, undoLabel: 'Added 3 items', redoLabel: 'Deleted 2 items' });
+  },
+
+  'undoes an edit back to the values it changed': async () => {
+    const store = createItemStore();
+    const history = createItemHistory(store);
+    const { result: [milk] } = await history.add({ name: 'Milk', quantity: '1', notes: 'Top shelf' });
+    await history.update(milk.id, { name: 'Oat milk', quantity: '2' });
+    await history.undo();
+    const [item] = store.getState().items;
+    assert.deepEqual([item.name, item.quantity, item.notes], ['Milk', '1', 'Top shelf']);
+    await history.redo();
+    assert.equal(store.getState().items[0].name, 'Oat milk');
+  },
+
+  'takes back one command per undo when undos come quicker than saves': async () => {
+    const store = createItemStore();
+    const history = createItemHistory(store);
+    await history.add({ name: 'Milk' });
+    await history.add({ name: 'Bread' });
+
+    await Promise.all([history.undo(), history.undo()]);
+    assert.deepEqual(store.getState().items, []);
+    assert.deepEqual(history.getState(), { canUndo: false, canRedo: true, undoLabel: null, redoLabel: 'Added Milk' });
+
+    await Promise.all([history.redo(), history.redo()]);
+    assert.deepEqual(names(store.getState().items), ['Bread', 'Milk']);
+    assert.deepEqual(history.getState(), { canUndo: true, canRedo: false, undoLabel: 'Added Bread', redoLabel: null });
+  },
+
+  'undoes a command from its toast only while it is the latest': async () => {
+    const store = createItemStore();
+    const history = createItemHistory(store);
+    const milk = await history.add({ name: 'Milk' });
+    await history.add({ name: 'Bread' });
+    assert.equal(await history.undo(milk), null);
+    assert.deepEqual(names(store.getState().items), ['Bread', 'Milk']);
+  },
+
+  'keeps a command that failed to undo': async () => {
+    const store = createItemStore();
+    const history = createItemHistory(store);
+    const { result: [milk] } = await history.add({ name: 'Milk' });
+    await history.update(milk.id, { name: 'Oat milk' });
+    await itemRepository.purgeMany([milk.id]);
+
+    await assert.rejects(history.undo(), /deleted in another tab/);
+    assert.equal(history.getState().undoLabel, 'Edited Milk');
+    assert.equal(history.getState().canRedo, false);
+  },
+
+  'undoes an edit to an item the store did not hold with a notice instead of an error': async () => {
+    const milk = await itemRepository.add({ name: 'Milk' });
+    const store = createItemStore();
+    const history = createItemHistory(store);
+    const edit = await history.update(milk.id, { name: 'Oat milk' });
+
+    assert.equal(await history.undo(), edit);
+    assert.match(edit.notice, /cannot be undone/);
+    assert.equal((await itemRepository.getById(milk.id)).name, 'Oat milk');
+    assert.equal(history.getState().canRedo, true);
+  },
+
+  'keeps an item in the trash when edits to it are saved after a conflict': async () => {
+    const [tabA, tabB] = [createItemStore(), createItemStore()];
+    const milk = await tabA.add({ name: 'Milk', quantity: '1' });
+    await tabB.load();
+    await tick();
+    await tabA.removeMany([milk.id]);
+
+    await assert.rejects(
+      tabB.update(milk.id, { quantity: '2' }, { expectedUpdatedAt: milk.updatedAt }),
+      error => error instanceof ItemConflictError && Boolean(error.current.deletedAt)
+    );
+    const edits = getEditedFields(milk, { ...milk, quantity: '2' });
+    assert.deepEqual(edits, { quantity: '2' });
+    await tabB.update(milk.id, edits);
+    const saved = await itemRepository.getById(milk.id);
+    assert.ok(saved.deletedAt);
+    assert.equal(saved.quantity, '2');
+  },
+
+  'empties out only what was in the trash before the cutoff': async () => {
+    const daysAgo = (days) => subDays(new Date(), days).toISOString();
+    await itemRepository.replaceAll([
+      { id: 'old', name: 'Milk', createdAt: daysAgo(60), deletedAt: daysAgo(31) },
+      { id: 'recent', name: 'Bread', createdAt: daysAgo(60), deletedAt: daysAgo(29) },
+      { id: 'in-use', name: 'Eggs', createdAt: daysAgo(60), updatedAt: daysAgo(60) }
+    ]);
+    const cutoff = subDays(new Date(), 30);
+
+    assert.equal(await itemRepository.purgeDeletedBefore(cutoff), 1);
+    assert.equal(await itemRepository.getById('old'), null);
+    assert.deepEqual(names(await itemRepository.getDeleted()), ['Bread']);
+    assert.deepEqual(names(await itemRepository.getAll()), ['Eggs']);
+    assert.equal((await itemRepository.getEvents('old')).at(-1).type, 'purged');
+
+    // The trash shows the kept item going after the same number of days
+    const [recent] = await itemRepository.getDeleted();
+    assert.ok(getPurgeDate(recent, 30) > new Date());
+    assert.equal(getPurgeDate(recent, 0), null);
+    assert.equal(await itemRepository.purgeDeletedBefore(cutoff), 0);
+  },
+
+  'logs items saved before the change log as created once, from tabs starting together': async () => {
+    const backend = await getStorageBackend();
+    await backend.items.put([
+      { id: 'old', name: 'Milk', createdAt: '2024-12-01T09:00:00.000Z' },
+      { id: 'older', name: 'Bread', createdAt: '2024-11-01T09:00:00.000Z' }
+    ]);
+    await Promise.all([itemRepository.logUntrackedItems(), itemRepository.logUntrackedItems()]);
+
+    const events = await itemRepository.getAllEvents();
+    assert.deepEqual(events.map(event => event.itemId).sort(), ['old', 'older']);
+    const [created] = await itemRepository.getEvents('old');
+    assert.deepEqual([created.type, created.source, created.at], ['created', 'existing', '2024-12-01T09:00:00.000Z']);
+    assert.equal(await itemRepository.logUntrackedItems(), 0);
+  },
+
+  'records which device and tab made each change': async () => {
+    const milk = await itemRepository.add({ name: 'Milk' });
+    await itemRepository.update(milk.id, { name: 'Oat milk' });
+    const events = await itemRepository.getEvents(milk.id);
+    assert.deepEqual(events.map(event => event.actor), [getActor(), getActor()]);
+    assert.equal(getActor().deviceId, localStorage.getItem(STORAGE_KEYS.DEVICE_ID));
+
+    const [created] = events;
+    assert.equal(describeActor(created), 'In this tab');
+    assert.equal(describeActor({ ...created, actor: { ...created.actor, tabId: 'other' } }), 'In another tab');
+    assert.equal(describeActor({ ...created, actor: { deviceId: 'other', tabId: 'other' } }), 'On another device');
+    assert.equal(describeActor({ ...created, actor: undefined }), null);
+  },
+
+  'exports items, trash included, and imports them back as imported': async () => {
+    const [milk, bread] = await itemRepository.addMany([{ name: 'Milk', expiryDate: '2025-01-10' }, { name: 'Bread' }]);
+    await itemRepository.removeMany([bread.id]);
+    const backup = await exportData();
+
+    await reset();
+    assert.equal(await importData(backup), true);
+    assert.deepEqual(names(await itemRepository.getAll()), ['Milk']);
+    assert.deepEqual(names(await itemRepository.getDeleted()), ['Bread']);
+    assert.equal((await itemRepository.getById(milk.id)).expiryDate, '2025-01-10');
+    const [created] = await itemRepository.getEvents(milk.id);
+    assert.equal(created.type, 'created');
+    assert.equal(created.source, 'import');
+  },
+
+  'upgrades backups of earlier versions on import': async () => {
+    const backup = JSON.stringify({
+      items: [{ id: 7, name: 'Eggs', quantity: 12, dateAdded: '2024-12-01T09:00:00.000Z', isExpired: false }]
+    });
+    assert.equal(await importData(backup), true);
+    const [eggs] = await itemRepository.getAll();
+    assert.equal(eggs.id, '7');
+    assert.equal(eggs.quantity, '12');
+    assert.equal(eggs.createdAt, '2024-12-01T09:00:00.000Z');
+    assert.equal('isExpired' in eggs, false);
+  },
+
+  'refuses a backup that is not JSON and keeps the items': async () => {
+    await itemRepository.add({ name: 'Milk' });
+    assert.equal(await importData('not a backup'), false);
+    assert.deepEqual(names(await itemRepository.getAll()), ['Milk']);
+  },
+
+  'clears the stored items and their change log': async () => {
+    await itemRepository.add({ name: 'Milk' });
+    assert.equal(await clearAllData(), true);
+    assert.deepEqual(await itemRepository.getAll(), []);
+    assert.deepEqual(await itemRepository.getAllEvents(), []);
+  }
+};
+
+let failures = 0;
+for (const [name, check] of Object.entries(CHECKS)) {
+  try {
+    await reset();
+    await check();
+    console.log(`  ok    ${name}`);
+  } catch (error) {
+    failures += 1;
+    console.log(`  FAIL  ${name}\n        ${error.message.split('\n').join('\n        ')}`);
+  }
+}
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nItems behave as expected');
+if (failures) process.exitCode = 1;
@@ -0,0 +1,88 @@
+// Local stand-in for a self-hosted OCR server, so the HTTP provider can be exercised offline.
+// Usage: npm run mock:ocr  (PORT defaults to 8884; PORT=0 picks a free port)
+//   POST /recognize?fixture=<name>&delay=<ms>  -> provider result JSON for that fixture
+//   GET  /health                               -> { ok: true, fixtures: [...] }
+// /recognize also takes status=<code> to fail with that status and reply=malformed to
+// answer with a body that is not JSON. The same options work as path segments in front
+// of it (/status/503/recognize), so they can go in the server URL the app is set to.
+import http from 'node:http';
+import process from 'node:process';
+import { OCR_FIXTURES, DEFAULT_FIXTURE, createFixtureResult } from '../src/utils/ocrFixtures.js';
+
+const PORT = process.env.PORT ? Number(process.env.PORT) : 8884;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Options from the query string and from name/value segments in front of /recognize
+const getOptions = (url) => {
+  const options = new URLSearchParams(url.search);
+  const segments = url.pathname.split('/').filter(Boolean).slice(0, -1);
+  for (let i = 0; i + 1 < segments.length; i += 2) {
+    options.set(segments[i], decodeURIComponent(segments[i + 1]));
+  }
+  return options;
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    sendJson(res, 200, { ok: true, fixtures: Object.keys(OCR_FIXTURES) });
+    return;
+  }
+
+  if (req.method !== 'POST' || !url.pathname.endsWith('/recognize')) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const options = getOptions(url);
+  const fixture = options.get('fixture') || DEFAULT_FIXTURE;
+  if (!OCR_FIXTURES[fixture]) {
+    sendJson(res, 400, { error: `Unknown fixture "${fixture}"` });
+    return;
+  }
+
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+  });
+  req.on('end', () => {
+    if (size === 0) {
+      sendJson(res, 400, { error: 'Request body must contain an image' });
+      return;
+    }
+
+    const delay = Number(options.get('delay')) || 0;
+    const status = Number(options.get('status')) || 200;
+    setTimeout(() => {
+      if (status !== 200) {
+        sendJson(res, status, { error: `Failing with ${status} as asked` });
+      } else if (options.get('reply') === 'malformed') {
+        res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end('{"text": "Milk');
+      } else {
+        sendJson(res, 200, createFixtureResult(OCR_FIXTURES[fixture]));
+      }
+    }, delay);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OCR server listening on http://localhost:${server.address().port}`);
+});
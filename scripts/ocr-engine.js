@@ -0,0 +1,114 @@
+// Runs the on-device OCR engine (tesseract in a Node worker) on the label photos
+// under fixtures/ocr/ and checks it reads their text, with per-line confidences and boxes,
+// and that cancelling one recognition settles the others instead of leaving them hanging.
+// Usage: npm run test:engine
+// Exits with code 1 when a photo is not read as expected or a recognition never settles.
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { recognizeImage, ensureOcrLanguages, terminateOcrEngine } from '../src/utils/ocrEngine.js';
+
+const IMAGE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'ocr');
+
+// Each photo with the traineddata to read it with and lines that must come out word for word
+const CASES = [
+  {
+    image: 'label-en.png',
+    languages: ['eng'],
+    lines: ['Greek Yogurt 500g', 'Best before 14 Mar 2025', 'Packed 02/03/2025']
+  }
+];
+
+const isBox = (box) => ['x0', 'y0', 'x1', 'y1'].every(key => Number.isFinite(box[key])) && box.x1 > box.x0;
+const isConfidence = (value) => value >= 0 && value <= 1;
+
+const checkResult = (result, expectedLines) => {
+  const problems = [];
+  const lineTexts = result.lines.map(line => line.text);
+  expectedLines
+    .filter(expected => !lineTexts.includes(expected))
+    .forEach(expected => problems.push(`missing line "${expected}" (read ${JSON.stringify(lineTexts)})`));
+
+  if (!isConfidence(result.confidence)) problems.push(`confidence ${result.confidence} is not between 0 and 1`);
+  result.lines.forEach(line => {
+    if (!isBox(line.bbox) || !isConfidence(line.confidence)) problems.push(`line "${line.text}" has no valid box or confidence`);
+  });
+  if (result.words.length === 0) problems.push('no words');
+  return problems;
+};
+
+// How long a recognition may take to settle once another one was cancelled
+const SETTLE_TIMEOUT_MS = 30000;
+
+const settle = (promise) => Promise.race([
+  promise.then(() => 'resolved', error => (error?.name === 'AbortError' ? 'aborted' : 'rejected')),
+  // Unreferenced, so the wait does not keep the script running once everything settled
+  new Promise(resolve => setTimeout(resolve, SETTLE_TIMEOUT_MS, 'pending').unref())
+]);
+
+/**
+ * Cancel a photo mid-recognition while a second photo waits on the same worker and
+ * a live frame runs on its own: the cancelled one aborts, the waiting one is
+ * rejected rather than left pending, and the live frame is read as usual
+ */
+const checkCancellation = async (image) => {
+  const controller = new AbortController();
+  const progress = { cancelled: 0, waiting: 0 };
+  const cancelled = recognizeImage(image, {
+    signal: controller.signal,
+    onProgress: (message) => {
+      progress.cancelled += 1;
+      if (message.status === 'recognizing text') controller.abort();
+    }
+  });
+  const waiting = recognizeImage(image, { onProgress: () => { progress.waiting += 1; } });
+  const live = recognizeImage(image, { queue: 'live' });
+
+  const outcomes = {
+    cancelled: await settle(cancelled),
+    waiting: await settle(waiting),
+    live: await settle(live)
+  };
+  const expected = { cancelled: 'aborted', waiting: 'rejected', live: 'resolved' };
+  const problems = Object.keys(expected)
+    .filter(key => outcomes[key] !== expected[key])
+    .map(key => `${key} recognition ${outcomes[key]}, expected ${expected[key]}`);
+  if (progress.cancelled === 0) problems.push('no progress reported');
+  if (progress.waiting > 0) problems.push('progress of one recognition reached another');
+  return problems;
+};
+
+const report = (name, problems) => {
+  if (problems.length === 0) {
+    console.log(`  ok    ${name}`);
+    return 0;
+  }
+  console.log(`  FAIL  ${name}\n        ${problems.join('\n        ')}`);
+  return 1;
+};
+
+let failures = 0;
+try {
+  for (const testCase of CASES) {
+    const imagePath = path.join(IMAGE_DIR, testCase.image);
+    let problems;
+    try {
+      await ensureOcrLanguages(testCase.languages);
+      problems = checkResult(await recognizeImage(fs.readFileSync(imagePath)), testCase.lines);
+    } catch (error) {
+      problems = [error.message];
+    }
+
+    failures += report(testCase.image, problems);
+  }
+
+  await ensureOcrLanguages(CASES[0].languages);
+  const image = fs.readFileSync(path.join(IMAGE_DIR, CASES[0].image));
+  failures += report('cancelling a recognition', await checkCancellation(image));
+} finally {
+  await terminateOcrEngine();
+}
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nThe engine reads every photo');
+if (failures) process.exitCode = 1;
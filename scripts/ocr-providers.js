@@ -0,0 +1,160 @@
+// Runs the OCR providers that do not need the on-device engine: the fixture provider,
+// and the HTTP provider against the mock OCR server, which it starts on a free port and
+// stops again. Covers a good reply, an error status, a reply that is not JSON and a
+// cancelled upload.
+// Usage: npm run test:providers
+// Exits with code 1 when a check fails or the mock server does not start.
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { settingsStorage } from '../src/utils/storage.js';
+import { getOCRProvider } from '../src/utils/ocrProviders.js';
+import { OCR_FIXTURES, DEFAULT_FIXTURE, createFixtureResult } from '../src/utils/ocrFixtures.js';
+
+const SERVER_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'mock-ocr-server.js');
+const START_TIMEOUT_MS = 10000;
+
+// The parts of the Web Storage API the app uses
+class MemoryStorage {
+  constructor() {
+    this.values = new Map();
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.values.delete(key);
+  }
+
+  clear() {
+    this.values.clear();
+  }
+}
+
+globalThis.localStorage = new MemoryStorage();
+
+// Start the mock server on a free port; resolves with its process and URL once it listens
+const startMockServer = () => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    env: { ...process.env, PORT: '0' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  const timer = setTimeout(() => {
+    child.kill();
+    reject(new Error(`The mock OCR server did not start within ${START_TIMEOUT_MS} ms`));
+  }, START_TIMEOUT_MS);
+
+  let output = '';
+  child.stdout.on('data', chunk => {
+    output += chunk;
+    const match = output.match(/listening on (http:\/\/\S+)/);
+    if (!match) return;
+    clearTimeout(timer);
+    resolve({ child, url: match[1] });
+  });
+  child.on('error', error => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('exit', code => {
+    clearTimeout(timer);
+    reject(new Error(`The mock OCR server exited with code ${code}`));
+  });
+});
+
+// Stop the server started above by its own process id and wait until it is gone
+const stopMockServer = (child) => new Promise(resolve => {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    resolve();
+    return;
+  }
+  child.once('exit', () => resolve());
+  process.kill(child.pid);
+});
+
+// Point the HTTP provider at `serverUrl`, as the OCR server setting does
+const setServerUrl = (serverUrl) => settingsStorage.save({ ocr: { provider: 'http', serverUrl } });
+
+const IMAGE = new Blob(['not really a photo'], { type: 'image/jpeg' });
+
+const CHECKS = {
+  'http: reads the result the server sends back': async (serverUrl) => {
+    setServerUrl(serverUrl);
+    const statuses = [];
+    const result = await getOCRProvider('http').recognize(IMAGE, {
+      onProgress: ({ status }) => statuses.push(status)
+    });
+    assert.deepEqual(result, createFixtureResult(OCR_FIXTURES[DEFAULT_FIXTURE]));
+    assert.deepEqual(statuses, ['uploading image', 'recognizing text']);
+  },
+
+  'http: fails with the status of an error reply': async (serverUrl) => {
+    setServerUrl(`${serverUrl}/status/503`);
+    await assert.rejects(getOCRProvider('http').recognize(IMAGE), /responded with 503/);
+  },
+
+  'http: fails on a reply that is not JSON': async (serverUrl) => {
+    setServerUrl(`${serverUrl}/reply/malformed`);
+    await assert.rejects(getOCRProvider('http').recognize(IMAGE), /not JSON/);
+  },
+
+  'http: rejects with an AbortError when cancelled during the upload': async (serverUrl) => {
+    setServerUrl(`${serverUrl}/delay/2000`);
+    const controller = new AbortController();
+    const recognition = getOCRProvider('http').recognize(IMAGE, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(recognition, error => error.name === 'AbortError');
+  },
+
+  'fixture: reads the fixture an image names': async () => {
+    const [name] = Object.keys(OCR_FIXTURES).slice(-1);
+    const result = await getOCRProvider('fixture').recognize(name);
+    assert.deepEqual(result, createFixtureResult(OCR_FIXTURES[name]));
+  },
+
+  'fixture: rejects with an AbortError when cancelled': async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+      getOCRProvider('fixture').recognize(DEFAULT_FIXTURE, { signal: controller.signal }),
+      error => error.name === 'AbortError'
+    );
+  }
+};
+
+let failures = 0;
+let server = null;
+try {
+  server = await startMockServer();
+} catch (error) {
+  failures += 1;
+  console.log(`  FAIL  starting the mock OCR server\n        ${error.message}`);
+}
+
+if (server) {
+  try {
+    for (const [name, check] of Object.entries(CHECKS)) {
+      try {
+        localStorage.clear();
+        await check(server.url);
+        console.log(`  ok    ${name}`);
+      } catch (error) {
+        failures += 1;
+        console.log(`  FAIL  ${name}\n        ${error.message.split('\n').join('\n        ')}`);
+      }
+    }
+  } finally {
+    await stopMockServer(server.child);
+  }
+}
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nThe OCR providers behave as expected');
+if (failures) process.exitCode = 1;
@@ -0,0 +1,110 @@
+// Runs the OCR corpus through the label and receipt parsers and reports precision/recall per field.
+// Usage: npm run test:ocr -- [--today=YYYY-MM-DD] [--images] [--verbose] [--update-baseline]
+//   --today            date for cases that do not set their own (default 2025-01-01)
+//   --images           OCR each case's fixture image (fixtures/ocr/<image>) instead of its text
+//   --verbose          list every mismatch per case
+//   --update-baseline  save the current scores as scripts/ocr-baseline.json
+// Also checks the dates read from every language fixture (LANGUAGE_FIXTURES) against the ones it expects.
+// Exits with code 1 when a field scores below the baseline or a language fixture fails.
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { OCR_CORPUS } from '../src/utils/ocrCorpus.js';
+import { OCR_FIXTURES, LANGUAGE_FIXTURES } from '../src/utils/ocrFixtures.js';
+import { evaluateCorpus, findRegressions, checkLanguageFixture } from '../src/utils/ocrEvaluation.js';
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const BASELINE_PATH = path.join(SCRIPT_DIR, 'ocr-baseline.json');
+const IMAGE_DIR = path.join(SCRIPT_DIR, '..', 'fixtures', 'ocr');
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(`--${name}`);
+const today = args.find(arg => arg.startsWith('--today='))?.split('=')[1] || '2025-01-01';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`.padStart(7);
+
+// Only pulls in the OCR engine (and its language data) when images are requested
+const createImageReader = async () => {
+  const { recognizeImage, ensureOcrLanguages, terminateOcrEngine } = await import('../src/utils/ocrEngine.js');
+  const { getTesseractLanguages } = await import('../src/utils/ocrLanguages.js');
+
+  const getText = async (testCase) => {
+    if (!testCase.image) return testCase.text;
+    const imagePath = path.join(IMAGE_DIR, testCase.image);
+    if (!fs.existsSync(imagePath)) {
+      console.warn(`${testCase.id}: ${testCase.image} not found, using its text`);
+      return testCase.text;
+    }
+    await ensureOcrLanguages(getTesseractLanguages(testCase.languages || ['en']));
+    const result = await recognizeImage(fs.readFileSync(imagePath));
+    return result.text;
+  };
+
+  return { getText, close: terminateOcrEngine };
+};
+
+const reader = flag('images') ? await createImageReader() : null;
+let report;
+try {
+  report = await evaluateCorpus(OCR_CORPUS, { today, getText: reader?.getText });
+} finally {
+  await reader?.close();
+}
+
+console.log(`OCR corpus: ${OCR_CORPUS.length} cases\n`);
+console.log('field            precision  recall   tp  fp  fn');
+Object.entries(report.fields).forEach(([field, score]) => {
+  console.log(
+    `${field.padEnd(16)} ${percent(score.precision)}  ${percent(score.recall)}` +
+    ` ${String(score.tp).padStart(4)}${String(score.fp).padStart(4)}${String(score.fn).padStart(4)}`
+  );
+});
+
+if (flag('verbose')) {
+  report.cases
+    .filter(result => result.mismatches.length > 0)
+    .forEach(result => {
+      console.log(`\n${result.id}`);
+      result.mismatches.forEach(({ field, expected, actual }) => {
+        console.log(`  ${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      });
+    });
+}
+
+const scores = Object.fromEntries(
+  Object.entries(report.fields).map(([field, { precision, recall }]) => [field, { precision, recall }])
+);
+
+if (flag('update-baseline')) {
+  fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(scores, null, 2)}\n`);
+  console.log(`\nBaseline saved to ${path.relative(process.cwd(), BASELINE_PATH)}`);
+} else if (fs.existsSync(BASELINE_PATH)) {
+  const regressions = findRegressions(report.fields, JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')));
+  if (regressions.length > 0) {
+    console.error('\nBelow baseline:');
+    regressions.forEach(({ field, metric, baseline, actual }) => {
+      console.error(`  ${field} ${metric}: ${percent(actual).trim()} (baseline ${percent(baseline).trim()})`);
+    });
+    process.exitCode = 1;
+  } else {
+    console.log('\nNo regressions against the baseline.');
+  }
+} else {
+  console.log('\nNo baseline yet; run with --update-baseline to save one.');
+}
+
+const describeDates = (dates) => dates.map(({ date, isExpiry }) => `${date}${isExpiry ? ' (expiry)' : ''}`).join(', ');
+
+console.log('\nLanguage fixtures');
+LANGUAGE_FIXTURES.forEach(fixture => {
+  const { missing, unexpected } = checkLanguageFixture(fixture, OCR_FIXTURES[fixture.fixture], { today });
+  if (missing.length === 0 && unexpected.length === 0) {
+    console.log(`  ok    ${fixture.fixture}`);
+    return;
+  }
+  console.error(`  FAIL  ${fixture.fixture}`);
+  if (missing.length > 0) console.error(`        missing ${describeDates(missing)}`);
+  if (unexpected.length > 0) console.error(`        unexpected ${describeDates(unexpected)}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,263 @@
+// Runs the storage backend contract against both backends: IndexedDB (fake-indexeddb
+// in Node) and localStorage (an in-memory Storage).
+// Usage: npm run test:storage
+// Exits with code 1 when a backend breaks the contract.
+import 'fake-indexeddb/auto';
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  createIndexedDBBackend,
+  createLocalStorageBackend,
+  moveLocalStorageData
+} from '../src/utils/storageBackends.js';
+import { STORAGE_KEYS } from '../src/utils/storage.js';
+import { runStorageMigrations, SCHEMA_VERSION } from '../src/utils/storageMigrations.js';
+
+// The parts of the Web Storage API the localStorage backend uses
+class MemoryStorage {
+  constructor() {
+    this.values = new Map();
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.values.delete(key);
+  }
+}
+
+// What `storage` holds, key by key
+const snapshot = (storage) => Object.fromEntries(storage.values);
+
+const BACKENDS = {
+  indexedDB: () => createIndexedDBBackend({ indexedDB: new IDBFactory() }),
+  localStorage: () => createLocalStorageBackend(new MemoryStorage())
+};
+
+const item = (id, fields = {}) => ({
+  id,
+  name: `Item ${id}`,
+  expiryDate: '',
+  category: 'other',
+  location: '',
+  ...fields
+});
+
+const event = (itemId, type) => ({ itemId, type, at: '2025-01-01T00:00:00.000Z' });
+
+const ids = (items) => items.map(entry => entry.id).sort();
+
+const CONTRACT = {
+  'starts out empty': async (backend) => {
+    assert.deepEqual(await backend.items.getAll(), []);
+    assert.equal(await backend.items.get('missing'), null);
+    assert.equal(await backend.settings.get(), null);
+    assert.deepEqual(await backend.notifications.getAll(), []);
+    assert.deepEqual(await backend.events.getAll(), []);
+  },
+
+  'puts items and gets them by id': async (backend) => {
+    await backend.items.put([item('a'), item('b')]);
+    assert.deepEqual(ids(await backend.items.getAll()), ['a', 'b']);
+    assert.deepEqual(await backend.items.get('b'), item('b'));
+  },
+
+  'replaces an item put with an existing id': async (backend) => {
+    await backend.items.put([item('a')]);
+    await backend.items.put([item('a', { name: 'Milk' })]);
+    const items = await backend.items.getAll();
+    assert.equal(items.length, 1);
+    assert.equal(items[0].name, 'Milk');
+  },
+
+  'deletes only the given items': async (backend) => {
+    await backend.items.put([item('a'), item('b'), item('c')]);
+    await backend.items.delete(['a', 'c', 'missing']);
+    assert.deepEqual(ids(await backend.items.getAll()), ['b']);
+  },
+
+  'clears items': async (backend) => {
+    await backend.items.put([item('a'), item('b')]);
+    await backend.items.clear();
+    assert.deepEqual(await backend.items.getAll(), []);
+  },
+
+  'looks items up by category, location and expiry date': async (backend) => {
+    await backend.items.put([
+      item('a', { category: 'dairy', location: 'fridge', expiryDate: '2025-01-05' }),
+      item('b', { category: 'dairy', location: 'pantry' }),
+      item('c', { category: 'produce', location: 'fridge', expiryDate: '2025-01-05' })
+    ]);
+    assert.deepEqual(ids(await backend.items.getByIndex('category', 'dairy')), ['a', 'b']);
+    assert.deepEqual(ids(await backend.items.getByIndex('location', 'fridge')), ['a', 'c']);
+    assert.deepEqual(ids(await backend.items.getByIndex('expiryDate', '2025-01-05')), ['a', 'c']);
+    assert.deepEqual(await backend.items.getByIndex('category', 'frozen'), []);
+  },
+
+  'rejects lookups by fields that are not indexed': async (backend) => {
+    await assert.rejects(() => backend.items.getByIndex('name', 'Milk'));
+  },
+
+  'gets items expiring before a day, soonest first, without undated ones': async (backend) => {
+    await backend.items.put([
+      item('later', { expiryDate: '2025-01-10' }),
+      item('undated'),
+      item('soon', { expiryDate: '2025-01-02' }),
+      item('due', { expiryDate: '2025-01-05' }),
+      item('sooner', { expiryDate: '2024-12-30' })
+    ]);
+    const items = await backend.items.getExpiringBefore('2025-01-05');
+    assert.deepEqual(items.map(entry => entry.id), ['sooner', 'soon']);
+  },
+
+  'appends events and reads them back in order, all or by item': async (backend) => {
+    await backend.events.append([event('a', 'created'), event('b', 'created')]);
+    await backend.events.append([event('a', 'renamed')]);
+    await backend.events.append([]);
+    const types = (events) => events.map(entry => `${entry.itemId}:${entry.type}`);
+    assert.deepEqual(types(await backend.events.getAll()), ['a:created', 'b:created', 'a:renamed']);
+    assert.deepEqual(types(await backend.events.getByItem('a')), ['a:created', 'a:renamed']);
+    assert.deepEqual(await backend.events.getByItem('missing'), []);
+    await backend.events.clear();
+    assert.deepEqual(await backend.events.getAll(), []);
+  },
+
+  'commits item changes and their events together': async (backend) => {
+    await backend.items.put([item('a'), item('b')]);
+    await backend.items.commit({ delete: ['a'], put: [item('c')] }, [event('a', 'purged'), event('c', 'created')]);
+    assert.deepEqual(ids(await backend.items.getAll()), ['b', 'c']);
+    await backend.items.commit({ clear: true, put: [item('d')] }, []);
+    assert.deepEqual(ids(await backend.items.getAll()), ['d']);
+    assert.deepEqual(await backend.events.getAll(), [event('a', 'purged'), event('c', 'created')]);
+  },
+
+  'saves no item changes when their events cannot be logged': async (backend) => {
+    await backend.items.put([item('a')]);
+    // Neither IndexedDB (the function) nor JSON (the cycle) can store this event
+    const unstorable = { ...event('b', 'created'), format: () => 'b' };
+    unstorable.self = unstorable;
+    await assert.rejects(() => backend.items.commit({ delete: ['a'], put: [item('b')] }, [unstorable]));
+    assert.deepEqual(ids(await backend.items.getAll()), ['a']);
+    assert.deepEqual(await backend.events.getAll(), []);
+  },
+
+  'logs each untracked item once, also when asked twice at once': async (backend) => {
+    await backend.items.put([item('a'), item('b'), item('c')]);
+    await backend.events.append([event('a', 'created')]);
+    const counts = await Promise.all([
+      backend.events.logUntracked(entry => event(entry.id, 'created')),
+      backend.events.logUntracked(entry => event(entry.id, 'created'))
+    ]);
+    assert.equal(counts[0] + counts[1], 2);
+    const logged = (await backend.events.getAll()).map(entry => entry.itemId).sort();
+    assert.deepEqual(logged, ['a', 'b', 'c']);
+    assert.equal(await backend.events.logUntracked(entry => event(entry.id, 'created')), 0);
+  },
+
+  'saves, replaces and clears settings': async (backend) => {
+    await backend.settings.save({ theme: 'dark', ocr: { languages: ['de'] } });
+    assert.deepEqual(await backend.settings.get(), { theme: 'dark', ocr: { languages: ['de'] } });
+    await backend.settings.save({ theme: 'light' });
+    assert.deepEqual(await backend.settings.get(), { theme: 'light' });
+    await backend.settings.clear();
+    assert.equal(await backend.settings.get(), null);
+  },
+
+  'saves the whole list of notifications': async (backend) => {
+    await backend.notifications.saveAll([{ id: 'n1', message: 'Milk expires' }, { id: 'n2', message: 'Eggs' }]);
+    await backend.notifications.saveAll([{ id: 'n3', message: 'Bread expires' }]);
+    assert.deepEqual(await backend.notifications.getAll(), [{ id: 'n3', message: 'Bread expires' }]);
+    await backend.notifications.clear();
+    assert.deepEqual(await backend.notifications.getAll(), []);
+  },
+
+  'stamps the schema version of its data': async (backend) => {
+    assert.equal(await backend.schema.getVersion(), null);
+    await backend.schema.setVersion(2);
+    await backend.schema.setVersion(3);
+    assert.equal(await backend.schema.getVersion(), 3);
+    await backend.settings.clear();
+    assert.equal(await backend.schema.getVersion(), 3);
+  },
+
+  'takes over data kept in localStorage once': async (backend) => {
+    const storage = new MemoryStorage();
+    const source = createLocalStorageBackend(storage);
+    await source.schema.setVersion(SCHEMA_VERSION);
+    await source.items.put([item('a', { category: 'dairy' })]);
+    await source.settings.save({ theme: 'dark' });
+    await source.notifications.saveAll([{ id: 'n1' }]);
+    await source.events.append([event('a', 'created')]);
+
+    assert.equal(await moveLocalStorageData(backend, { storage, version: SCHEMA_VERSION }), true);
+    await moveLocalStorageData(backend, { storage, version: SCHEMA_VERSION });
+
+    assert.deepEqual(ids(await backend.items.getByIndex('category', 'dairy')), ['a']);
+    assert.deepEqual(await backend.settings.get(), { theme: 'dark' });
+    assert.deepEqual(await backend.notifications.getAll(), [{ id: 'n1' }]);
+    assert.deepEqual(await backend.events.getAll(), [event('a', 'created')]);
+    assert.deepEqual(await source.items.getAll(), []);
+    assert.deepEqual(await source.events.getAll(), []);
+    assert.deepEqual(await source.settings.get(), { theme: 'dark' });
+    assert.equal(await backend.schema.getVersion(), SCHEMA_VERSION);
+  },
+
+  'takes over no localStorage data at another schema version': async (backend) => {
+    const storage = new MemoryStorage();
+    const source = createLocalStorageBackend(storage);
+    await source.items.put([item('a')]);
+    await source.schema.setVersion(SCHEMA_VERSION - 1);
+    assert.equal(await moveLocalStorageData(backend, { storage, version: SCHEMA_VERSION }), false);
+
+    await source.schema.setVersion(SCHEMA_VERSION);
+    await backend.schema.setVersion(SCHEMA_VERSION - 1);
+    assert.equal(await moveLocalStorageData(backend, { storage, version: SCHEMA_VERSION }), false);
+    assert.deepEqual(ids(await source.items.getAll()), ['a']);
+    assert.deepEqual(await backend.items.getAll(), []);
+  },
+
+  'keeps data a migration failed on out of the backend at startup': async (backend) => {
+    const storage = new MemoryStorage();
+    storage.setItem(STORAGE_KEYS.ITEMS, JSON.stringify([{ id: 1, name: 'Milk' }]));
+    storage.setItem(STORAGE_KEYS.LEGACY_ITEMS, '{"name":"Bread"}');
+    const before = snapshot(storage);
+
+    const previousStorage = globalThis.localStorage;
+    globalThis.localStorage = storage;
+    try {
+      assert.equal((await runStorageMigrations()).ok, false);
+    } finally {
+      globalThis.localStorage = previousStorage;
+    }
+    // What starting up would do with the backend, were it not stopped
+    await moveLocalStorageData(backend, { storage, version: SCHEMA_VERSION });
+
+    assert.deepEqual(snapshot(storage), before);
+    assert.deepEqual(await backend.items.getAll(), []);
+    assert.equal(await backend.schema.getVersion(), null);
+  }
+};
+
+let failures = 0;
+for (const [backendName, createBackend] of Object.entries(BACKENDS)) {
+  console.log(backendName);
+  for (const [name, check] of Object.entries(CONTRACT)) {
+    try {
+      await check(createBackend());
+      console.log(`  ok    ${name}`);
+    } catch (error) {
+      failures += 1;
+      console.log(`  FAIL  ${name}\n        ${error.message.split('\n').join('\n        ')}`);
+    }
+  }
+}
+
+console.log(failures ? `\n${failures} contract check(s) failed` : '\nBoth backends keep the contract');
+if (failures) process.exitCode = 1;
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { Barcode, Plus, X } from 'lucide-react';
+import { PRODUCT_CATEGORIES } from '../utils/productCatalog';
+import { getShelfLifeDays } from '../utils/shelfLife';
+
+// Sheet shown over the viewfinder after a barcode is read: one tap to add a known
+// product, or a short form that teaches the catalog an unknown one
+const BarcodeResult = ({ detection, product, onAdd, onTeach, onDismiss }) => {
+  const [name, setName] = useState('');
+  const [category, setCategory] = useState('other');
+  const [shelfLifeDays, setShelfLifeDays] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const suggestedDays = getShelfLifeDays(name);
+
+  const handleTeach = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setIsSaving(true);
+    try {
+      await onTeach({
+        barcode: detection.code,
+        format: detection.format,
+        name,
+        category,
+        shelfLifeDays: shelfLifeDays || suggestedDays
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 space-y-3">
+      <div className="flex items-start justify-between">
+        <div className="flex items-center text-sm text-gray-500">
+          <Barcode className="w-4 h-4 mr-2" />
+          <span className="font-mono">{detection.text}</span>
+        </div>
+        <button onClick={onDismiss} className="p-1 text-gray-400 hover:text-gray-600">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {product ? (
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="font-medium text-gray-900">{product.name}</p>
+            <p className="text-xs text-gray-500">
+              {PRODUCT_CATEGORIES.find(option => option.value === product.category)?.label || 'Other'}
+              {' '}&middot; keeps {product.shelfLifeDays} days
+            </p>
+          </div>
+          <button
+            onClick={() => onAdd(product)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-blue-700 flex items-center"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleTeach} className="space-y-2">
+          <p className="text-sm text-gray-700">New product. Name it once and it is one tap next time.</p>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            placeholder="Product name"
+            autoFocus
+            required
+          />
+          <div className="flex gap-2">
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {PRODUCT_CATEGORIES.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={shelfLifeDays}
+              onChange={(e) => setShelfLifeDays(e.target.value)}
+              className="w-24 px-3 py-2 border border-gray-300 rounded-md text-sm"
+              placeholder={`${suggestedDays} days`}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving || !name.trim()}
+            className="w-full bg-blue-600 text-white py-2 rounded-md text-sm font-medium hover:bg-blue-700 disabled:bg-gray-300"
+          >
+            Save &amp; Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BarcodeResult;
@@ -0,0 +1,103 @@
+import { useState, useRef } from 'react';
+import { Crop, Scan, X } from 'lucide-react';
+
+// Selections smaller than this (fraction of the image) are treated as accidental taps
+const MIN_CROP_SIZE = 0.05;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const CropSelector = ({ image, onConfirm, onCancel }) => {
+  const [selection, setSelection] = useState(null);
+  const dragStartRef = useRef(null);
+  const containerRef = useRef(null);
+
+  const getPoint = (event) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      x: clamp((event.clientX - rect.left) / rect.width),
+      y: clamp((event.clientY - rect.top) / rect.height)
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragStartRef.current = getPoint(event);
+    setSelection(null);
+  };
+
+  const handlePointerMove = (event) => {
+    const start = dragStartRef.current;
+    if (!start) return;
+
+    const point = getPoint(event);
+    setSelection({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y)
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragStartRef.current = null;
+    setSelection(prev =>
+      prev && prev.width >= MIN_CROP_SIZE && prev.height >= MIN_CROP_SIZE ? prev : null
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Drag over the expiry date to scan only that area, or scan the whole photo.
+      </p>
+
+      <div
+        ref={containerRef}
+        className="relative select-none touch-none rounded-lg overflow-hidden"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      >
+        <img src={image} alt="Captured" className="w-full block" draggable={false} />
+        {selection && (
+          <div
+            className="absolute border-2 border-blue-500 bg-blue-500/10 shadow-[0_0_0_9999px_rgba(0,0,0,0.4)]"
+            style={{
+              left: `${selection.x * 100}%`,
+              top: `${selection.y * 100}%`,
+              width: `${selection.width * 100}%`,
+              height: `${selection.height * 100}%`
+            }}
+          />
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <button
+          onClick={() => onConfirm(selection)}
+          disabled={!selection}
+          className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center"
+        >
+          <Crop className="w-5 h-5 mr-2" />
+          Scan Selection
+        </button>
+        <button
+          onClick={() => onConfirm(null)}
+          className="w-full bg-gray-200 text-gray-800 py-3 rounded-lg font-medium hover:bg-gray-300 flex items-center justify-center"
+        >
+          <Scan className="w-5 h-5 mr-2" />
+          Scan Whole Photo
+        </button>
+        <button
+          onClick={onCancel}
+          className="w-full text-gray-600 py-2 rounded-lg font-medium hover:bg-gray-100 flex items-center justify-center"
+        >
+          <X className="w-5 h-5 mr-2" />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CropSelector;
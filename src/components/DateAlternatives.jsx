@@ -0,0 +1,41 @@
+import { format, parseISO } from 'date-fns';
+import { HelpCircle } from 'lucide-react';
+
+// Other readings of an ambiguous label date (05/04 as 5 April or May 4); picking one swaps it in
+const DateAlternatives = ({ item, onSelect }) => {
+  const alternatives = item.dateAlternatives || [];
+  if (alternatives.length === 0) return null;
+
+  const handleSelect = (date) => {
+    onSelect({
+      expiryDate: date,
+      dateAlternatives: [item.expiryDate, ...alternatives.filter(alternative => alternative !== date)],
+      isDateAmbiguous: false
+    });
+  };
+
+  return (
+    <div
+      className={`flex flex-wrap items-center gap-2 text-xs ${
+        item.isDateAmbiguous ? 'text-orange-700' : 'text-gray-500'
+      }`}
+    >
+      <span className="flex items-center gap-1">
+        <HelpCircle className="w-3 h-3" />
+        {item.isDateAmbiguous ? 'Unclear date, could be:' : 'Could also be:'}
+      </span>
+      {alternatives.map(date => (
+        <button
+          key={date}
+          type="button"
+          onClick={() => handleSelect(date)}
+          className="px-2 py-0.5 rounded-full border border-current hover:bg-gray-100"
+        >
+          {format(parseISO(date), 'MMM d, yyyy')}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default DateAlternatives;
@@ -0,0 +1,28 @@
+import { ScanText } from 'lucide-react';
+import { DATE_FORMAT_LABELS } from '../utils/dateParsing';
+
+// How a scanned expiry date was printed on the label, e.g. "25077" read as a Julian date,
+// or a note that it was estimated because the receipt carried none
+const DateFormatTag = ({ item }) => {
+  if (item.isExpiryEstimated) {
+    return (
+      <p className="flex items-center gap-1 text-xs text-gray-500">
+        <ScanText className="w-3 h-3" />
+        <span>Estimated from typical shelf life</span>
+      </p>
+    );
+  }
+
+  const label = DATE_FORMAT_LABELS[item.dateFormat];
+  if (!label) return null;
+
+  return (
+    <p className="flex items-center gap-1 text-xs text-gray-500">
+      <ScanText className="w-3 h-3" />
+      {item.dateText && <span className="font-mono">{item.dateText} &middot;</span>}
+      <span>{label}</span>
+    </p>
+  );
+};
+
+export default DateFormatTag;
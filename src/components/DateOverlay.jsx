@@ -0,0 +1,36 @@
+// Boxes drawn over the viewfinder around dates read from the live stream.
+// The SVG uses the frame's pixel space and slices like the object-cover video beneath it.
+const DateOverlay = ({ frame, minConfidence = 0.75 }) => {
+  if (!frame || frame.boxes.length === 0) return null;
+
+  return (
+    <svg
+      className="absolute inset-0 w-full h-full pointer-events-none"
+      viewBox={`0 0 ${frame.width} ${frame.height}`}
+      preserveAspectRatio="xMidYMid slice"
+    >
+      {frame.boxes.map((box, index) => {
+        const color = box.confidence >= minConfidence ? '#22c55e' : '#eab308';
+        return (
+          <g key={index}>
+            <rect
+              x={box.bbox.x0 - 4}
+              y={box.bbox.y0 - 4}
+              width={box.bbox.x1 - box.bbox.x0 + 8}
+              height={box.bbox.y1 - box.bbox.y0 + 8}
+              fill="none"
+              stroke={color}
+              strokeWidth="3"
+              rx="4"
+            />
+            <text x={box.bbox.x0 - 4} y={box.bbox.y0 - 10} fill={color} fontSize="16" fontWeight="600">
+              {box.date}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default DateOverlay;
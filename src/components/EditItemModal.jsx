@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { X, Save, Calendar, Package } from 'lucide-react';
+import { X, Save, Calendar, Package, Hash } from 'lucide-react';
+import { parseQuantity } from '../utils/quantityParsing';
+import ItemTimeline from './ItemTimeline';
 
 const EditItemModal = ({ isOpen, onClose, item, onSave }) => {
   const [formData, setFormData] = useState({
     name: '',
-    expiryDate: ''
+    expiryDate: '',
+    quantity: ''
   });
   const [errors, setErrors] = useState({});
 
@@ -12,7 +15,8 @@ const EditItemModal = ({ isOpen, onClose, item, onSave }) => {
     if (item) {
       setFormData({
         name: item.name || '',
-        expiryDate: item.expiryDate || ''
+        expiryDate: item.expiryDate || '',
+        quantity: item.quantity || ''
       });
       setErrors({});
     }
@@ -47,7 +51,8 @@ const EditItemModal = ({ isOpen, onClose, item, onSave }) => {
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       
-      if (selectedDate < today) {
+      // Items that have already expired can still be renamed
+      if (selectedDate < today && formData.expiryDate !== item?.expiryDate) {
         newErrors.expiryDate = 'Expiry date cannot be in the past';
       }
     }
@@ -61,7 +66,9 @@ const EditItemModal = ({ isOpen, onClose, item, onSave }) => {
       const updatedItem = {
         ...item,
         name: formData.name.trim(),
-        expiryDate: formData.expiryDate
+        expiryDate: formData.expiryDate,
+        quantity: formData.quantity.trim(),
+        parsedQuantity: parseQuantity(formData.quantity)
       };
       onSave(updatedItem);
       onClose();
@@ -71,7 +78,8 @@ const EditItemModal = ({ isOpen, onClose, item, onSave }) => {
   const handleCancel = () => {
     setFormData({
       name: item?.name || '',
-      expiryDate: item?.expiryDate || ''
+      expiryDate: item?.expiryDate || '',
+      quantity: item?.quantity || ''
     });
     setErrors({});
     onClose();
@@ -160,6 +168,25 @@ const EditItemModal = ({ isOpen, onClose, item, onSave }) => {
               <p className="text-sm text-red-600 mt-1">{errors.expiryDate}</p>
             )}
           </div>
+
+          {/* Quantity Field */}
+          <div className="space-y-2">
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <Hash className="w-4 h-4 mr-2" />
+              Quantity
+            </label>
+            <input
+              type="text"
+              value={formData.quantity}
+              onChange={(e) => handleInputChange('quantity', e.target.value)}
+              onKeyDown={handleKeyDown}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+              placeholder="Quantity (optional)"
+            />
+          </div>
+
+          {/* Change History */}
+          {item && <ItemTimeline item={item} />}
         </div>
 
         {/* Footer */}
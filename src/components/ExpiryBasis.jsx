@@ -0,0 +1,69 @@
+import { format, parseISO } from 'date-fns';
+import { CalendarClock, PackageOpen } from 'lucide-react';
+import { DATE_KIND_LABELS } from '../utils/ocrLanguages';
+import { PRODUCT_CATEGORIES } from '../utils/productCatalog';
+import { getPrintedDate, reclassifyPrintedDate } from '../utils/shelfLife';
+
+const formatDay = (date) => format(parseISO(date), 'MMM d, yyyy');
+
+const describeBasis = (item, printedDate) => {
+  const { kind, days, rule, category } = item.expiryBasis;
+  const label = DATE_KIND_LABELS[kind];
+
+  switch (rule) {
+    case 'manual':
+      return 'Expiry set by you';
+    case 'product':
+      return `${label} ${formatDay(printedDate)} + ${days} days that ${item.name} keeps`;
+    case 'category': {
+      const categoryLabel = PRODUCT_CATEGORIES.find(option => option.value === category)?.label || 'Other';
+      return `${label} ${formatDay(printedDate)} + ${days} days for ${categoryLabel}`;
+    }
+    default:
+      return label ? `${label} date from the label` : 'Date from the label, taken as the expiry';
+  }
+};
+
+// How a scanned item's expiry was worked out from its printed date (a packing date plus
+// shelf life, say), with a way to tell what the printed date really means
+const ExpiryBasis = ({ item, onChange }) => {
+  if (!item.expiryBasis && !item.openedShelfLifeDays) return null;
+
+  const printedDate = getPrintedDate(item);
+
+  return (
+    <div className="space-y-1 text-xs text-gray-500">
+      {item.expiryBasis && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="flex items-center gap-1">
+            <CalendarClock className="w-3 h-3" />
+            {describeBasis(item, printedDate)}
+          </span>
+          {printedDate && onChange && (
+            <select
+              value={item.expiryBasis.kind || ''}
+              onChange={(e) => onChange(reclassifyPrintedDate(item, e.target.value || null))}
+              className="px-1 py-0.5 border border-gray-300 rounded text-xs bg-white"
+              aria-label="What the printed date means"
+            >
+              <option value="">Expiry date</option>
+              {Object.entries(DATE_KIND_LABELS).map(([kind, label]) => (
+                <option key={kind} value={kind}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+      {item.openedShelfLifeDays && (
+        <p className="flex items-center gap-1">
+          <PackageOpen className="w-3 h-3" />
+          Use within {item.openedShelfLifeDays} days of opening
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ExpiryBasis;
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import { History } from 'lucide-react';
+import { itemRepository } from '../utils/itemRepository';
+import { describeItemEvent, describeActor } from '../utils/itemEvents';
+
+// What happened to an item so far, newest first, from the change log
+const ItemTimeline = ({ item }) => {
+  const [events, setEvents] = useState(null);
+
+  // Read again after every save, which adds to the log
+  useEffect(() => {
+    let cancelled = false;
+    itemRepository
+      .getEvents(item.id)
+      .then(loaded => {
+        if (!cancelled) setEvents([...loaded].reverse());
+      })
+      .catch(() => {
+        if (!cancelled) setEvents([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [item.id, item.updatedAt]);
+
+  return (
+    <div className="space-y-2">
+      <h3 className="flex items-center text-sm font-medium text-gray-700">
+        <History className="w-4 h-4 mr-2" />
+        History
+      </h3>
+      {events && events.length === 0 && (
+        <p className="text-xs text-gray-500">No changes recorded yet.</p>
+      )}
+      {events && events.length > 0 && (
+        <ol className="max-h-40 overflow-y-auto border-l-2 border-gray-200 ml-2 space-y-2">
+          {events.map(event => (
+            <li key={event.id} className="pl-3 text-sm">
+              <p className="text-gray-900">{describeItemEvent(event)}</p>
+              <p className="text-xs text-gray-500">
+                {[format(parseISO(event.at), 'MMM dd, yyyy HH:mm'), describeActor(event)].filter(Boolean).join(' · ')}
+              </p>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ItemTimeline;
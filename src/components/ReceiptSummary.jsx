@@ -0,0 +1,37 @@
+import { format, parseISO } from 'date-fns';
+import { Receipt } from 'lucide-react';
+
+const ReceiptSummary = ({ scan }) => {
+  if (!scan?.purchaseDate) return null;
+
+  const total = scan.items.reduce((sum, item) => sum + (item.price || 0), 0);
+  const skipped = scan.skipped || [];
+
+  return (
+    <div className="flex items-start bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-blue-900">
+      <Receipt className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+      <div className="flex-1 min-w-0">
+        <p className="font-medium">{scan.store || 'Unknown store'}</p>
+        <p className="text-blue-700">
+          Bought {format(parseISO(scan.purchaseDate), 'MMM d, yyyy')} &middot; {scan.items.length} items &middot; {total.toFixed(2)}
+        </p>
+        {skipped.length > 0 && (
+          <details className="mt-1 text-xs text-blue-700">
+            <summary className="cursor-pointer">
+              {skipped.length} lines skipped
+            </summary>
+            <ul className="mt-1 space-y-0.5">
+              {skipped.map((line, index) => (
+                <li key={index}>
+                  <span className="font-mono">{line.text}</span> &middot; {line.reason}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReceiptSummary;
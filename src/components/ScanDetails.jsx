@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { AlertTriangle, FileText, Layers } from 'lucide-react';
+import { getConfidenceDescription } from '../utils/ocrProcessing';
+
+const ScanDetails = ({ scan }) => {
+  const [selectedStage, setSelectedStage] = useState(null);
+
+  if (!scan) return null;
+
+  const { text, confidence, failures = [], stages = [], rotation = 0 } = scan;
+  const activeStage = stages.find(stage => stage.name === selectedStage) || stages[stages.length - 1];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-600">Text recognition</span>
+        <span className="font-medium text-gray-900">
+          {Math.round(confidence * 100)}% · {getConfidenceDescription(confidence)}
+        </span>
+      </div>
+
+      {failures.length > 0 && (
+        <div className="rounded-lg border border-yellow-200 bg-yellow-50 p-3">
+          <div className="flex items-center gap-2 text-sm font-medium text-yellow-800 mb-1">
+            <AlertTriangle className="w-4 h-4" />
+            Could not read everything
+          </div>
+          <ul className="space-y-1 text-xs text-yellow-800">
+            {failures.map((failure, index) => (
+              <li key={index}>
+                {failure.reason}
+                {failure.text && (
+                  <span className="font-mono"> “{failure.text}”</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {stages.length > 0 && (
+        <details className="rounded-lg border border-gray-200">
+          <summary className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 cursor-pointer">
+            <Layers className="w-4 h-4" />
+            Image preprocessing
+            {rotation !== 0 && (
+              <span className="text-xs text-gray-500">(rotated {rotation}°)</span>
+            )}
+          </summary>
+          <div className="px-3 pb-3 space-y-2">
+            <img
+              src={activeStage.url}
+              alt={activeStage.label}
+              className="w-full max-h-64 object-contain rounded-md bg-gray-100"
+            />
+            <div className="flex gap-2 overflow-x-auto">
+              {stages.map((stage) => (
+                <button
+                  key={stage.name}
+                  onClick={() => setSelectedStage(stage.name)}
+                  className={`flex-shrink-0 w-16 text-center ${
+                    stage === activeStage ? 'text-blue-600' : 'text-gray-500'
+                  }`}
+                >
+                  <img
+                    src={stage.url}
+                    alt={stage.label}
+                    className={`w-16 h-12 object-cover rounded border-2 ${
+                      stage === activeStage ? 'border-blue-500' : 'border-transparent'
+                    }`}
+                  />
+                  <span className="text-xs">{stage.label}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        </details>
+      )}
+
+      {text && (
+        <details className="rounded-lg border border-gray-200">
+          <summary className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 cursor-pointer">
+            <FileText className="w-4 h-4" />
+            Recognized text
+          </summary>
+          <pre className="px-3 pb-3 text-xs text-gray-600 whitespace-pre-wrap break-words">
+            {text}
+          </pre>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default ScanDetails;
@@ -0,0 +1,26 @@
+import { Package, Receipt } from 'lucide-react';
+
+const SCAN_MODES = [
+  { id: 'package', label: 'Package', icon: Package },
+  { id: 'receipt', label: 'Receipt', icon: Receipt }
+];
+
+const ScanModeToggle = ({ mode, onChange }) => (
+  <div className="flex bg-gray-100 rounded-lg p-1">
+    {SCAN_MODES.map(({ id, label, icon: Icon }) => (
+      <button
+        key={id}
+        type="button"
+        onClick={() => onChange(id)}
+        className={`flex-1 flex items-center justify-center py-2 rounded-md text-sm font-medium ${
+          mode === id ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+        }`}
+      >
+        <Icon className="w-4 h-4 mr-2" />
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+export default ScanModeToggle;
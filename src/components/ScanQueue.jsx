@@ -0,0 +1,87 @@
+import { AlertTriangle, Check, Loader2, RotateCcw, X } from 'lucide-react';
+
+// Photos of a batch scanning session with their progress, and the way on to review
+const ScanQueue = ({ shots, progress, itemCount, onRetry, onRemove, onReview }) => {
+  if (shots.length === 0) return null;
+
+  const isFinished = progress.pending === 0;
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <div className="flex justify-between text-sm text-gray-600 mb-1">
+          <span>
+            {isFinished
+              ? `${progress.done} of ${progress.total} photos scanned`
+              : `Scanning photo ${progress.done + progress.failed + 1} of ${progress.total}...`}
+          </span>
+          <span>{Math.round(progress.progress * 100)}%</span>
+        </div>
+        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-blue-600 transition-all"
+            style={{ width: `${Math.round(progress.progress * 100)}%` }}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-4 gap-2">
+        {shots.map((shot, index) => (
+          <div key={shot.id} className="relative aspect-square rounded-md overflow-hidden bg-gray-100">
+            <img src={shot.preview} alt={`Photo ${index + 1}`} className="w-full h-full object-cover" />
+            <div className="absolute inset-0 flex items-center justify-center bg-black/30 text-white">
+              {shot.status === 'queued' && <span className="text-xs">Waiting</span>}
+              {shot.status === 'processing' && (
+                <span className="flex flex-col items-center text-xs">
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  {Math.round(shot.progress * 100)}%
+                </span>
+              )}
+              {shot.status === 'done' && (
+                <span className="flex items-center text-xs">
+                  <Check className="w-4 h-4 mr-0.5" />
+                  {shot.result.items.length}
+                </span>
+              )}
+              {shot.status === 'failed' && (
+                <button
+                  onClick={() => onRetry(shot.id)}
+                  className="flex flex-col items-center text-xs"
+                  title={shot.error}
+                  aria-label={`Retry photo ${index + 1}`}
+                >
+                  <AlertTriangle className="w-4 h-4 text-orange-300" />
+                  <RotateCcw className="w-4 h-4 mt-1" />
+                </button>
+              )}
+            </div>
+            <button
+              onClick={() => onRemove(shot.id)}
+              className="absolute top-0.5 right-0.5 p-0.5 bg-black/50 text-white rounded-full"
+              aria-label={`Remove photo ${index + 1}`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {progress.failed > 0 && (
+        <p className="text-xs text-orange-600">
+          {progress.failed} {progress.failed === 1 ? 'photo' : 'photos'} could not be read. Tap to retry or remove.
+        </p>
+      )}
+
+      <button
+        onClick={onReview}
+        disabled={!isFinished || itemCount === 0}
+        className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center"
+      >
+        <Check className="w-5 h-5 mr-2" />
+        {isFinished ? `Review ${itemCount} items` : 'Waiting for photos...'}
+      </button>
+    </div>
+  );
+};
+
+export default ScanQueue;
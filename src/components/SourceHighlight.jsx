@@ -0,0 +1,43 @@
+import { useState } from 'react';
+
+// The scanned photo with the box a reviewed field was read from outlined on it.
+// The SVG uses the image's pixel space and fits like the object-contain image beneath it.
+const SourceHighlight = ({ image, box, label }) => {
+  const [size, setSize] = useState(null);
+
+  return (
+    <div className="relative h-48 bg-gray-100 rounded-lg overflow-hidden">
+      <img
+        src={image}
+        alt="Captured"
+        className="w-full h-full object-contain"
+        onLoad={(e) => setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+      />
+      {size && box && (
+        <svg
+          className="absolute inset-0 w-full h-full pointer-events-none"
+          viewBox={`0 0 ${size.width} ${size.height}`}
+          preserveAspectRatio="xMidYMid meet"
+        >
+          <rect
+            x={box.x0 - 6}
+            y={box.y0 - 6}
+            width={box.x1 - box.x0 + 12}
+            height={box.y1 - box.y0 + 12}
+            fill="rgba(59, 130, 246, 0.15)"
+            stroke="#3b82f6"
+            strokeWidth={Math.max(2, size.width / 200)}
+            rx="4"
+          />
+        </svg>
+      )}
+      {label && (
+        <span className="absolute bottom-2 left-2 px-2 py-0.5 text-xs text-white bg-black/60 rounded">
+          {label}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SourceHighlight;
@@ -0,0 +1,89 @@
+// Undo/redo of item changes (see createItemHistory) for components, plus the desktop keyboard shortcuts
+import { createContext, useContext, useEffect, useSyncExternalStore } from 'react';
+import { toast } from 'sonner';
+
+/**
+ * The item history components below its provider share
+ */
+export const ItemHistoryContext = createContext(null);
+
+/**
+ * The shared item history: `{ history, canUndo, canRedo, undoLabel, redoLabel }`,
+ * re-rendering when what can be undone or redone changes
+ */
+const useItemHistory = () => {
+  const history = useContext(ItemHistoryContext);
+  if (!history) throw new Error('useItemHistory must be used inside an ItemHistoryContext provider');
+  const state = useSyncExternalStore(history.subscribe, history.getState);
+  return { history, ...state };
+};
+
+/**
+ * Confirm a command run through `history` in a toast with an Undo action, which
+ * undoes that command as long as nothing newer was done since
+ */
+export const showUndoToast = (history, command) => {
+  toast.success(command.label, {
+    action: {
+      label: 'Undo',
+      onClick: async () => {
+        try {
+          if (!(await history.undo(command))) toast.error('Only the latest change can be undone');
+          else if (command.notice) toast(command.notice);
+        } catch (error) {
+          toast.error(error.message);
+        }
+      }
+    }
+  });
+};
+
+const runStep = async (step, verb) => {
+  try {
+    const command = await step();
+    if (command) toast(command.notice || `${verb}: ${command.label}`);
+  } catch (error) {
+    toast.error(error.message);
+  }
+};
+
+/**
+ * Undo the last change in `history` and say what was undone in a toast
+ */
+export const undoWithToast = (history) => runStep(() => history.undo(), 'Undone');
+
+/**
+ * Redo the last undone change in `history` and say what was redone in a toast
+ */
+export const redoWithToast = (history) => runStep(() => history.redo(), 'Redone');
+
+// Text fields keep their own undo
+const isEditingText = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/**
+ * Call `onUndo` on Ctrl+Z (Cmd+Z on a Mac) and `onRedo` on Ctrl+Shift+Z or Ctrl+Y,
+ * except while typing in a form field
+ */
+export const useUndoShortcuts = (onUndo, onRedo) => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditingText(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        onUndo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        onRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onUndo, onRedo]);
+};
+
+export default useItemHistory;
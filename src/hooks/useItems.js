@@ -0,0 +1,49 @@
+// Read grocery items from the shared item store, re-rendering only when the selected items change
+import { createContext, useContext, useRef, useSyncExternalStore } from 'react';
+import { selectItems, isSameSelection } from '../utils/itemStore';
+
+/**
+ * The item store (see createItemStore) components below its provider share
+ */
+export const ItemStoreContext = createContext(null);
+
+/**
+ * The item store itself, for its actions: add, addMany, update, remove, removeMany,
+ * restoreMany, purgeMany
+ */
+export const useItemStore = () => {
+  const store = useContext(ItemStoreContext);
+  if (!store) throw new Error('useItemStore must be used inside an ItemStoreContext provider');
+  return store;
+};
+
+/**
+ * The part of the item store state `selector` picks (all items by default).
+ * The component re-renders only when that selection changes: selections that
+ * `isEqual` (by default, the same value or the same items in the same order) the
+ * previous one are not a change.
+ */
+const useItems = (selector = selectItems, isEqual = isSameSelection) => {
+  const store = useItemStore();
+  const selection = useRef({ state: undefined, selector: undefined, value: undefined });
+
+  const getSelection = () => {
+    const state = store.getState();
+    if (selection.current.state === state && selection.current.selector === selector) {
+      return selection.current.value;
+    }
+
+    const value = selector(state);
+    const hasPrevious = selection.current.state !== undefined;
+    selection.current = {
+      state,
+      selector,
+      value: hasPrevious && isEqual(selection.current.value, value) ? selection.current.value : value
+    };
+    return selection.current.value;
+  };
+
+  return useSyncExternalStore(store.subscribe, getSelection);
+};
+
+export default useItems;
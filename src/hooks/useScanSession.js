@@ -0,0 +1,37 @@
+// React state for a batch scanning session (see utils/scanSession)
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createScanSession, getSessionProgress } from '../utils/scanSession';
+
+/**
+ * Keep a scanning session for the lifetime of the component. `scan(shot, options)`
+ * scans one photo; the latest function passed is used, so it may close over state
+ * such as the scan mode. Returns the session's `shots`, its overall `progress`
+ * and the `add`, `retry`, `remove` and `clear` actions. Leaving the page stops
+ * the queue.
+ */
+const useScanSession = (scan) => {
+  const [shots, setShots] = useState([]);
+  const scanRef = useRef(scan);
+  scanRef.current = scan;
+
+  const session = useMemo(
+    () => createScanSession({
+      scan: (shot, options) => scanRef.current(shot, options),
+      onChange: setShots
+    }),
+    []
+  );
+
+  useEffect(() => session.clear, [session]);
+
+  return {
+    shots,
+    progress: getSessionProgress(shots),
+    add: session.add,
+    retry: session.retry,
+    remove: session.remove,
+    clear: session.clear
+  };
+};
+
+export default useScanSession;
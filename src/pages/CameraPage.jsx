@@ -1,19 +1,60 @@
-import React, { useState, useRef, useCallback } from 'react';
-import { Camera, RotateCcw, Check, X, Upload, Loader2 } from 'lucide-react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { Camera, RotateCcw, Check, X, Upload, Loader2, AlertTriangle } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import ScanDetails from '../components/ScanDetails';
+import CropSelector from '../components/CropSelector';
+import DateAlternatives from '../components/DateAlternatives';
+import DateFormatTag from '../components/DateFormatTag';
+import ScanModeToggle from '../components/ScanModeToggle';
+import ReceiptSummary from '../components/ReceiptSummary';
+import BarcodeResult from '../components/BarcodeResult';
+import DateOverlay from '../components/DateOverlay';
+import SourceHighlight from '../components/SourceHighlight';
+import ExpiryBasis from '../components/ExpiryBasis';
+import ScanQueue from '../components/ScanQueue';
+import useScanSession from '../hooks/useScanSession';
+import useItemHistory, { showUndoToast } from '../hooks/useItemHistory';
+import { scanImage, scanReceipt, isLowConfidence } from '../utils/ocrProcessing';
+import { startBarcodeScanner } from '../utils/barcodeScanning';
+import { startLiveOcr } from '../utils/liveOcr';
+import { productCatalog, createItemFromProduct } from '../utils/productCatalog';
+import { parseQuantity } from '../utils/quantityParsing';
+import { learnFromReview } from '../utils/learnedRules';
+import { mergeScanResults } from '../utils/scanSession';
 
-const CameraPage = ({ onAddItems }) => {
+const CameraPage = () => {
+  const { history } = useItemHistory();
   const [isCapturing, setIsCapturing] = useState(false);
   const [capturedImage, setCapturedImage] = useState(null);
+  const [isCropping, setIsCropping] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [extractedItems, setExtractedItems] = useState([]);
   const [showResults, setShowResults] = useState(false);
+  const [scan, setScan] = useState(null);
+  const [scanMode, setScanMode] = useState('package');
+  const [barcodeMatch, setBarcodeMatch] = useState(null);
+  const [liveFrame, setLiveFrame] = useState(null);
+  const [activeField, setActiveField] = useState(null);
+  const [isBatch, setIsBatch] = useState(false);
+  // Items as first read, before review edits, to learn corrections from
+  const [originalItems, setOriginalItems] = useState([]);
+  // Which batch photo each reviewed item and field came from
+  const [batchSources, setBatchSources] = useState(null);
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
   const fileInputRef = useRef(null);
+  const liveScanRef = useRef(null);
   const navigate = useNavigate();
 
+  const session = useScanSession((shot, options) => {
+    const scanner = shot.mode === 'receipt' ? scanReceipt : scanImage;
+    return scanner(shot.image, { preprocess: {}, ...options });
+  });
+  const batch = useMemo(() => mergeScanResults(session.shots), [session.shots]);
+  const addShots = session.add;
+
   const startCamera = useCallback(async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
@@ -24,11 +65,9 @@ const CameraPage = ({ onAddItems }) => {
         }
       });
       
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        streamRef.current = stream;
-        setIsCapturing(true);
-      }
+      // The <video> only mounts once capturing starts; the effect below attaches the stream
+      streamRef.current = stream;
+      setIsCapturing(true);
     } catch (error) {
       console.error('Error accessing camera:', error);
       alert('Unable to access camera. Please check permissions.');
@@ -36,13 +75,37 @@ const CameraPage = ({ onAddItems }) => {
   }, []);
 
   const stopCamera = useCallback(() => {
+    // Cancel viewfinder OCR and barcode reading before the stream goes away
+    liveScanRef.current?.abort();
+    liveScanRef.current = null;
+    setLiveFrame(null);
+
     if (streamRef.current) {
       streamRef.current.getTracks().forEach(track => track.stop());
       streamRef.current = null;
     }
     setIsCapturing(false);
+    setBarcodeMatch(null);
   }, []);
 
+  const addProduct = async (product) => {
+    try {
+      showUndoToast(history, await history.add(createItemFromProduct(product), { source: 'scan' }));
+      setBarcodeMatch(null);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const teachProduct = async (product) => {
+    try {
+      await addProduct(await productCatalog.save(product));
+    } catch (error) {
+      console.error('Error saving product:', error);
+      toast.error('Failed to save product. Please try again.');
+    }
+  };
+
   const capturePhoto = useCallback(() => {
     if (!videoRef.current || !canvasRef.current) return;
 
@@ -55,12 +118,65 @@ const CameraPage = ({ onAddItems }) => {
     context.drawImage(video, 0, 0);
 
     const imageData = canvas.toDataURL('image/jpeg', 0.8);
+
+    // Batch photos are queued as they are and the camera stays open for the next one
+    if (isBatch) {
+      addShots([imageData], { mode: scanMode });
+      return;
+    }
+
     setCapturedImage(imageData);
     stopCamera();
-    processImage(imageData);
-  }, [stopCamera]);
+    setIsCropping(true);
+  }, [stopCamera, isBatch, scanMode, addShots]);
+
+  // Release the camera and cancel live work when leaving the page
+  useEffect(() => stopCamera, [stopCamera]);
+
+  useEffect(() => {
+    if (isCapturing && videoRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+    }
+  }, [isCapturing]);
+
+  // While packages are being scanned, watch the live stream for barcodes and
+  // for expiry dates, capturing automatically once a date reads clearly
+  useEffect(() => {
+    if (!isCapturing || scanMode !== 'package' || !videoRef.current) return undefined;
+
+    const controller = new AbortController();
+    liveScanRef.current = controller;
+
+    startBarcodeScanner(videoRef.current, {
+      signal: controller.signal,
+      onDetect: async (detection) => {
+        const product = await productCatalog.getByBarcode(detection.code);
+        if (!controller.signal.aborted) setBarcodeMatch({ detection, product });
+      }
+    });
+
+    startLiveOcr(videoRef.current, {
+      signal: controller.signal,
+      onFrame: setLiveFrame,
+      // A batch would keep re-shooting the same label, so it is captured by hand
+      onStable: () => {
+        if (!isBatch) capturePhoto();
+      }
+    });
+
+    return () => controller.abort();
+  }, [isCapturing, scanMode, isBatch, capturePhoto]);
 
   const handleFileUpload = useCallback((event) => {
+    if (isBatch) {
+      addShots(event.target.files, { mode: scanMode });
+      event.target.value = '';
+      return;
+    }
+
+    // An uploaded photo replaces the viewfinder, like a captured one: release the
+    // camera so live OCR cannot auto-capture over it
+    stopCamera();
     const file = event.target.files[0];
     if (!file) return;
 
@@ -68,40 +184,21 @@ const CameraPage = ({ onAddItems }) => {
     reader.onload = (e) => {
       const imageData = e.target.result;
       setCapturedImage(imageData);
-      processImage(imageData);
+      setIsCropping(true);
     };
     reader.readAsDataURL(file);
-  }, []);
+  }, [stopCamera, isBatch, scanMode, addShots]);
 
-  const processImage = async (imageData) => {
+  const processImage = async (imageData, crop) => {
+    setIsCropping(false);
     setIsProcessing(true);
     
     try {
-      // Simulate OCR processing with mock data
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      const mockExtractedItems = [
-        {
-          id: Date.now() + Math.random(),
-          name: 'Milk',
-          expiryDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          confidence: 0.95
-        },
-        {
-          id: Date.now() + Math.random() + 1,
-          name: 'Bread',
-          expiryDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          confidence: 0.88
-        },
-        {
-          id: Date.now() + Math.random() + 2,
-          name: 'Yogurt',
-          expiryDate: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          confidence: 0.92
-        }
-      ];
-
-      setExtractedItems(mockExtractedItems);
+      const scanner = scanMode === 'receipt' ? scanReceipt : scanImage;
+      const result = await scanner(imageData, { preprocess: { crop } });
+      setScan(result);
+      setOriginalItems(result.items);
+      setExtractedItems(result.items);
       setShowResults(true);
     } catch (error) {
       console.error('Error processing image:', error);
@@ -111,10 +208,42 @@ const CameraPage = ({ onAddItems }) => {
     }
   };
 
+  const reviewBatch = () => {
+    stopCamera();
+    setScan(null);
+    setCapturedImage(null);
+    setOriginalItems(session.shots.flatMap(shot => shot.result?.items || []));
+    setBatchSources({
+      sources: batch.sources,
+      images: Object.fromEntries(
+        session.shots.map(shot => [shot.id, shot.result?.sourceImage || shot.preview])
+      )
+    });
+    setExtractedItems(batch.items);
+    setShowResults(true);
+  };
+
   const updateItem = (id, field, value) => {
     setExtractedItems(prev => 
       prev.map(item => 
-        item.id === id ? { ...item, [field]: value } : item
+        item.id === id ? {
+          ...item,
+          [field]: value,
+          // A field the user has corrected no longer needs checking
+          ...(item.fieldConfidence && { fieldConfidence: { ...item.fieldConfidence, [field]: 1 } }),
+          // A typed-in expiry is no longer worked out from the printed date
+          ...(field === 'expiryDate' && item.expiryBasis && {
+            expiryBasis: { kind: item.expiryBasis.kind, days: 0, rule: 'manual' }
+          })
+        } : item
+      )
+    );
+  };
+
+  const updateItemFields = (id, changes) => {
+    setExtractedItems(prev =>
+      prev.map(item =>
+        item.id === id ? { ...item, ...changes } : item
       )
     );
   };
@@ -123,21 +252,60 @@ const CameraPage = ({ onAddItems }) => {
     setExtractedItems(prev => prev.filter(item => item.id !== id));
   };
 
-  const saveItems = () => {
-    if (onAddItems) {
-      onAddItems(extractedItems);
+  // All reviewed items go in as one step, so one Undo takes them all back out
+  const saveItems = async () => {
+    try {
+      showUndoToast(history, await history.add(extractedItems, { source: 'scan' }));
+    } catch (error) {
+      toast.error(error.message);
+      return;
     }
+
+    // Teach future scans the names and date readings the user corrected or confirmed
+    extractedItems
+      .filter(item => !item.receiptText)
+      .forEach(item => learnFromReview(originalItems.find(original => original.id === item.id), item));
+
+    if (batchSources) session.clear();
     navigate('/');
   };
 
   const resetCapture = () => {
     setCapturedImage(null);
+    setIsCropping(false);
     setExtractedItems([]);
+    setScan(null);
+    setOriginalItems([]);
+    setActiveField(null);
     setShowResults(false);
     setIsProcessing(false);
+    if (batchSources) {
+      session.clear();
+      setBatchSources(null);
+    }
   };
 
+  const fieldClassName = (item, field) =>
+    `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+      isLowConfidence(item, field) ? 'border-orange-400 bg-orange-50' : 'border-gray-300'
+    }`;
+
+  const flaggedFields = (item) => [
+    isLowConfidence(item, 'name') && 'name',
+    isLowConfidence(item, 'expiryDate') && 'date'
+  ].filter(Boolean);
+
   if (showResults) {
+    const activeItem = extractedItems.find(item => item.id === activeField?.itemId);
+    const activeBox = activeItem?.sourceBoxes?.[activeField.field] || null;
+    const activeSource = activeItem && batchSources?.sources[activeItem.id];
+    const reviewImage = activeSource
+      ? batchSources.images[activeSource[activeField.field]]
+      : scan?.sourceImage || capturedImage;
+    const highlightLabel = activeItem && (activeBox
+      ? `${activeField.field === 'name' ? 'Name' : 'Date'} of ${activeItem.name || 'item'}`
+      : 'Not found on the photo');
+
     return (
       <div className="min-h-screen bg-gray-50 p-4">
         <div className="max-w-md mx-auto">
@@ -149,16 +317,21 @@ const CameraPage = ({ onAddItems }) => {
               </p>
             </div>
 
-            {capturedImage && (
+            {reviewImage && (
               <div className="p-4 border-b">
-                <img 
-                  src={capturedImage} 
-                  alt="Captured" 
-                  className="w-full h-32 object-cover rounded-lg"
+                <SourceHighlight
+                  image={reviewImage}
+                  box={activeBox}
+                  label={highlightLabel}
                 />
               </div>
             )}
 
+            <div className="p-4 border-b space-y-3">
+              <ReceiptSummary scan={scan} />
+              <ScanDetails scan={scan} />
+            </div>
+
             <div className="p-4 space-y-4">
               {extractedItems.map((item) => (
                 <div key={item.id} className="border rounded-lg p-3 space-y-3">
@@ -168,14 +341,41 @@ const CameraPage = ({ onAddItems }) => {
                         type="text"
                         value={item.name}
                         onChange={(e) => updateItem(item.id, 'name', e.target.value)}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        onFocus={() => setActiveField({ itemId: item.id, field: 'name' })}
+                        className={fieldClassName(item, 'name')}
                         placeholder="Item name"
                       />
                       <input
                         type="date"
                         value={item.expiryDate}
                         onChange={(e) => updateItem(item.id, 'expiryDate', e.target.value)}
+                        onFocus={() => setActiveField({ itemId: item.id, field: 'expiryDate' })}
+                        className={fieldClassName(item, 'expiryDate')}
+                      />
+                      {flaggedFields(item).length > 0 && (
+                        <p className="flex items-center gap-1 text-xs text-orange-600">
+                          <AlertTriangle className="w-3 h-3" />
+                          Hard to read: check the {flaggedFields(item).join(' and ')}
+                        </p>
+                      )}
+                      <DateFormatTag item={item} />
+                      <ExpiryBasis
+                        item={item}
+                        onChange={(changes) => updateItemFields(item.id, changes)}
+                      />
+                      <DateAlternatives
+                        item={item}
+                        onSelect={(changes) => updateItemFields(item.id, changes)}
+                      />
+                      <input
+                        type="text"
+                        value={item.quantity || ''}
+                        onChange={(e) => updateItemFields(item.id, {
+                          quantity: e.target.value,
+                          parsedQuantity: parseQuantity(e.target.value)
+                        })}
                         className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="Quantity (e.g. 500 g)"
                       />
                     </div>
                     <button
@@ -187,6 +387,9 @@ const CameraPage = ({ onAddItems }) => {
                   </div>
                   <div className="text-xs text-gray-500">
                     Confidence: {Math.round(item.confidence * 100)}%
+                    {item.fieldConfidence && ` (name ${Math.round(item.fieldConfidence.name * 100)}%, date ${Math.round(item.fieldConfidence.expiryDate * 100)}%)`}
+                    {item.receiptText && ` · ${item.receiptText}`}
+                    {batchSources?.sources[item.id]?.shotIds.length > 1 && ` · seen in ${batchSources.sources[item.id].shotIds.length} photos`}
                   </div>
                 </div>
               ))}
@@ -216,6 +419,23 @@ const CameraPage = ({ onAddItems }) => {
     );
   }
 
+  if (isCropping) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-4">
+        <div className="max-w-md mx-auto bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">
+            {scanMode === 'receipt' ? 'Select Receipt Area' : 'Select Label Area'}
+          </h2>
+          <CropSelector
+            image={capturedImage}
+            onConfirm={(crop) => processImage(capturedImage, crop)}
+            onCancel={resetCapture}
+          />
+        </div>
+      </div>
+    );
+  }
+
   if (isProcessing) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
@@ -230,7 +450,7 @@ const CameraPage = ({ onAddItems }) => {
           <Loader2 className="w-8 h-8 animate-spin mx-auto mb-4 text-blue-600" />
           <h3 className="text-lg font-medium text-gray-900 mb-2">Processing Image</h3>
           <p className="text-sm text-gray-600">
-            Extracting item names and expiry dates...
+            {scanMode === 'receipt' ? 'Reading receipt lines...' : 'Extracting item names and expiry dates...'}
           </p>
         </div>
       </div>
@@ -241,21 +461,41 @@ const CameraPage = ({ onAddItems }) => {
     <div className="min-h-screen bg-gray-900 relative">
       {isCapturing ? (
         <>
-          <video
-            ref={videoRef}
-            autoPlay
-            playsInline
-            className="w-full h-full object-cover"
-          />
+          <div className="relative">
+            <video
+              ref={videoRef}
+              autoPlay
+              playsInline
+              className="w-full h-full object-cover"
+            />
+            <DateOverlay frame={liveFrame} />
+          </div>
           <canvas ref={canvasRef} className="hidden" />
           
           <div className="absolute bottom-0 left-0 right-0 p-6 bg-gradient-to-t from-black/50 to-transparent">
+            {barcodeMatch && (
+              <div className="mb-4">
+                <BarcodeResult
+                  key={barcodeMatch.detection.code}
+                  detection={barcodeMatch.detection}
+                  product={barcodeMatch.product}
+                  onAdd={addProduct}
+                  onTeach={teachProduct}
+                  onDismiss={() => setBarcodeMatch(null)}
+                />
+              </div>
+            )}
+            {isBatch && session.shots.length > 0 && (
+              <p className="mb-4 text-center text-sm text-white">
+                {session.progress.total} photos · {session.progress.pending} still scanning
+              </p>
+            )}
             <div className="flex items-center justify-center space-x-6">
               <button
                 onClick={stopCamera}
                 className="p-4 bg-gray-800/80 text-white rounded-full hover:bg-gray-700/80"
               >
-                <X className="w-6 h-6" />
+                {isBatch && session.shots.length > 0 ? <Check className="w-6 h-6" /> : <X className="w-6 h-6" />}
               </button>
               
               <button
@@ -281,9 +521,25 @@ const CameraPage = ({ onAddItems }) => {
             <h2 className="text-xl font-semibold text-gray-900 mb-3">
               Scan Your Groceries
             </h2>
-            <p className="text-gray-600 mb-8">
-              Take a photo of your grocery items to automatically extract names and expiry dates
+            <p className="text-gray-600 mb-6">
+              {scanMode === 'receipt'
+                ? 'Take a photo of your shop receipt to import every item you bought'
+                : 'Take a photo of your grocery items to automatically extract names and expiry dates'}
             </p>
+
+            <div className="mb-6 space-y-3">
+              <ScanModeToggle mode={scanMode} onChange={setScanMode} />
+              <label className="flex items-center justify-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={isBatch}
+                  onChange={(e) => setIsBatch(e.target.checked)}
+                  disabled={session.shots.length > 0}
+                  className="rounded border-gray-300"
+                />
+                Scan several photos, then review everything at once
+              </label>
+            </div>
             
             <div className="space-y-4">
               <button
@@ -291,7 +547,7 @@ const CameraPage = ({ onAddItems }) => {
                 className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 flex items-center justify-center"
               >
                 <Camera className="w-5 h-5 mr-2" />
-                Open Camera
+                {isBatch && session.shots.length > 0 ? 'Take More Photos' : 'Open Camera'}
               </button>
               
               <button
@@ -299,9 +555,22 @@ const CameraPage = ({ onAddItems }) => {
                 className="w-full bg-gray-200 text-gray-800 py-3 rounded-lg font-medium hover:bg-gray-300 flex items-center justify-center"
               >
                 <Upload className="w-5 h-5 mr-2" />
-                Upload Photo
+                {isBatch ? 'Upload Photos' : 'Upload Photo'}
               </button>
             </div>
+
+            {isBatch && (
+              <div className="mt-6 text-left">
+                <ScanQueue
+                  shots={session.shots}
+                  progress={session.progress}
+                  itemCount={batch.items.length}
+                  onRetry={session.retry}
+                  onRemove={session.remove}
+                  onReview={reviewBatch}
+                />
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -310,6 +579,7 @@ const CameraPage = ({ onAddItems }) => {
         ref={fileInputRef}
         type="file"
         accept="image/*"
+        multiple={isBatch}
         onChange={handleFileUpload}
         className="hidden"
       />
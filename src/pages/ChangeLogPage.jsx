@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { ArrowLeft, Download, History, RefreshCw } from 'lucide-react';
+import { useItemStore } from '../hooks/useItems';
+import { itemRepository } from '../utils/itemRepository';
+import { describeItemEvent, describeActor } from '../utils/itemEvents';
+
+const RECENT_EVENTS = 100;
+
+// Every change made to items in this household, with an export of the whole log
+// and a way to rebuild the items from it
+const ChangeLogPage = () => {
+  const store = useItemStore();
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    itemRepository
+      .getAllEvents()
+      .then(setEvents)
+      .catch(error => toast.error(error.message));
+  }, []);
+
+  const recentEvents = events.slice(-RECENT_EVENTS).reverse();
+
+  const handleExport = () => {
+    const data = JSON.stringify({ exportedAt: new Date().toISOString(), events }, null, 2);
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `grocery-change-log-${format(new Date(), 'yyyy-MM-dd')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleRebuild = async () => {
+    if (!window.confirm('Replace your items with the ones the change log leaves? Use this when items went missing or look wrong.')) return;
+    try {
+      const count = await itemRepository.rebuildFromEvents();
+      await store.load();
+      toast.success(`Rebuilt ${count} ${count === 1 ? 'item' : 'items'} from the change log`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white min-h-screen">
+      <div className="p-4 pb-20">
+        <Link to="/settings" className="inline-flex items-center text-sm text-blue-600 mb-4">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Settings
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Change log</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          Every item added, edited or deleted is recorded here, and kept when the item is gone.
+        </p>
+
+        <div className="space-y-6">
+          <div className="flex gap-2">
+            <button
+              onClick={handleExport}
+              disabled={events.length === 0}
+              className="flex-1 bg-blue-600 text-white py-2 rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center"
+            >
+              <Download className="w-4 h-4 mr-1" />
+              Export
+            </button>
+            <button
+              onClick={handleRebuild}
+              disabled={events.length === 0}
+              className="flex-1 bg-gray-200 text-gray-800 py-2 rounded-md text-sm font-medium hover:bg-gray-300 disabled:opacity-50 flex items-center justify-center"
+            >
+              <RefreshCw className="w-4 h-4 mr-1" />
+              Rebuild items
+            </button>
+          </div>
+
+          <section className="space-y-2">
+            <h2 className="flex items-center text-sm font-medium text-gray-700">
+              <History className="w-4 h-4 mr-2" />
+              {events.length > RECENT_EVENTS ? `Latest ${RECENT_EVENTS} of ${events.length} changes` : 'Changes'}
+            </h2>
+            {recentEvents.length === 0 ? (
+              <p className="text-xs text-gray-500">Nothing recorded yet.</p>
+            ) : (
+              <ul className="divide-y border rounded-md">
+                {recentEvents.map(event => (
+                  <li key={event.id} className="p-3 text-sm">
+                    <p className="font-medium text-gray-900 truncate">{event.name || 'Unnamed item'}</p>
+                    <p className="text-gray-700">{describeItemEvent(event)}</p>
+                    <p className="text-xs text-gray-500">
+                      {[format(parseISO(event.at), 'MMM dd, yyyy HH:mm'), describeActor(event)].filter(Boolean).join(' · ')}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangeLogPage;
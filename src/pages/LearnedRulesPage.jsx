@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, ArrowRight, Calendar, Tag, Trash2 } from 'lucide-react';
+import { learnedRulesStorage } from '../utils/storage';
+import { getLearnedRules, removeAlias, removeDateRule } from '../utils/learnedRules';
+import { DATE_FORMAT_LABELS, DATE_ORDER_LABELS, getLearnedDateOrders } from '../utils/dateParsing';
+
+// What the scanner has learned from review corrections, with a way to forget any of it
+const LearnedRulesPage = () => {
+  const [rules, setRules] = useState(() => getLearnedRules());
+  const learnedOrders = getLearnedDateOrders(rules.dateOrders);
+  const dateFormats = Object.keys(rules.dateOrders);
+
+  const forgetAll = () => {
+    if (!window.confirm('Forget everything learned from your corrections?')) return;
+    learnedRulesStorage.clear();
+    setRules(getLearnedRules());
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white min-h-screen">
+      <div className="p-4 pb-20">
+        <Link to="/settings" className="inline-flex items-center text-sm text-blue-600 mb-4">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Settings
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900 mb-6">Learned from corrections</h1>
+
+        <div className="space-y-6">
+          <section className="space-y-2">
+            <h2 className="flex items-center text-sm font-medium text-gray-700">
+              <Tag className="w-4 h-4 mr-2" />
+              Name corrections
+            </h2>
+            {rules.aliases.length === 0 ? (
+              <p className="text-xs text-gray-500">
+                Names you fix when reviewing a scan are remembered here and applied to similar text next time.
+              </p>
+            ) : (
+              <ul className="divide-y border rounded-md">
+                {rules.aliases.map(alias => (
+                  <li key={alias.id} className="flex items-center justify-between p-3 text-sm">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-mono text-gray-500 truncate">{alias.from}</span>
+                        <ArrowRight className="w-3 h-3 text-gray-400 shrink-0" />
+                        <span className="font-medium text-gray-900 truncate">{alias.to}</span>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        Corrected {alias.count} {alias.count === 1 ? 'time' : 'times'}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setRules(removeAlias(alias.id))}
+                      className="p-2 text-red-500 hover:bg-red-50 rounded-md"
+                      aria-label={`Forget ${alias.from}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="space-y-2">
+            <h2 className="flex items-center text-sm font-medium text-gray-700">
+              <Calendar className="w-4 h-4 mr-2" />
+              Date readings
+            </h2>
+            {dateFormats.length === 0 ? (
+              <p className="text-xs text-gray-500">
+                When a date like 05/04 could be read two ways, the reading you keep is counted here.
+                After a few confirmations it is tried first.
+              </p>
+            ) : (
+              <ul className="divide-y border rounded-md">
+                {dateFormats.map(dateFormat => (
+                  <li key={dateFormat} className="flex items-center justify-between p-3 text-sm">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {DATE_FORMAT_LABELS[dateFormat] || dateFormat}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {Object.entries(rules.dateOrders[dateFormat])
+                          .map(([order, count]) => `${DATE_ORDER_LABELS[order] || order} × ${count}`)
+                          .join(', ')}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {learnedOrders[dateFormat]
+                          ? `Read as ${DATE_ORDER_LABELS[learnedOrders[dateFormat]]} first`
+                          : 'Not settled yet, so the date format setting decides'}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setRules(removeDateRule(dateFormat))}
+                      className="p-2 text-red-500 hover:bg-red-50 rounded-md"
+                      aria-label={`Forget ${DATE_FORMAT_LABELS[dateFormat] || dateFormat}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {(rules.aliases.length > 0 || dateFormats.length > 0) && (
+            <button
+              onClick={forgetAll}
+              className="w-full py-2 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50"
+            >
+              Forget everything
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LearnedRulesPage;
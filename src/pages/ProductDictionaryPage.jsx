@@ -0,0 +1,228 @@
+import { useMemo, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { ArrowLeft, Pencil, Plus, RotateCcw, Search, Trash2, Upload } from 'lucide-react';
+import { PRODUCT_CATEGORIES } from '../utils/productCatalog';
+import { getProductDictionary, saveProduct, removeProduct, importProducts } from '../utils/productDictionary';
+
+const EMPTY_FORM = { id: null, name: '', category: 'other', shelfLifeDays: '', synonyms: '' };
+
+// Browse the product dictionary used to recognize scanned names, and add, edit or import entries
+const ProductDictionaryPage = () => {
+  const [products, setProducts] = useState(() => getProductDictionary());
+  const [query, setQuery] = useState('');
+  const [form, setForm] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const refresh = () => setProducts(getProductDictionary());
+
+  const visibleProducts = useMemo(() => {
+    const search = query.trim().toLowerCase();
+    const matching = search
+      ? products.filter(product =>
+          [product.name, ...product.synonyms].some(term => term.toLowerCase().includes(search))
+        )
+      : products.filter(product => !product.isBuiltIn);
+    return matching.slice(0, 100);
+  }, [products, query]);
+
+  const categoryLabel = (value) =>
+    PRODUCT_CATEGORIES.find(category => category.value === value)?.label || 'Other';
+
+  const editProduct = (product) => {
+    setForm({
+      id: product.id,
+      name: product.name,
+      category: product.category,
+      shelfLifeDays: String(product.shelfLifeDays),
+      synonyms: product.synonyms.join(', ')
+    });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      saveProduct({ ...form, id: form.id || undefined });
+      toast.success(`Saved ${form.name.trim()}`);
+      setForm(null);
+      refresh();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRemove = (product) => {
+    removeProduct(product.id);
+    toast.success(product.id.startsWith('builtin:') ? `Restored ${product.name}` : `Removed ${product.name}`);
+    refresh();
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const { added, updated, skipped } = importProducts(await file.text());
+      toast.success(`Imported ${added} new and ${updated} updated products${skipped ? `, skipped ${skipped}` : ''}`);
+      refresh();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white min-h-screen">
+      <div className="p-4 pb-20">
+        <Link to="/settings" className="inline-flex items-center text-sm text-blue-600 mb-4">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Settings
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Product dictionary</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          Scanned text is matched against these names and synonyms. Category and shelf life are
+          used for new items.
+        </p>
+
+        <div className="space-y-4">
+          <div className="flex gap-2">
+            <button
+              onClick={() => setForm(EMPTY_FORM)}
+              className="flex-1 bg-blue-600 text-white py-2 rounded-md text-sm font-medium hover:bg-blue-700 flex items-center justify-center"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add product
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="flex-1 bg-gray-200 text-gray-800 py-2 rounded-md text-sm font-medium hover:bg-gray-300 flex items-center justify-center"
+            >
+              <Upload className="w-4 h-4 mr-1" />
+              Import
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              onChange={handleImport}
+              className="hidden"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Import a JSON list of entries or CSV lines of name, category, shelf life in days and
+            synonyms separated by semicolons.
+          </p>
+
+          {form && (
+            <form onSubmit={handleSave} className="border rounded-lg p-3 space-y-2">
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                placeholder="Product name"
+                autoFocus
+                required
+              />
+              <div className="flex gap-2">
+                <select
+                  value={form.category}
+                  onChange={(e) => setForm({ ...form, category: e.target.value })}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  {PRODUCT_CATEGORIES.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.shelfLifeDays}
+                  onChange={(e) => setForm({ ...form, shelfLifeDays: e.target.value })}
+                  className="w-28 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  placeholder="Days"
+                />
+              </div>
+              <input
+                type="text"
+                value={form.synonyms}
+                onChange={(e) => setForm({ ...form, synonyms: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                placeholder="Synonyms, separated by commas"
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-md text-sm font-medium hover:bg-blue-700"
+                >
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="flex-1 bg-gray-200 text-gray-800 py-2 rounded-md text-sm font-medium hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm"
+              placeholder={`Search ${products.length} products`}
+            />
+          </div>
+
+          {visibleProducts.length === 0 ? (
+            <p className="text-xs text-gray-500">
+              {query ? 'No products match.' : 'Your own and edited products are listed here. Search to browse the built-in ones.'}
+            </p>
+          ) : (
+            <ul className="divide-y border rounded-md">
+              {visibleProducts.map(product => (
+                <li key={product.id} className="flex items-center justify-between p-3 text-sm">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{product.name}</p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {categoryLabel(product.category)} &middot; keeps {product.shelfLifeDays} days
+                      {product.synonyms.length > 0 && ` · ${product.synonyms.join(', ')}`}
+                    </p>
+                  </div>
+                  <div className="flex shrink-0">
+                    <button
+                      onClick={() => editProduct(product)}
+                      className="p-2 text-gray-500 hover:bg-gray-100 rounded-md"
+                      aria-label={`Edit ${product.name}`}
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    {!product.isBuiltIn && (
+                      <button
+                        onClick={() => handleRemove(product)}
+                        className="p-2 text-red-500 hover:bg-red-50 rounded-md"
+                        aria-label={product.id.startsWith('builtin:') ? `Restore ${product.name}` : `Remove ${product.name}`}
+                      >
+                        {product.id.startsWith('builtin:') ? <RotateCcw className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductDictionaryPage;
@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { BookOpen, Brain, Calendar, ChevronRight, History, Languages, ScanLine, Trash2 } from 'lucide-react';
+import { settingsStorage } from '../utils/storage';
+import { settingsRepository } from '../utils/settingsRepository';
+import { detectLocale, getDateOrderForLocale, DATE_ORDER_LABELS } from '../utils/dateParsing';
+import { listOCRProviders } from '../utils/ocrProcessing';
+import { OCR_LANGUAGES, DEFAULT_OCR_LANGUAGES } from '../utils/ocrLanguages';
+
+const LOCALE_OPTIONS = [
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'fr-FR', label: 'Français' },
+  { value: 'es-ES', label: 'Español' },
+  { value: 'it-IT', label: 'Italiano' },
+  { value: 'nl-NL', label: 'Nederlands' },
+  { value: 'ja-JP', label: '日本語' },
+  { value: 'zh-CN', label: '中文' }
+];
+
+const SettingsPage = () => {
+  // The localStorage copy is current, so the page can render the settings right away
+  const [settings, setSettings] = useState(() => settingsStorage.get());
+
+  // Show changes made in other tabs
+  useEffect(() => settingsRepository.subscribe(setSettings), []);
+
+  const updateSettings = (changes) => {
+    const updated = { ...settings, ...changes };
+    setSettings(updated);
+    settingsRepository.save(updated);
+  };
+
+  const updateOcrSettings = (changes) => {
+    updateSettings({ ocr: { ...settings.ocr, ...changes } });
+  };
+
+  const detectedLocale = detectLocale();
+  const locale = settings.locale || 'auto';
+  const activeLocale = locale === 'auto' ? detectedLocale : locale;
+  const ocrProvider = settings.ocr?.provider || 'local';
+  const ocrLanguages = settings.ocr?.languages || DEFAULT_OCR_LANGUAGES;
+
+  const toggleLanguage = (code) => {
+    const languages = ocrLanguages.includes(code)
+      ? ocrLanguages.filter(language => language !== code)
+      : [...ocrLanguages, code];
+    if (languages.length === 0) return;
+    updateOcrSettings({ languages });
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white min-h-screen">
+      <div className="p-4 pb-20">
+        <h1 className="text-2xl font-bold text-gray-900 mb-6">Settings</h1>
+
+        <div className="space-y-6">
+          <section className="space-y-2">
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <Calendar className="w-4 h-4 mr-2" />
+              Date format on labels
+            </label>
+            <select
+              value={locale}
+              onChange={(e) => updateSettings({ locale: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="auto">Automatic ({detectedLocale})</option>
+              {LOCALE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500">
+              Numeric dates are read as {DATE_ORDER_LABELS[getDateOrderForLocale(activeLocale)]} first.
+              Other readings are offered when reviewing a scan.
+            </p>
+          </section>
+
+          <section className="space-y-2">
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <ScanLine className="w-4 h-4 mr-2" />
+              Text recognition
+            </label>
+            <select
+              value={ocrProvider}
+              onChange={(e) => updateOcrSettings({ provider: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {listOCRProviders().map(provider => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.label}
+                </option>
+              ))}
+            </select>
+            {ocrProvider === 'http' && (
+              <input
+                type="url"
+                value={settings.ocr?.serverUrl || ''}
+                onChange={(e) => updateOcrSettings({ serverUrl: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                placeholder="http://localhost:8884"
+              />
+            )}
+          </section>
+
+          <section className="space-y-2">
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <Languages className="w-4 h-4 mr-2" />
+              Label languages
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {Object.entries(OCR_LANGUAGES).map(([code, language]) => (
+                <label key={code} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={ocrLanguages.includes(code)}
+                    disabled={ocrLanguages.length === 1 && ocrLanguages.includes(code)}
+                    onChange={() => toggleLanguage(code)}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{language.label}</span>
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500">
+              Expiry keywords and month names are recognized in every selected language.
+              Each extra language adds to the on-device download.
+            </p>
+          </section>
+
+          <Link
+            to="/settings/products"
+            className="flex items-center justify-between p-3 border border-gray-200 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <span className="flex items-center font-medium">
+              <BookOpen className="w-4 h-4 mr-2" />
+              Product dictionary
+            </span>
+            <ChevronRight className="w-4 h-4 text-gray-400" />
+          </Link>
+
+          <Link
+            to="/settings/learned"
+            className="flex items-center justify-between p-3 border border-gray-200 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <span className="flex items-center font-medium">
+              <Brain className="w-4 h-4 mr-2" />
+              Learned from corrections
+            </span>
+            <ChevronRight className="w-4 h-4 text-gray-400" />
+          </Link>
+
+          <Link
+            to="/settings/trash"
+            className="flex items-center justify-between p-3 border border-gray-200 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <span className="flex items-center font-medium">
+              <Trash2 className="w-4 h-4 mr-2" />
+              Trash
+            </span>
+            <ChevronRight className="w-4 h-4 text-gray-400" />
+          </Link>
+
+          <Link
+            to="/settings/changes"
+            className="flex items-center justify-between p-3 border border-gray-200 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <span className="flex items-center font-medium">
+              <History className="w-4 h-4 mr-2" />
+              Change log
+            </span>
+            <ChevronRight className="w-4 h-4 text-gray-400" />
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { ArrowLeft, Clock, RotateCcw, Trash2 } from 'lucide-react';
+import useItems, { useItemStore } from '../hooks/useItems';
+import { selectTrash } from '../utils/itemStore';
+import { getPurgeDate } from '../utils/itemRepository';
+import { settingsStorage, getDefaultSettings } from '../utils/storage';
+import { settingsRepository } from '../utils/settingsRepository';
+
+const RETENTION_OPTIONS = [
+  { value: 7, label: '1 week' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 0, label: 'Until I empty it' }
+];
+
+// Deleted items, to put back or delete for good; old ones are emptied out on startup
+const TrashPage = () => {
+  const store = useItemStore();
+  const trash = useItems(selectTrash);
+  const [settings, setSettings] = useState(() => settingsStorage.get());
+  const retentionDays = settings.trash?.retentionDays ?? getDefaultSettings().trash.retentionDays;
+
+  const updateRetention = (days) => {
+    const updated = { ...settings, trash: { ...settings.trash, retentionDays: days } };
+    setSettings(updated);
+    settingsRepository.save(updated);
+  };
+
+  const restore = async (item) => {
+    try {
+      await store.restoreMany([item]);
+      toast.success(`Restored ${item.name}`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const purge = async (items, question) => {
+    if (!window.confirm(question)) return;
+    try {
+      await store.purgeMany(items.map(item => item.id));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white min-h-screen">
+      <div className="p-4 pb-20">
+        <Link to="/settings" className="inline-flex items-center text-sm text-blue-600 mb-4">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Settings
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900 mb-6">Trash</h1>
+
+        <div className="space-y-6">
+          <section className="space-y-2">
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <Clock className="w-4 h-4 mr-2" />
+              Keep deleted items
+            </label>
+            <select
+              value={retentionDays}
+              onChange={(e) => updateRetention(Number(e.target.value))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {RETENTION_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500">
+              Older items are deleted for good the next time the app starts.
+            </p>
+          </section>
+
+          <section className="space-y-2">
+            <h2 className="flex items-center text-sm font-medium text-gray-700">
+              <Trash2 className="w-4 h-4 mr-2" />
+              Deleted items
+            </h2>
+            {trash.length === 0 ? (
+              <p className="text-xs text-gray-500">
+                Items you delete wait here, so they can still be put back.
+              </p>
+            ) : (
+              <ul className="divide-y border rounded-md">
+                {trash.map(item => {
+                  const purgeDate = getPurgeDate(item, retentionDays);
+                  return (
+                    <li key={item.id} className="flex items-center justify-between p-3 text-sm">
+                      <div className="min-w-0">
+                        <p className="font-medium text-gray-900 truncate">{item.name}</p>
+                        <p className="text-xs text-gray-500">
+                          Deleted {format(parseISO(item.deletedAt), 'MMM dd, yyyy')}
+                          {purgeDate && `, gone after ${format(purgeDate, 'MMM dd')}`}
+                        </p>
+                      </div>
+                      <div className="flex shrink-0">
+                        <button
+                          onClick={() => restore(item)}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-md"
+                          aria-label={`Restore ${item.name}`}
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => purge([item], `Delete ${item.name} for good?`)}
+                          className="p-2 text-red-500 hover:bg-red-50 rounded-md"
+                          aria-label={`Delete ${item.name} for good`}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+
+          {trash.length > 0 && (
+            <button
+              onClick={() => purge(trash, `Delete all ${trash.length} items in the trash for good?`)}
+              className="w-full py-2 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50"
+            >
+              Empty trash
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashPage;
@@ -0,0 +1,129 @@
+// Barcode detection on camera frames: EAN-13, UPC-A and QR codes via the ZXing decoder
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource
+} from '@zxing/library';
+import { toGrayscale } from './imageFilters.js';
+
+// Frames are scaled down to this width before decoding; bars stay readable and decoding stays fast
+const MAX_FRAME_WIDTH = 960;
+const DEFAULT_INTERVAL_MS = 300;
+// The same code must be read on this many frames in a row before it is reported
+const CONFIRM_FRAMES = 2;
+// A code that was just reported is not reported again for this long
+const REPEAT_DELAY_MS = 3000;
+
+/**
+ * Our names for the formats the decoder looks for
+ */
+export const BARCODE_FORMATS = {
+  [BarcodeFormat.EAN_13]: 'ean13',
+  [BarcodeFormat.UPC_A]: 'upca',
+  [BarcodeFormat.QR_CODE]: 'qr'
+};
+
+let reader = null;
+
+const getReader = () => {
+  if (!reader) {
+    reader = new MultiFormatReader();
+    const hints = new Map();
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, Object.keys(BARCODE_FORMATS).map(Number));
+    reader.setHints(hints);
+  }
+  return reader;
+};
+
+/**
+ * Catalog key for a decoded code. UPC-A is EAN-13 with a leading zero, so both
+ * spellings of the same product share one key; QR codes keep their text.
+ */
+export const normalizeBarcode = (format, text) => {
+  if (format === 'upca' && /^\d{12}$/.test(text)) return `0${text}`;
+  return text.trim();
+};
+
+/**
+ * Decode the first supported barcode in an RGBA image (`{ width, height, data }`,
+ * e.g. canvas ImageData). Returns `{ format, text, code }` where `code` is the
+ * normalized catalog key, or null when nothing was found.
+ */
+export const decodeBarcode = (image) => {
+  const { width, height, data } = toGrayscale(image);
+  const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(data, width, height)));
+
+  try {
+    const result = getReader().decodeWithState(bitmap);
+    const format = BARCODE_FORMATS[result.getBarcodeFormat()];
+    if (!format) return null;
+
+    const text = result.getText();
+    return { format, text, code: normalizeBarcode(format, text) };
+  } catch {
+    // The decoder throws NotFound/Checksum/Format errors for frames without a readable code
+    return null;
+  } finally {
+    getReader().reset();
+  }
+};
+
+/**
+ * Read the current video frame into a scaled-down ImageData
+ */
+const grabFrame = (video, canvas) => {
+  const scale = Math.min(1, MAX_FRAME_WIDTH / video.videoWidth);
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, canvas.width, canvas.height);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Continuously decode frames from a playing <video> element.
+ * Calls `onDetect({ format, text, code })` once a code has been read on
+ * consecutive frames, and not again for the same code until it has been out of view for a few seconds.
+ * Stops when `signal` aborts or when the returned function is called.
+ */
+export const startBarcodeScanner = (video, { onDetect, interval = DEFAULT_INTERVAL_MS, signal } = {}) => {
+  const canvas = document.createElement('canvas');
+  let timer = null;
+  let stopped = false;
+  let candidate = null;
+  let streak = 0;
+  const lastReported = new Map();
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+
+  const tick = () => {
+    if (stopped) return;
+
+    if (video.readyState >= video.HAVE_CURRENT_DATA && video.videoWidth > 0) {
+      const result = decodeBarcode(grabFrame(video, canvas));
+
+      streak = result && result.code === candidate ? streak + 1 : Number(Boolean(result));
+      candidate = result?.code || null;
+
+      if (result && streak >= CONFIRM_FRAMES) {
+        const now = Date.now();
+        const seenAt = lastReported.get(result.code) || 0;
+        lastReported.set(result.code, now);
+        if (now - seenAt > REPEAT_DELAY_MS) onDetect?.(result);
+      }
+    }
+
+    timer = setTimeout(tick, interval);
+  };
+
+  signal?.addEventListener('abort', stop, { once: true });
+  tick();
+  return stop;
+};
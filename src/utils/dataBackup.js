@@ -0,0 +1,100 @@
+// Backups of everything the app stores: export to JSON, import a backup back, or clear it all.
+// Items, settings and notifications live in the storage backend, the OCR rules in localStorage.
+import {
+  STORAGE_KEYS,
+  settingsStorage,
+  learnedRulesStorage,
+  productDictionaryStorage
+} from './storage.js';
+import { getStorageBackend } from './storageBackends.js';
+import { itemRepository } from './itemRepository.js';
+import { settingsRepository } from './settingsRepository.js';
+import { migrateState, SCHEMA_VERSION } from './storageMigrations.js';
+
+/**
+ * Everything stored as a JSON string, items in the trash included, stamped with
+ * the schema version it was written in. Resolves to null when it cannot be read.
+ */
+export const exportData = async () => {
+  try {
+    const backend = await getStorageBackend();
+    const data = {
+      items: [...(await itemRepository.getAll()), ...(await itemRepository.getDeleted())],
+      settings: (await backend.settings.get()) || settingsStorage.get(),
+      notifications: await backend.notifications.getAll(),
+      learnedRules: learnedRulesStorage.get(),
+      productDictionary: productDictionaryStorage.get(),
+      schemaVersion: SCHEMA_VERSION,
+      exportDate: new Date().toISOString()
+    };
+    return JSON.stringify(data, null, 2);
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    return null;
+  }
+};
+
+/**
+ * Replace the stored data with a backup made by exportData. Backups from older
+ * versions of the app (version 0 when they have no stamp) are upgraded by the
+ * schema migrations first, and the imported items are logged as imported.
+ * Resolves to false when the backup cannot be read or saved.
+ */
+export const importData = async (jsonData) => {
+  try {
+    const data = JSON.parse(jsonData);
+    const state = migrateState({
+      items: Array.isArray(data.items) ? data.items : null,
+      legacyItems: null,
+      settings: data.settings || null,
+      notifications: Array.isArray(data.notifications) ? data.notifications : null
+    }, data.schemaVersion || 0);
+
+    if (state.items) {
+      await itemRepository.replaceAll(state.items);
+    }
+
+    if (state.settings) {
+      await settingsRepository.save(state.settings);
+    }
+
+    if (state.notifications) {
+      await (await getStorageBackend()).notifications.saveAll(state.notifications);
+    }
+
+    if (data.learnedRules) {
+      learnedRulesStorage.save(data.learnedRules);
+    }
+
+    if (data.productDictionary && Array.isArray(data.productDictionary)) {
+      productDictionaryStorage.save(data.productDictionary);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error importing data:', error);
+    return false;
+  }
+};
+
+/**
+ * Delete everything the app stores, in the storage backend and in localStorage
+ */
+export const clearAllData = async () => {
+  try {
+    const backend = await getStorageBackend();
+    await Promise.all([
+      backend.items.clear(),
+      backend.events.clear(),
+      backend.settings.clear(),
+      backend.notifications.clear()
+    ]);
+    Object.values(STORAGE_KEYS).forEach(key => {
+      localStorage.removeItem(key);
+    });
+    return true;
+  } catch (error) {
+    console.error('Error clearing all data:', error);
+    return false;
+  }
+};
@@ -0,0 +1,389 @@
+// Date recognition for label text: finds date strings and ranks the possible readings of each
+import { differenceInCalendarDays, endOfMonth, format, startOfDay } from 'date-fns';
+import { settingsStorage, learnedRulesStorage, storageUtils } from './storage.js';
+import { getMonthNames, buildMonthPattern, findDateKind } from './ocrLanguages.js';
+
+/**
+ * Field orders a numeric date can be written in
+ */
+export const DATE_ORDERS = ['MDY', 'DMY', 'YMD'];
+
+/**
+ * How each field order is written, for display
+ */
+export const DATE_ORDER_LABELS = {
+  MDY: 'MM/DD/YYYY',
+  DMY: 'DD/MM/YYYY',
+  YMD: 'YYYY/MM/DD'
+};
+
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_ORDER = 'MDY';
+
+// Alternatives scoring within this margin of the best reading are reported as ambiguous
+const AMBIGUITY_MARGIN = 0.3;
+
+// Score bonus for the locale's field order. Kept below AMBIGUITY_MARGIN, so two
+// equally plausible readings stay ambiguous and the review asks which one is meant.
+const LOCALE_ORDER_BONUS = 0.2;
+
+// Score bonus for a field order the user settled on in earlier reviews: enough to
+// pick it without asking again
+const LEARNED_ORDER_BONUS = 0.4;
+
+// A field order confirmed this many times for a format, and more often than any other, is preferred for it
+const MIN_ORDER_CONFIRMATIONS = 2;
+
+// Bare digit codes (250318, 25077) only count as dates within this many years of today
+const MAX_CODE_YEAR_DISTANCE = 5;
+
+/**
+ * Human-readable names for the `format` tag on every parsed date
+ */
+export const DATE_FORMAT_LABELS = {
+  numeric: 'Numeric date',
+  iso: 'ISO date (YYYY-MM-DD)',
+  japanese: 'Japanese date (年月日)',
+  'month-name': 'Written month',
+  'day-month-code': 'Coded date (DDMONYY)',
+  yymmdd: 'Compact date (YYMMDD)',
+  julian: 'Julian date (YYDDD)',
+  'month-year': 'Month and year only',
+  'day-month': 'Day and month only'
+};
+
+/**
+ * Common date patterns found in grocery items, most specific first: text already
+ * claimed by an earlier pattern is not read again by a later one.
+ * `orders` lists the readings a match allows, with capture groups mapped to
+ * year/month/day by `read`; a reading without `day` means the end of that month
+ * and `dayOfYear` replaces month and day for Julian codes. `format` tags every
+ * date with how it was written, and `isCode` marks bare codes whose matches are
+ * dropped rather than reported when they do not form a valid date. Bare codes
+ * are plain digits that store, batch and reference numbers also are, so they
+ * only count after a date keyword on their line ("EXP 250318").
+ * Month-name patterns are built from the month spellings of the active languages.
+ */
+const buildDatePatterns = (months) => {
+  const monthName = buildMonthPattern(months);
+  const patterns = [
+    // 12/05/2025, 12-05-25, 12.05.2025: month and day positions depend on the locale
+    {
+      format: 'numeric',
+      regex: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/g,
+      orders: ['MDY', 'DMY'],
+      read: ([, first, second, year], order) => (order === 'MDY'
+        ? { year, month: first, day: second }
+        : { year, month: second, day: first })
+    },
+    // YYYY-MM-DD
+    {
+      format: 'iso',
+      regex: /\b(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})\b/g,
+      orders: ['YMD'],
+      read: ([, year, month, day]) => ({ year, month, day })
+    },
+    // 2025年4月5日
+    {
+      format: 'japanese',
+      regex: /(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/g,
+      orders: ['YMD'],
+      read: ([, year, month, day]) => ({ year, month, day })
+    }
+  ];
+
+  if (monthName) {
+    patterns.push(
+      // Month DD, YYYY or Month DD YYYY
+      {
+        format: 'month-name',
+        regex: new RegExp(`${monthName}\\s+(\\d{1,2}),?\\s+(\\d{4})`, 'giu'),
+        orders: ['MDY'],
+        read: ([, month, day, year]) => ({ year, month, day })
+      },
+      // DD Month YYYY, 5. April 2025, 5 de abril de 2025
+      {
+        format: 'month-name',
+        regex: new RegExp(`(\\d{1,2})\\.?\\s+(?:de\\s+)?${monthName}\\s+(?:de\\s+)?(\\d{4})`, 'giu'),
+        orders: ['DMY'],
+        read: ([, day, month, year]) => ({ year, month, day })
+      },
+      // 18MAR25, 18 MAR 25
+      {
+        format: 'day-month-code',
+        regex: new RegExp(`(?<!\\d)(\\d{1,2}) ?${monthName} ?(\\d{2})(?!\\d)`, 'giu'),
+        orders: ['DMY'],
+        read: ([, day, month, year]) => ({ year, month, day })
+      }
+    );
+  }
+
+  patterns.push(
+    // 250318
+    {
+      format: 'yymmdd',
+      isCode: true,
+      regex: /\b(\d{2})(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])\b/g,
+      orders: ['YMD'],
+      read: ([, year, month, day]) => ({ year, month, day })
+    },
+    // 25077: two-digit year and day of the year
+    {
+      format: 'julian',
+      isCode: true,
+      regex: /\b(\d{2})(00[1-9]|0[1-9]\d|[12]\d{2}|3[0-5]\d|36[0-6])\b/g,
+      orders: ['YMD'],
+      read: ([, year, dayOfYear]) => ({ year, dayOfYear })
+    },
+    // EXP 03 25, 3/2025, 03-25: month and year only. Dots are left out so prices do not
+    // match, and a space only separates a two-digit month
+    {
+      format: 'month-year',
+      regex: /\b(?:(0[1-9]|1[0-2]) |(0?[1-9]|1[0-2])[/-])(\d{4}|\d{2})\b/g,
+      orders: ['YMD'],
+      read: ([, spacedMonth, month, year]) => ({ year, month: spacedMonth || month })
+    }
+  );
+
+  if (monthName) {
+    patterns.push(
+      // MAR25, MAR 2025, MAR-25: month and year only
+      {
+        format: 'month-year',
+        regex: new RegExp(`${monthName}(?:[-/]?(\\d{2})|[ /-]?(\\d{4}))(?!\\d)`, 'giu'),
+        orders: ['YMD'],
+        read: ([, month, shortYear, year]) => ({ year: year || shortYear, month })
+      },
+      // EXP 25MAR: day and month, in the year that makes it the next such date
+      {
+        format: 'day-month',
+        regex: new RegExp(`(?<!\\d)(\\d{1,2}) ?${monthName}(?! ?\\d)`, 'giu'),
+        orders: ['DMY'],
+        read: ([, day, month], order, today) => ({ year: String(inferYear(day, month, months, today)), month, day })
+      }
+    );
+  }
+
+  return patterns;
+};
+
+const toNumber = (value, months) => {
+  if (/^\d+$/.test(value)) return Number(value);
+  return months[value.toLowerCase()] || NaN;
+};
+
+/**
+ * Build a local date, rejecting impossible combinations such as 31/02.
+ * Without a day the date is the last day of the month (labels printing only
+ * month and year are good until the month ends); `dayOfYear` reads Julian codes.
+ */
+const buildDate = ({ year, month, day, dayOfYear }, months) => {
+  let fullYear = toNumber(year, months);
+  if (String(year).length === 2) fullYear += 2000;
+
+  if (dayOfYear !== undefined) {
+    const date = new Date(fullYear, 0, Number(dayOfYear));
+    return date.getFullYear() === fullYear ? date : null;
+  }
+
+  const monthNumber = toNumber(month, months);
+  if (!(monthNumber >= 1 && monthNumber <= 12)) return null;
+  if (day === undefined) return startOfDay(endOfMonth(new Date(fullYear, monthNumber - 1, 1)));
+
+  const dayNumber = toNumber(day, months);
+  const date = new Date(fullYear, monthNumber - 1, dayNumber);
+  const matches = date.getFullYear() === fullYear
+    && date.getMonth() === monthNumber - 1
+    && date.getDate() === dayNumber;
+  return matches ? date : null;
+};
+
+/**
+ * Year for a day and month printed without one: this year, or next year when
+ * this year's date is more than a week gone
+ */
+const inferYear = (day, month, months, today) => {
+  const year = today.getFullYear();
+  const date = new Date(year, toNumber(month, months) - 1, toNumber(day, months));
+  return differenceInCalendarDays(date, startOfDay(today)) < -7 ? year + 1 : year;
+};
+
+/**
+ * How believable a date is as a grocery expiry date, from 0 to 1.
+ * Most fresh and chilled goods expire within two months, pantry goods within a
+ * year or two; dates long past are more likely misreads than real labels.
+ */
+export const scoreDatePlausibility = (date, today = new Date()) => {
+  const days = differenceInCalendarDays(date, startOfDay(today));
+  if (days >= -7 && days <= 60) return 1;
+  if (days > 60) return Math.max(0.1, 1 - (days - 60) / 1100);
+  return Math.max(0.05, 1 - (-7 - days) / 90);
+};
+
+/**
+ * Field order used by a locale, e.g. 'en-US' -> 'MDY', 'de-DE' -> 'DMY', 'ja-JP' -> 'YMD'
+ */
+export const getDateOrderForLocale = (locale) => {
+  try {
+    const order = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(2001, 10, 22))
+      .filter(part => ['year', 'month', 'day'].includes(part.type))
+      .map(part => part.type[0].toUpperCase())
+      .join('');
+    return DATE_ORDERS.includes(order) ? order : DEFAULT_ORDER;
+  } catch {
+    return DEFAULT_ORDER;
+  }
+};
+
+/**
+ * Locale detected from the browser
+ */
+export const detectLocale = () =>
+  (typeof navigator !== 'undefined' && navigator.language) || DEFAULT_LOCALE;
+
+/**
+ * Locale chosen in settings, or the detected one when set to 'auto'
+ */
+export const getPreferredLocale = () => {
+  const configured = storageUtils.isStorageAvailable() ? settingsStorage.get().locale : null;
+  return configured && configured !== 'auto' ? configured : detectLocale();
+};
+
+/**
+ * Field order preferred per date format from the orders the user confirmed in
+ * scan reviews, e.g. { numeric: 'DMY' }. Reads the learned rules from storage
+ * unless `dateOrders` (format -> order -> count) is given.
+ */
+export const getLearnedDateOrders = (dateOrders) => {
+  const counts = dateOrders || (storageUtils.isStorageAvailable() ? learnedRulesStorage.get().dateOrders : {});
+
+  return Object.fromEntries(
+    Object.entries(counts)
+      .map(([format, orderCounts]) => {
+        const [best, runnerUp] = Object.entries(orderCounts).sort((a, b) => b[1] - a[1]);
+        const isSettled = best && best[1] >= MIN_ORDER_CONFIRMATIONS && (!runnerUp || best[1] > runnerUp[1]);
+        return isSettled ? [format, best[0]] : null;
+      })
+      .filter(Boolean)
+  );
+};
+
+/**
+ * All valid readings of one pattern match, best first.
+ * Each reading scores on plausibility as an expiry date plus a bonus when it
+ * follows the preferred field order: the one learned for the pattern's format,
+ * or else the locale's, which only breaks ties between equally plausible readings.
+ */
+const interpretMatch = (match, pattern, { order, learnedOrders, today, months }) => {
+  const learnedOrder = learnedOrders[pattern.format];
+  const preferredOrder = learnedOrder || order;
+  const preferenceBonus = learnedOrder ? LEARNED_ORDER_BONUS : LOCALE_ORDER_BONUS;
+
+  const seen = new Set();
+
+  return pattern.orders
+    .map(candidateOrder => {
+      const date = buildDate(pattern.read(match, candidateOrder, today), months);
+      if (!date) return null;
+      if (pattern.isCode && Math.abs(date.getFullYear() - today.getFullYear()) > MAX_CODE_YEAR_DISTANCE) {
+        return null;
+      }
+
+      const followsPreference = pattern.orders.length === 1 || candidateOrder === preferredOrder;
+      return {
+        date,
+        order: candidateOrder,
+        score: (1 - preferenceBonus) * scoreDatePlausibility(date, today) + (followsPreference ? preferenceBonus : 0)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .filter(candidate => {
+      const key = candidate.date.getTime();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Find every date-like string in `text`; bare codes only after a date keyword.
+ * Options: `locale` (defaults to the preferred locale), `languages` whose month
+ * names to recognize (defaults to the active languages), `today` (for ranking)
+ * and `learnedOrders` overriding the locale's field order per format (defaults
+ * to getLearnedDateOrders()).
+ * Each result has `text`, `context`, `index`, the `format` it was written in
+ * (see DATE_FORMAT_LABELS), the best reading as `date` (null when the string is
+ * not a valid date), `alternatives` holding the other valid readings as
+ * yyyy-MM-dd strings, and `isAmbiguous` when one of those alternatives scored
+ * close to the chosen reading.
+ */
+export const extractDates = (text, {
+  locale,
+  languages,
+  today = new Date(),
+  learnedOrders = getLearnedDateOrders()
+} = {}) => {
+  const order = getDateOrderForLocale(locale || getPreferredLocale());
+  const months = getMonthNames(languages);
+  const claimed = [];
+  const dates = [];
+
+  const isClaimed = (start, end) => claimed.some(([from, to]) => start < to && end > from);
+  const followsKeyword = (index) =>
+    findDateKind(text.substring(text.lastIndexOf('\n', index - 1) + 1, index), languages) !== null;
+
+  buildDatePatterns(months).forEach(pattern => {
+    let match;
+    while ((match = pattern.regex.exec(text)) !== null) {
+      const matchText = match[0];
+      const matchEnd = match.index + matchText.length;
+      if (isClaimed(match.index, matchEnd)) continue;
+      if (pattern.isCode && !followsKeyword(match.index)) continue;
+
+      const [best, ...others] = interpretMatch(match, pattern, { order, learnedOrders, today, months });
+      if (!best && pattern.isCode) continue;
+      claimed.push([match.index, matchEnd]);
+
+      const fullMatch = match.input.substring(
+        Math.max(0, match.index - 20),
+        Math.min(match.input.length, matchEnd + 20)
+      );
+
+      dates.push({
+        text: matchText,
+        context: fullMatch.trim(),
+        index: match.index,
+        format: pattern.format,
+        date: best ? best.date : null,
+        order: best ? best.order : null,
+        alternatives: others.map(candidate => format(candidate.date, 'yyyy-MM-dd')),
+        isAmbiguous: Boolean(best && others.some(candidate => best.score - candidate.score < AMBIGUITY_MARGIN))
+      });
+    }
+  });
+
+  return dates;
+};
+
+/**
+ * Every valid reading of a single printed date, e.g. "05/04/25", as
+ * `[{ date (yyyy-MM-dd), order }]`, best first. Used to tell which field order
+ * the user confirmed when they kept or picked one of the readings.
+ * Takes the same options as extractDates.
+ */
+export const getDateReadings = (text, { locale, languages, today = new Date(), learnedOrders = {} } = {}) => {
+  const order = getDateOrderForLocale(locale || getPreferredLocale());
+  const months = getMonthNames(languages);
+
+  for (const pattern of buildDatePatterns(months)) {
+    const match = pattern.regex.exec(text);
+    const readings = match ? interpretMatch(match, pattern, { order, learnedOrders, today, months }) : [];
+    // Like extractDates, a code that reads as no valid date leaves the text to later patterns
+    if (match && (readings.length > 0 || !pattern.isCode)) {
+      return readings.map(candidate => ({ date: format(candidate.date, 'yyyy-MM-dd'), order: candidate.order }));
+    }
+  }
+  return [];
+};
@@ -0,0 +1,90 @@
+// Fuzzy string matching for OCR text, where letters are often dropped or misread
+
+/**
+ * Levenshtein distance: the number of single-letter insertions, deletions and
+ * substitutions that turn `a` into `b`
+ */
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * How alike two strings are, from 0 (nothing in common) to 1 (identical), ignoring case
+ */
+export const similarity = (a, b) => {
+  const left = String(a).toLowerCase();
+  const right = String(b).toLowerCase();
+  const length = Math.max(left.length, right.length);
+  return length === 0 ? 1 : 1 - editDistance(left, right) / length;
+};
+
+// Chinese and Japanese scripts, written without spaces between words
+const CJK_LETTERS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\u30fc';
+const CJK_PATTERN = new RegExp(`[${CJK_LETTERS}]`, 'u');
+// One Chinese or Japanese character, or a run of other letters
+const TOKEN_PATTERN = new RegExp(`[${CJK_LETTERS}]|[^${CJK_LETTERS}]+`, 'gu');
+
+/**
+ * Whether a token is a Chinese or Japanese character
+ */
+export const isCjkToken = (token) => CJK_PATTERN.test(token);
+
+/**
+ * Lowercase words of a text with punctuation and digits removed. Chinese and
+ * Japanese have no spaces to split on, so each of their characters is a token
+ * ("明治牛乳" is 明, 治, 牛, 乳) and a name is found as a run of characters.
+ */
+export const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map(word => word.replace(/[^\p{L}]/gu, ''))
+    .flatMap(word => word.match(TOKEN_PATTERN) || []);
+
+/**
+ * Tokens back into text: spaces between words, none between Chinese or Japanese characters
+ */
+export const joinTokens = (tokens) =>
+  tokens.reduce((text, token, index) => {
+    if (index === 0) return token;
+    const separator = isCjkToken(token) && isCjkToken(tokens[index - 1]) ? '' : ' ';
+    return `${text}${separator}${token}`;
+  }, '');
+
+/**
+ * Best fuzzy occurrence of `phrase` in `text`, comparing it against every run of
+ * as many consecutive words. Returns `{ text, similarity }` for the closest run
+ * scoring at least `minSimilarity`, or null. Words of three letters or fewer
+ * must match exactly, since one wrong letter already makes them another word.
+ */
+export const findFuzzyPhrase = (text, phrase, minSimilarity = 0.8) => {
+  const words = tokenize(text);
+  const phraseWords = tokenize(phrase);
+  if (phraseWords.length === 0 || words.length < phraseWords.length) return null;
+
+  const target = joinTokens(phraseWords);
+  const isShort = target.length <= 3;
+  let best = null;
+
+  for (let start = 0; start + phraseWords.length <= words.length; start++) {
+    const candidate = joinTokens(words.slice(start, start + phraseWords.length));
+    const score = isShort ? Number(candidate === target) : similarity(candidate, target);
+    if (score >= minSimilarity && (!best || score > best.similarity)) {
+      best = { text: candidate, similarity: score };
+    }
+  }
+  return best;
+};
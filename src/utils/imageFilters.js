@@ -0,0 +1,241 @@
+// Pixel-level filters used to clean up label photos before OCR.
+// Everything here works on plain `{ width, height, data }` buffers so it runs
+// unchanged in a Web Worker or in Node.
+
+const WHITE = 255;
+const MAX_SKEW_DEGREES = 15;
+const SKEW_STEP_DEGREES = 0.5;
+const SKEW_SAMPLE_WIDTH = 400;
+
+/**
+ * Convert RGBA pixels to a single-channel luminance buffer
+ */
+export const toGrayscale = ({ width, height, data }) => {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return { width, height, data: gray };
+};
+
+/**
+ * Stretch the histogram so the 1st and 99th percentiles map to black and white.
+ * Glare on shiny packaging otherwise squeezes the print into a narrow grey band.
+ */
+export const normalizeContrast = ({ width, height, data }) => {
+  const histogram = new Uint32Array(256);
+  data.forEach(value => histogram[value]++);
+
+  const clip = data.length * 0.01;
+  let low = 0;
+  let high = 255;
+  for (let count = 0; low < 255 && count + histogram[low] <= clip; low++) count += histogram[low];
+  for (let count = 0; high > 0 && count + histogram[high] <= clip; high--) count += histogram[high];
+
+  if (high <= low) {
+    return { width, height, data: new Uint8ClampedArray(data) };
+  }
+
+  const scale = 255 / (high - low);
+  const stretched = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i++) {
+    stretched[i] = (data[i] - low) * scale;
+  }
+  return { width, height, data: stretched };
+};
+
+/**
+ * Bradley adaptive threshold: a pixel is ink when it is noticeably darker than
+ * the mean of its neighbourhood, which copes with uneven lighting across curved labels
+ */
+export const adaptiveThreshold = ({ width, height, data }, { windowRatio = 1 / 16, sensitivity = 0.15 } = {}) => {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const half = Math.max(7, Math.round(Math.max(width, height) * windowRatio / 2));
+  const binary = new Uint8ClampedArray(data.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height - 1, y + half);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width - 1, x + half);
+      const area = (x1 - x0 + 1) * (y1 - y0 + 1);
+      const sum = integral[(y1 + 1) * (width + 1) + x1 + 1]
+        - integral[y0 * (width + 1) + x1 + 1]
+        - integral[(y1 + 1) * (width + 1) + x0]
+        + integral[y0 * (width + 1) + x0];
+      binary[y * width + x] = data[y * width + x] * area < sum * (1 - sensitivity) ? 0 : WHITE;
+    }
+  }
+  return { width, height, data: binary };
+};
+
+/**
+ * Collect coordinates of dark pixels from a downscaled copy, centred on the image
+ */
+const sampleInkPixels = ({ width, height, data }) => {
+  const step = Math.max(1, Math.floor(width / SKEW_SAMPLE_WIDTH));
+  let total = 0;
+  let count = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      total += data[y * width + x];
+      count++;
+    }
+  }
+  const mean = count > 0 ? total / count : 0;
+
+  const points = [];
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      if (data[y * width + x] < mean * 0.7) {
+        points.push([(x - width / 2) / step, (y - height / 2) / step]);
+      }
+    }
+  }
+  return points;
+};
+
+/**
+ * Sharpness of the row projection profile when the ink is rotated by `degrees`.
+ * Text lines that run exactly horizontal produce tall, narrow peaks.
+ */
+const projectionScore = (points, degrees, vertical = false) => {
+  const radians = (degrees * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const bins = new Map();
+
+  points.forEach(([x, y]) => {
+    const position = vertical ? x * cos + y * sin : y * cos - x * sin;
+    const bin = Math.round(position);
+    bins.set(bin, (bins.get(bin) || 0) + 1);
+  });
+
+  let score = 0;
+  bins.forEach(value => {
+    score += value * value;
+  });
+  return score;
+};
+
+/**
+ * Estimate how the text is rotated. Returns the small skew angle (degrees,
+ * clockwise positive) and whether the lines run vertically, i.e. the photo was
+ * taken a quarter turn off.
+ */
+export const detectSkew = (image) => {
+  const points = sampleInkPixels(image);
+  if (points.length < 50) {
+    return { angle: 0, quarterTurn: false };
+  }
+
+  let bestAngle = 0;
+  let bestScore = -Infinity;
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += SKEW_STEP_DEGREES) {
+    const score = projectionScore(points, angle);
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  const quarterTurn = projectionScore(points, 0, true) > bestScore * 1.5;
+  return { angle: bestAngle, quarterTurn };
+};
+
+/**
+ * Rotate a grayscale buffer by `degrees` around its centre, growing the canvas
+ * so no corners are clipped. Uncovered areas are filled with white.
+ */
+export const rotate = ({ width, height, data }, degrees) => {
+  if (!degrees) {
+    return { width, height, data: new Uint8ClampedArray(data) };
+  }
+
+  const radians = (degrees * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const outWidth = Math.round(Math.abs(width * cos) + Math.abs(height * sin));
+  const outHeight = Math.round(Math.abs(width * sin) + Math.abs(height * cos));
+  const rotated = new Uint8ClampedArray(outWidth * outHeight).fill(WHITE);
+
+  const cx = width / 2;
+  const cy = height / 2;
+  const ocx = outWidth / 2;
+  const ocy = outHeight / 2;
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      // Inverse mapping: find the source pixel for each destination pixel
+      const dx = x - ocx;
+      const dy = y - ocy;
+      const sx = Math.round(dx * cos + dy * sin + cx);
+      const sy = Math.round(-dx * sin + dy * cos + cy);
+      if (sx >= 0 && sx < width && sy >= 0 && sy < height) {
+        rotated[y * outWidth + x] = data[sy * width + sx];
+      }
+    }
+  }
+  return { width: outWidth, height: outHeight, data: rotated };
+};
+
+/**
+ * Expand a grayscale buffer back to RGBA so it can be drawn on a canvas
+ */
+export const grayscaleToRGBA = ({ width, height, data }) => {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, p = 0; i < data.length; i++, p += 4) {
+    rgba[p] = data[i];
+    rgba[p + 1] = data[i];
+    rgba[p + 2] = data[i];
+    rgba[p + 3] = 255;
+  }
+  return { width, height, data: rgba };
+};
+
+/**
+ * Stage names in the order they run
+ */
+export const PREPROCESSING_STAGES = [
+  { name: 'original', label: 'Original' },
+  { name: 'grayscale', label: 'Grayscale' },
+  { name: 'contrast', label: 'Contrast' },
+  { name: 'deskewed', label: 'Deskewed' },
+  { name: 'threshold', label: 'Threshold' }
+];
+
+/**
+ * Run the whole preprocessing chain on RGBA pixels.
+ * Returns every intermediate stage as RGBA so the review screen can display them,
+ * plus the detected rotation in degrees.
+ */
+export const runPreprocessing = (image) => {
+  const grayscale = toGrayscale(image);
+  const contrast = normalizeContrast(grayscale);
+  const { angle, quarterTurn } = detectSkew(contrast);
+  const rotation = quarterTurn ? 90 : angle;
+  // Rotating the source by the opposite angle levels the text lines
+  const deskewed = rotate(contrast, -rotation);
+  const threshold = adaptiveThreshold(deskewed);
+
+  const images = {
+    original: image,
+    grayscale: grayscaleToRGBA(grayscale),
+    contrast: grayscaleToRGBA(contrast),
+    deskewed: grayscaleToRGBA(deskewed),
+    threshold: grayscaleToRGBA(threshold)
+  };
+
+  return {
+    rotation,
+    stages: PREPROCESSING_STAGES.map(stage => ({ ...stage, image: images[stage.name] }))
+  };
+};
@@ -0,0 +1,137 @@
+// Main-thread side of image preprocessing: decodes the photo, applies the
+// optional crop and hands the pixels to a Web Worker running the filter chain
+
+// Larger photos are scaled down first; label text stays legible well below this
+const MAX_DIMENSION = 2000;
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/preprocess.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = ({ data }) => {
+      const request = pendingRequests.get(data.id);
+      if (!request) return;
+
+      pendingRequests.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data);
+      }
+    };
+
+    worker.onerror = (event) => {
+      console.error('Preprocessing worker crashed:', event.message);
+      pendingRequests.forEach(request => request.reject(new Error('Failed to preprocess image')));
+      pendingRequests.clear();
+      terminatePreprocessing();
+    };
+  }
+  return worker;
+};
+
+const loadBitmap = async (image) => {
+  if (typeof image === 'string') {
+    const response = await fetch(image);
+    return createImageBitmap(await response.blob());
+  }
+  return createImageBitmap(image);
+};
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Decode an image into RGBA pixels, cropping to `crop` (fractions of the image:
+ * `{ x, y, width, height }` between 0 and 1) and capping the size
+ */
+const readPixels = async (image, crop) => {
+  const bitmap = await loadBitmap(image);
+  const region = crop
+    ? {
+        x: Math.round(crop.x * bitmap.width),
+        y: Math.round(crop.y * bitmap.height),
+        width: Math.max(1, Math.round(crop.width * bitmap.width)),
+        height: Math.max(1, Math.round(crop.height * bitmap.height))
+      }
+    : { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(region.width, region.height));
+  const width = Math.round(region.width * scale);
+  const height = Math.round(region.height * scale);
+
+  const context = createCanvas(width, height).getContext('2d');
+  context.drawImage(bitmap, region.x, region.y, region.width, region.height, 0, 0, width, height);
+  bitmap.close();
+  return context.getImageData(0, 0, width, height);
+};
+
+const toCanvas = ({ width, height, data }) => {
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  return canvas;
+};
+
+/**
+ * Clean up a photo for OCR: grayscale, contrast normalization, deskew and
+ * adaptive thresholding, optionally limited to a user-drawn `crop` region.
+ * Resolves to `{ rotation, stages, output }` where `stages` holds a preview URL
+ * for every intermediate step and `output` is the canvas to run OCR on.
+ */
+export const preprocessImage = async (image, { crop, signal } = {}) => {
+  signal?.throwIfAborted();
+  const pixels = await readPixels(image, crop);
+  signal?.throwIfAborted();
+
+  const id = ++nextRequestId;
+  const result = await new Promise((resolve, reject) => {
+    const onAbort = () => {
+      pendingRequests.delete(id);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    pendingRequests.set(id, {
+      resolve: (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    });
+
+    const { width, height, data } = pixels;
+    getWorker().postMessage({ id, image: { width, height, data } }, [data.buffer]);
+  });
+
+  const stages = result.stages.map(({ name, label, image: stageImage }) => {
+    const canvas = toCanvas(stageImage);
+    return { name, label, canvas, url: canvas.toDataURL('image/jpeg', 0.8) };
+  });
+
+  return {
+    rotation: result.rotation,
+    stages: stages.map(({ name, label, url }) => ({ name, label, url })),
+    output: stages[stages.length - 1].canvas
+  };
+};
+
+/**
+ * Stop the preprocessing worker; it is recreated on the next request
+ */
+export const terminatePreprocessing = () => {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+};
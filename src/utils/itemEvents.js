@@ -0,0 +1,189 @@
+// The item change log: every change to an item is an event appended to the log and
+// never rewritten, so each item's history can be shown and the items rebuilt from it
+import { format, parseISO } from 'date-fns';
+import { STORAGE_KEYS, generateId } from './storage.js';
+
+/**
+ * Where a created item came from, as recorded in its `created` event
+ */
+export const ITEM_SOURCES = {
+  scan: 'Added from a scan',
+  manual: 'Added by hand',
+  import: 'Imported from a backup',
+  existing: 'Already saved when the change log started'
+};
+
+// Bookkeeping fields, which change with every event and are not logged as changes
+const UNLOGGED_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt'];
+const QUANTITY_FIELDS = ['quantity', 'parsedQuantity'];
+
+const FIELD_LABELS = {
+  name: 'name',
+  expiryDate: 'expiry date',
+  category: 'category',
+  location: 'location',
+  quantity: 'quantity',
+  notes: 'notes'
+};
+
+// Ids made up when their storage cannot be used, kept until the page is reloaded
+const fallbackIds = {};
+
+// An id kept in `storage` under `key`, made up the first time it is asked for
+const getStoredId = (storage, key) => {
+  try {
+    const stored = storage.getItem(key);
+    if (stored) return stored;
+    const id = generateId();
+    storage.setItem(key, id);
+    return id;
+  } catch {
+    fallbackIds[key] = fallbackIds[key] || generateId();
+    return fallbackIds[key];
+  }
+};
+
+/**
+ * Who is making changes here, as recorded in every event: `{ deviceId, tabId }`.
+ * The device id is shared by every tab of the browser (it lives in localStorage),
+ * the tab id by every page load in one tab (sessionStorage).
+ */
+export const getActor = () => ({
+  deviceId: getStoredId(globalThis.localStorage, STORAGE_KEYS.DEVICE_ID),
+  tabId: getStoredId(globalThis.sessionStorage, STORAGE_KEYS.TAB_ID)
+});
+
+/**
+ * A new event of `type` for `item`. Events are
+ * `{ id, itemId, name, type, at, actor, ...details }`, `name` being the item's name
+ * at the time, `at` when it happened and `actor` where (see getActor). Types and
+ * their details:
+ * - `created`: `source` (see ITEM_SOURCES) and `item`, the item as saved
+ * - `renamed`, `date-changed`, `quantity-changed` and `edited` (several fields or
+ *   others): `changes`, `{ [field]: { from, to } }`
+ * - `deleted` (moved to the trash) and `purged` (deleted for good)
+ * - `restored`: `item`, the item as put back
+ */
+export const createItemEvent = (type, item, details = {}) => ({
+  id: generateId(),
+  itemId: item.id,
+  name: item.name,
+  type,
+  at: new Date().toISOString(),
+  actor: getActor(),
+  ...details
+});
+
+const getChangeType = (fields) => {
+  if (fields.every(field => field === 'name')) return 'renamed';
+  if (fields.every(field => field === 'expiryDate')) return 'date-changed';
+  if (fields.every(field => QUANTITY_FIELDS.includes(field))) return 'quantity-changed';
+  return 'edited';
+};
+
+/**
+ * The fields that differ between two versions of an item, as `{ [field]: { from, to } }`,
+ * leaving out bookkeeping fields (id, timestamps and deletedAt)
+ */
+export const getItemChanges = (before, after) => {
+  const changes = {};
+  Object.keys({ ...before, ...after })
+    .filter(field => !UNLOGGED_FIELDS.includes(field))
+    .forEach(field => {
+      if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+      }
+    });
+  return changes;
+};
+
+/**
+ * The new values of the fields `after` changed, e.g. the edits made in a form to
+ * `before`; saving only these keeps fields the user did not touch as they are saved
+ */
+export const getEditedFields = (before, after) => Object.fromEntries(
+  Object.entries(getItemChanges(before, after)).map(([field, { to }]) => [field, to])
+);
+
+/**
+ * The event for an update from `before` to `after`, or null when no logged field changed
+ */
+export const createChangeEvent = (before, after) => {
+  const changes = getItemChanges(before, after);
+  const fields = Object.keys(changes);
+  if (fields.length === 0) return null;
+  return createItemEvent(getChangeType(fields), after, { at: after.updatedAt, changes });
+};
+
+const formatValue = (field, value) => {
+  if (!value) return 'none';
+  if (field === 'expiryDate') return format(parseISO(value), 'MMM dd, yyyy');
+  return `"${value}"`;
+};
+
+const describeChange = (field, { from, to }) =>
+  `${FIELD_LABELS[field] || field} changed from ${formatValue(field, from)} to ${formatValue(field, to)}`;
+
+/**
+ * What an event did, in a sentence for the item's timeline
+ */
+export const describeItemEvent = (event) => {
+  switch (event.type) {
+    case 'created':
+      return ITEM_SOURCES[event.source] || 'Added';
+    case 'deleted':
+      return 'Moved to the trash';
+    case 'restored':
+      return 'Restored';
+    case 'purged':
+      return 'Deleted for good';
+    default: {
+      // The parsed quantity goes with the quantity text, which says it better
+      const fields = Object.keys(event.changes || {}).filter(field =>
+        field !== 'parsedQuantity' || !event.changes.quantity
+      );
+      const text = fields.map(field => describeChange(field, event.changes[field])).join('; ');
+      return text ? text.charAt(0).toUpperCase() + text.slice(1) : 'Edited';
+    }
+  }
+};
+
+/**
+ * Where an event's change was made, seen from here: 'In this tab', 'In another tab'
+ * (on this device) or 'On another device'; null for events logged before that was recorded
+ */
+export const describeActor = (event) => {
+  if (!event.actor) return null;
+  const { deviceId, tabId } = getActor();
+  if (event.actor.deviceId !== deviceId) return 'On another device';
+  return event.actor.tabId === tabId ? 'In this tab' : 'In another tab';
+};
+
+/**
+ * The items as the events in `events` (oldest first) leave them, trashed ones
+ * included and purged ones not, in the order they were created. Changes to items
+ * with no `created` or `restored` event before them are skipped.
+ */
+export const replayItemEvents = (events) => {
+  const items = new Map();
+  events.forEach(event => {
+    if (event.item) {
+      items.set(event.itemId, { ...event.item });
+      return;
+    }
+    if (event.type === 'purged') {
+      items.delete(event.itemId);
+      return;
+    }
+
+    const item = items.get(event.itemId);
+    if (!item) return;
+    if (event.type === 'deleted') {
+      items.set(event.itemId, { ...item, deletedAt: event.at, updatedAt: event.at });
+    } else if (event.changes) {
+      const values = Object.fromEntries(Object.entries(event.changes).map(([field, { to }]) => [field, to]));
+      items.set(event.itemId, { ...item, ...values, updatedAt: event.at });
+    }
+  });
+  return [...items.values()];
+};
@@ -0,0 +1,160 @@
+// Undo/redo for item changes: every add, edit and delete made through the history
+// is a command that knows how to take itself back
+const HISTORY_LIMIT = 50;
+
+const describeItems = (verb, items) =>
+  items.length === 1 ? `${verb} ${items[0].name || 'item'}` : `${verb} ${items.length} items`;
+
+// Adding items, one or a whole reviewed scan at once; undoing deletes them for good
+// (not to the trash), redoing puts the same items back
+const createAddCommand = (store, itemsData, options) => {
+  let added = null;
+  return {
+    label: describeItems('Added', itemsData),
+    run: async () => {
+      added = added ? await store.restoreMany(added) : await store.addMany(itemsData, options);
+      return added;
+    },
+    undo: () => store.purgeMany(added.map(item => item.id))
+  };
+};
+
+// Changing one item; undoing puts back the values the changed fields had. An item
+// the store did not hold when it was changed has no values to go back to, so undoing
+// that change only leaves a notice saying so.
+const createUpdateCommand = (store, id, changes, options) => {
+  const before = store.getState().items.find(item => item.id === String(id));
+  let isRedo = false;
+
+  const apply = async (fields, updateOptions) => {
+    const updated = await store.update(id, fields, updateOptions);
+    if (!updated) throw new Error(`${before?.name || 'This item'} was deleted in another tab`);
+    return updated;
+  };
+
+  const command = {
+    label: `Edited ${before?.name || 'item'}`,
+    notice: null,
+    run: () => {
+      const result = apply(changes, isRedo ? undefined : options);
+      isRedo = true;
+      return result;
+    },
+    undo: async () => {
+      if (!before) {
+        command.notice = 'This edit cannot be undone: the item was not loaded when it was made';
+        return null;
+      }
+      command.notice = null;
+      return apply(Object.fromEntries(Object.keys(changes).map(field => [field, before[field]])));
+    }
+  };
+  return command;
+};
+
+// Moving items to the trash; undoing takes them back out with their ids
+const createRemoveCommand = (store, ids) => {
+  const removedIds = ids.map(String);
+  const items = store.getState().items.filter(item => removedIds.includes(item.id));
+  return {
+    label: describeItems('Deleted', items),
+    run: async () => {
+      await store.removeMany(removedIds);
+      return items;
+    },
+    undo: () => store.restoreMany(items)
+  };
+};
+
+/**
+ * Create an undo/redo history over an item store (see createItemStore). `add`,
+ * `update` and `remove` change items like the store's methods do and resolve with
+ * the command they ran (its `label` describes it, `result` is what the store
+ * returned, `notice` is set when its last undo could not take anything back); a
+ * bulk add or delete is a single command. Failed changes throw and
+ * leave the history as it was; calls made while another is running wait for it.
+ * State for components is `{ canUndo, canRedo, undoLabel, redoLabel }`. Keeps the
+ * last `limit` commands.
+ */
+export const createItemHistory = (store, { limit = HISTORY_LIMIT } = {}) => {
+  let undoStack = [];
+  let redoStack = [];
+  let state = { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null };
+  const listeners = new Set();
+
+  const updateState = () => {
+    const nextUndo = undoStack[undoStack.length - 1];
+    const nextRedo = redoStack[redoStack.length - 1];
+    state = {
+      canUndo: Boolean(nextUndo),
+      canRedo: Boolean(nextRedo),
+      undoLabel: nextUndo?.label || null,
+      redoLabel: nextRedo?.label || null
+    };
+    listeners.forEach(listener => listener());
+  };
+
+  // Changes, undos and redos run one at a time in the order they were asked for, so
+  // an undo pressed while the one before it is still saving takes back the next command
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // Commands are created when their turn comes, from the items as the commands before left them
+  const execute = (createCommand) => enqueue(async () => {
+    const command = createCommand();
+    command.result = await command.run();
+    undoStack = [...undoStack, command].slice(-limit);
+    redoStack = [];
+    updateState();
+    return command;
+  });
+
+  return {
+    getState: () => state,
+
+    // Call `listener` after every change; returns a function that unsubscribes it
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Add one item or several as a single step (options as for the store's addMany)
+    add: (itemsData, options) => execute(() => createAddCommand(store, [].concat(itemsData), options)),
+
+    // Change an item (options as for the store's update)
+    update: (id, changes, options) => execute(() => createUpdateCommand(store, id, changes, options)),
+
+    // Delete one item or several as a single step
+    remove: (ids) => execute(() => createRemoveCommand(store, [].concat(ids))),
+
+    // Undo the last command, or only `command` when given and still the last one, as
+    // from the Undo action of the toast shown for it. Resolves with the command
+    // undone, or null when there was nothing (or something newer) to undo.
+    undo: (command) => enqueue(async () => {
+      const last = undoStack[undoStack.length - 1];
+      if (!last || (command && command !== last)) return null;
+
+      await last.undo();
+      undoStack = undoStack.slice(0, -1);
+      redoStack = [...redoStack, last];
+      updateState();
+      return last;
+    }),
+
+    // Redo the last undone command; resolves with it, or null when there is none
+    redo: () => enqueue(async () => {
+      const next = redoStack[redoStack.length - 1];
+      if (!next) return null;
+
+      next.result = await next.run();
+      redoStack = redoStack.slice(0, -1);
+      undoStack = [...undoStack, next];
+      updateState();
+      return next;
+    })
+  };
+};
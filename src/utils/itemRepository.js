@@ -0,0 +1,362 @@
+// The one place grocery items are read and written: owns the item schema
+import { addDays, format, isValid, parseISO, startOfDay } from 'date-fns';
+import { generateId } from './storage.js';
+import { getStorageBackend } from './storageBackends.js';
+import { PRODUCT_CATEGORIES } from './productCatalog.js';
+import { createItemEvent, createChangeEvent, replayItemEvents } from './itemEvents.js';
+
+const CATEGORY_VALUES = PRODUCT_CATEGORIES.map(category => category.value);
+
+/**
+ * Days before its expiry date an item counts as expiring soon
+ */
+export const EXPIRING_SOON_DAYS = 3;
+
+/**
+ * When an item in the trash will be deleted for good, the trash keeping items for
+ * `retentionDays` (settings.trash.retentionDays); null when 0, which keeps them
+ */
+export const getPurgeDate = (item, retentionDays) =>
+  retentionDays ? addDays(parseISO(item.deletedAt), retentionDays) : null;
+
+// Optional fields kept from scans, receipts and barcode lookups
+const OPTIONAL_FIELDS = [
+  'parsedQuantity', 'price', 'receiptText', 'barcode', 'confidence',
+  'dateText', 'dateFormat', 'expiryBasis', 'openedShelfLifeDays', 'isExpiryEstimated'
+];
+
+const toDay = (value) => {
+  if (!value) return '';
+  const date = typeof value === 'string' ? parseISO(value) : new Date(value);
+  return isValid(date) ? format(date, 'yyyy-MM-dd') : '';
+};
+
+const toTimestamp = (value) => {
+  if (!value) return '';
+  const date = typeof value === 'string' ? parseISO(value) : new Date(value);
+  return isValid(date) ? date.toISOString() : '';
+};
+
+/**
+ * An item in the canonical schema:
+ * `{ id, name, expiryDate, addedDate, category, location, quantity, notes, createdAt, updatedAt, deletedAt }`
+ * plus whichever of the optional scan fields it has. Dates are yyyy-MM-dd,
+ * timestamps ISO strings, `quantity` the text as printed or typed ("500 g").
+ * `deletedAt` is when the item was moved to the trash, null for items in use.
+ * Stored items are upgraded to it by storageMigrations; this also copes with
+ * items from backups of earlier versions: `dateAdded` and `addedAt` for the
+ * creation time, numeric ids and quantities, and stored expiry status flags,
+ * which are now worked out when needed (see getExpiryStatus).
+ */
+export const normalizeItem = (raw = {}) => {
+  const now = new Date().toISOString();
+  const createdAt = toTimestamp(raw.createdAt) || toTimestamp(raw.dateAdded) || toTimestamp(raw.addedAt) ||
+    toTimestamp(raw.addedDate) || now;
+
+  const item = {
+    id: raw.id !== undefined && raw.id !== null && raw.id !== '' ? String(raw.id) : generateId(),
+    name: typeof raw.name === 'string' ? raw.name.trim() : '',
+    expiryDate: toDay(raw.expiryDate),
+    addedDate: toDay(raw.addedDate) || toDay(createdAt),
+    category: CATEGORY_VALUES.includes(raw.category) ? raw.category : 'other',
+    location: typeof raw.location === 'string' ? raw.location : '',
+    quantity: raw.quantity === undefined || raw.quantity === null ? '' : String(raw.quantity).trim(),
+    notes: typeof raw.notes === 'string' ? raw.notes : '',
+    createdAt,
+    updatedAt: toTimestamp(raw.updatedAt) || createdAt,
+    deletedAt: toTimestamp(raw.deletedAt) || null
+  };
+
+  OPTIONAL_FIELDS.forEach(field => {
+    if (raw[field] !== undefined && raw[field] !== null) item[field] = raw[field];
+  });
+
+  return item;
+};
+
+/**
+ * 'expired', 'expiring-soon' (within EXPIRING_SOON_DAYS), 'fresh', or 'unknown'
+ * for items without an expiry date
+ */
+export const getExpiryStatus = (item, today = new Date()) => {
+  if (!item.expiryDate) return 'unknown';
+  const expiry = parseISO(item.expiryDate);
+  const day = startOfDay(today);
+  if (expiry < day) return 'expired';
+  if (expiry <= addDays(day, EXPIRING_SOON_DAYS)) return 'expiring-soon';
+  return 'fresh';
+};
+
+/**
+ * Thrown by itemRepository.update when the item was saved elsewhere (another
+ * tab, say) after the version the changes were made to; `current` is the item as saved
+ */
+export class ItemConflictError extends Error {
+  constructor(current) {
+    super(`${current.name || 'This item'} was changed in another tab`);
+    this.name = 'ItemConflictError';
+    this.current = current;
+  }
+}
+
+const getItemStore = async () => (await getStorageBackend()).items;
+
+// Items in use, leaving out the ones in the trash
+const withoutDeleted = (items) => items.map(normalizeItem).filter(item => !item.deletedAt);
+
+// Grocery item operations; every page reads and writes items through these.
+// All of them are async: items live in IndexedDB where the browser has it.
+// Deleted items go to the trash first; only getById, getDeleted and the trash
+// operations see them. Every change is logged (see itemEvents) together with it:
+// a change whose events cannot be logged is not saved either.
+export const itemRepository = {
+  // Get all items, except those in the trash
+  getAll: async () => {
+    try {
+      const store = await getItemStore();
+      return withoutDeleted(await store.getAll());
+    } catch (error) {
+      console.error('Error getting items:', error);
+      throw new Error('Failed to read items');
+    }
+  },
+
+  // Get the items in the trash, most recently deleted first
+  getDeleted: async () => {
+    try {
+      const store = await getItemStore();
+      return (await store.getAll())
+        .map(normalizeItem)
+        .filter(item => item.deletedAt)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    } catch (error) {
+      console.error('Error getting deleted items:', error);
+      throw new Error('Failed to read items');
+    }
+  },
+
+  // Get item by ID, also when it is in the trash
+  getById: async (id) => {
+    try {
+      const store = await getItemStore();
+      const item = await store.get(String(id));
+      return item ? normalizeItem(item) : null;
+    } catch (error) {
+      console.error('Error getting item by ID:', error);
+      throw new Error('Failed to read items');
+    }
+  },
+
+  // Add a new item, e.g. one confirmed from a scan; it gets a fresh id
+  add: async (itemData, options) => (await itemRepository.addMany([itemData], options))[0],
+
+  // Add several new items at once; `source` says where they came from (see ITEM_SOURCES)
+  addMany: async (itemsData, { source = 'manual' } = {}) => {
+    try {
+      const now = new Date().toISOString();
+      const added = itemsData.map(itemData =>
+        normalizeItem({ ...itemData, id: generateId(), createdAt: now, updatedAt: now })
+      );
+      await (await getItemStore()).commit(
+        { put: added },
+        added.map(item => createItemEvent('created', item, { at: now, source, item }))
+      );
+      return added;
+    } catch (error) {
+      console.error('Error adding items:', error);
+      throw new Error('Failed to save item');
+    }
+  },
+
+  // Put deleted items back as they were, with their ids: out of the trash, or back
+  // after undoing their deletion. They count as saved now, so other tabs take them over.
+  restoreMany: async (items) => {
+    try {
+      const now = new Date().toISOString();
+      const restored = items.map(item => normalizeItem({ ...item, updatedAt: now, deletedAt: null }));
+      await (await getItemStore()).commit(
+        { put: restored },
+        restored.map(item => createItemEvent('restored', item, { at: now, item }))
+      );
+      return restored;
+    } catch (error) {
+      console.error('Error restoring items:', error);
+      throw new Error('Failed to save items');
+    }
+  },
+
+  // Apply changes to an item; returns the updated item, or null when it does not exist.
+  // With `expectedUpdatedAt`, the updatedAt of the version the changes were made to,
+  // changes to an item saved since then are refused with an ItemConflictError.
+  update: async (id, changes, { expectedUpdatedAt } = {}) => {
+    try {
+      const store = await getItemStore();
+      const existing = await store.get(String(id));
+      if (!existing) return null;
+      if (expectedUpdatedAt && new Date(existing.updatedAt) > new Date(expectedUpdatedAt)) {
+        throw new ItemConflictError(normalizeItem(existing));
+      }
+
+      const updated = normalizeItem({
+        ...existing,
+        ...changes,
+        id: existing.id,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      });
+      const event = createChangeEvent(normalizeItem(existing), updated);
+      await store.commit({ put: [updated] }, event ? [event] : []);
+      return updated;
+    } catch (error) {
+      if (error instanceof ItemConflictError) throw error;
+      console.error('Error updating item:', error);
+      throw new Error('Failed to save item');
+    }
+  },
+
+  // Move an item to the trash
+  remove: (id) => itemRepository.removeMany([id]),
+
+  // Move several items to the trash; returns them as trashed
+  removeMany: async (ids) => {
+    try {
+      const store = await getItemStore();
+      const now = new Date().toISOString();
+      const items = await Promise.all(ids.map(id => store.get(String(id))));
+      const trashed = items
+        .filter(Boolean)
+        .map(item => normalizeItem({ ...item, deletedAt: now, updatedAt: now }));
+      await store.commit({ put: trashed }, trashed.map(item => createItemEvent('deleted', item, { at: now })));
+      return trashed;
+    } catch (error) {
+      console.error('Error deleting items:', error);
+      throw new Error('Failed to delete item');
+    }
+  },
+
+  // Permanently delete items, in the trash or not
+  purgeMany: async (ids) => {
+    try {
+      const store = await getItemStore();
+      const items = (await Promise.all(ids.map(id => store.get(String(id))))).filter(Boolean);
+      await store.commit({ delete: ids.map(String) }, items.map(item => createItemEvent('purged', item)));
+      return true;
+    } catch (error) {
+      console.error('Error purging items:', error);
+      throw new Error('Failed to delete item');
+    }
+  },
+
+  // Permanently delete the items moved to the trash before `date`; returns how many there were
+  purgeDeletedBefore: async (date) => {
+    const cutoff = date.toISOString();
+    const expired = (await itemRepository.getDeleted()).filter(item => item.deletedAt < cutoff);
+    if (expired.length) await itemRepository.purgeMany(expired.map(item => item.id));
+    return expired.length;
+  },
+
+  // Replace every item, keeping their ids (used by backup imports)
+  replaceAll: async (itemsData) => {
+    try {
+      const items = itemsData.map(normalizeItem);
+      const store = await getItemStore();
+      const replaced = await store.getAll();
+      await store.commit({ clear: true, put: items }, [
+        ...replaced.map(item => createItemEvent('purged', item)),
+        ...items.map(item => createItemEvent('created', item, { source: 'import', item }))
+      ]);
+      return items;
+    } catch (error) {
+      console.error('Error replacing items:', error);
+      throw new Error('Failed to save items');
+    }
+  },
+
+  // Get the change log of an item, oldest event first
+  getEvents: async (id) => {
+    try {
+      return await (await getStorageBackend()).events.getByItem(String(id));
+    } catch (error) {
+      console.error('Error getting item events:', error);
+      throw new Error('Failed to read the change log');
+    }
+  },
+
+  // Get the change log of every item, oldest event first
+  getAllEvents: async () => {
+    try {
+      return await (await getStorageBackend()).events.getAll();
+    } catch (error) {
+      console.error('Error getting item events:', error);
+      throw new Error('Failed to read the change log');
+    }
+  },
+
+  // Log items saved before there was a change log (or whose events were lost) as
+  // created, so that rebuilding from the log keeps them; returns how many there were.
+  // Tabs starting together log each item once.
+  logUntrackedItems: async () => {
+    try {
+      return await (await getStorageBackend()).events.logUntracked(stored => {
+        const item = normalizeItem(stored);
+        return createItemEvent('created', item, { at: item.createdAt, source: 'existing', item });
+      });
+    } catch (error) {
+      console.error('Error logging untracked items:', error);
+      throw new Error('Failed to update the change log');
+    }
+  },
+
+  // Replace the items with the ones the change log leaves (when the stored items got
+  // damaged); the log itself stays as it is. Returns how many items there are now.
+  rebuildFromEvents: async () => {
+    const events = await itemRepository.getAllEvents();
+    if (events.length === 0) throw new Error('The change log is empty');
+    try {
+      const items = replayItemEvents(events).map(normalizeItem);
+      const store = await getItemStore();
+      await store.commit({ clear: true, put: items });
+      return items.length;
+    } catch (error) {
+      console.error('Error rebuilding items:', error);
+      throw new Error('Failed to save items');
+    }
+  },
+
+  // Get items by category
+  getByCategory: (category) => itemRepository.getByIndex('category', category),
+
+  // Get items by storage location
+  getByLocation: (location) => itemRepository.getByIndex('location', location),
+
+  // Get items by an indexed field (see ITEM_INDEXES)
+  getByIndex: async (index, value) => {
+    try {
+      const store = await getItemStore();
+      return withoutDeleted(await store.getByIndex(index, value));
+    } catch (error) {
+      console.error('Error getting items by index:', error);
+      throw new Error('Failed to read items');
+    }
+  },
+
+  // Get expired items, soonest expired first
+  getExpired: (today = new Date()) => itemRepository.getExpiringBefore(today),
+
+  // Get items expiring soon, soonest first
+  getExpiringSoon: async (today = new Date()) => {
+    const items = await itemRepository.getExpiringBefore(addDays(today, EXPIRING_SOON_DAYS + 1));
+    return items.filter(item => getExpiryStatus(item, today) === 'expiring-soon');
+  },
+
+  // Get items whose expiry date is before the given day, soonest first
+  getExpiringBefore: async (day) => {
+    try {
+      const store = await getItemStore();
+      return withoutDeleted(await store.getExpiringBefore(format(day, 'yyyy-MM-dd')));
+    } catch (error) {
+      console.error('Error getting expiring items:', error);
+      throw new Error('Failed to read items');
+    }
+  }
+};
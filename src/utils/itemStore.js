@@ -0,0 +1,188 @@
+// Shared in-memory copy of the grocery items that components subscribe to; every
+// change goes through the item repository first
+import { itemRepository, getExpiryStatus, ItemConflictError } from './itemRepository.js';
+
+/**
+ * Create an item store over `repository` (the item repository by default).
+ * State is `{ items, trash, status, error }`: the items in use, those in the trash
+ * (most recently deleted first), and `status` being 'idle', 'loading', 'ready'
+ * or 'error' (with `error` saying why the items could not be loaded). Every change
+ * replaces the state, and only the items that changed, so selectors can compare
+ * items by reference. Changes are written to the repository before the state
+ * changes; when that fails the repository's error is thrown and the state is kept.
+ * Change listeners (see onChange) hear about the items this store wrote, so other
+ * tabs can be told (see itemSync), which pass them back in through applyRemote.
+ */
+export const createItemStore = (repository = itemRepository) => {
+  let state = { items: [], trash: [], status: 'idle', error: null };
+  const listeners = new Set();
+  const changeListeners = new Set();
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener());
+  };
+
+  const upsertItems = (list, items) => {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const kept = list.map(item => byId.get(item.id) || item);
+    const known = new Set(list.map(item => item.id));
+    return [...kept, ...items.filter(item => !known.has(item.id))];
+  };
+
+  // The items and trash with `items` saved into the one their deletedAt puts them in
+  const placeItems = (items) => {
+    const inUse = items.filter(item => !item.deletedAt);
+    const deleted = items.filter(item => item.deletedAt);
+    const trashedIds = new Set(deleted.map(item => item.id));
+    const restoredIds = new Set(inUse.map(item => item.id));
+    return {
+      items: upsertItems(state.items.filter(item => !trashedIds.has(item.id)), inUse),
+      trash: deleted.length || state.trash.some(item => restoredIds.has(item.id))
+        ? upsertItems(state.trash.filter(item => !restoredIds.has(item.id)), deleted)
+          .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        : state.trash
+    };
+  };
+
+  // The items and trash (the current ones by default) without the items with these ids
+  const dropItems = (ids, { items, trash } = state) => {
+    const dropped = new Set(ids.map(String));
+    return {
+      items: items.filter(item => !dropped.has(item.id)),
+      trash: trash.filter(item => !dropped.has(item.id))
+    };
+  };
+
+  const emitChange = (change) => {
+    changeListeners.forEach(listener => listener({ upserted: [], removed: [], ...change }));
+  };
+
+  const store = {
+    getState: () => state,
+
+    // Call `listener` after every change; returns a function that unsubscribes it
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // (Re)load the items and the trash from the repository
+    load: async () => {
+      setState({ status: 'loading' });
+      try {
+        const [items, trash] = await Promise.all([repository.getAll(), repository.getDeleted()]);
+        setState({ items, trash, status: 'ready', error: null });
+      } catch (error) {
+        setState({ status: 'error', error: error.message });
+      }
+    },
+
+    // Add a new item; resolves with it as saved
+    add: async (itemData, options) => (await store.addMany([itemData], options))[0],
+
+    // Add several new items at once (options as for the repository's addMany)
+    addMany: async (itemsData, options) => {
+      const added = await repository.addMany(itemsData, options);
+      setState({ items: [...state.items, ...added] });
+      emitChange({ upserted: added });
+      return added;
+    },
+
+    // Put deleted items back with their ids, from the trash or after purging them
+    restoreMany: async (items) => {
+      const restored = await repository.restoreMany(items);
+      setState(placeItems(restored));
+      emitChange({ upserted: restored });
+      return restored;
+    },
+
+    // Apply changes to an item; resolves with the updated item, or null when it does not
+    // exist. Pass `expectedUpdatedAt` to refuse changes to an item saved since (see
+    // itemRepository.update): the store then shows the item as saved and rethrows the conflict.
+    update: async (id, changes, options) => {
+      let updated;
+      try {
+        updated = await repository.update(id, changes, options);
+      } catch (error) {
+        if (error instanceof ItemConflictError) setState(placeItems([error.current]));
+        throw error;
+      }
+      if (updated) {
+        setState(placeItems([updated]));
+        emitChange({ upserted: [updated] });
+      } else {
+        setState(dropItems([id]));
+      }
+      return updated;
+    },
+
+    // Move an item to the trash
+    remove: (id) => store.removeMany([id]),
+
+    // Move several items to the trash; resolves with them as trashed
+    removeMany: async (ids) => {
+      const trashed = await repository.removeMany(ids);
+      setState(placeItems(trashed));
+      emitChange({ upserted: trashed });
+      return trashed;
+    },
+
+    // Permanently delete items, in the trash or not
+    purgeMany: async (ids) => {
+      await repository.purgeMany(ids);
+      setState(dropItems(ids));
+      emitChange({ removed: ids.map(String) });
+    },
+
+    // Call `listener` with `{ upserted, removed }` after this store saves or
+    // permanently deletes items; returns a function that unsubscribes it
+    onChange: (listener) => {
+      changeListeners.add(listener);
+      return () => changeListeners.delete(listener);
+    },
+
+    // Show items another tab already saved, trashed or deleted. Of two versions of an item
+    // the one saved last (by updatedAt) is kept, so late messages cannot undo newer edits.
+    applyRemote: ({ upserted = [], removed = [] }) => {
+      const current = new Map([...state.items, ...state.trash].map(item => [item.id, item]));
+      const newer = upserted.filter(item => {
+        const existing = current.get(item.id);
+        return !existing || new Date(item.updatedAt) > new Date(existing.updatedAt);
+      });
+      if (newer.length === 0 && !removed.some(id => current.has(id))) return;
+
+      setState(dropItems(removed, placeItems(newer)));
+    }
+  };
+
+  return store;
+};
+
+// Selectors: functions of the store state, for useItems
+
+export const selectItems = (state) => state.items;
+
+export const selectTrash = (state) => state.trash;
+
+export const selectExpired = (state) =>
+  state.items.filter(item => getExpiryStatus(item) === 'expired');
+
+export const selectExpiringSoon = (state) =>
+  state.items.filter(item => getExpiryStatus(item) === 'expiring-soon');
+
+export const selectByCategory = (category) => (state) =>
+  state.items.filter(item => item.category === category);
+
+export const selectByLocation = (location) => (state) =>
+  state.items.filter(item => item.location === location);
+
+/**
+ * Whether two selections are the same: equal values, or arrays holding the same
+ * elements in the same order, so a filtered list that did not change counts as unchanged
+ */
+export const isSameSelection = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+  return a.every((value, index) => Object.is(value, b[index]));
+};
@@ -0,0 +1,61 @@
+// Keeps the item store of every open tab in step: items one tab saves or deletes
+// are announced to the others, over a BroadcastChannel or, in browsers without
+// one, through `storage` events on a localStorage key
+import { generateId } from './storage.js';
+
+const CHANNEL_NAME = 'grocery_items_sync';
+const SYNC_KEY = 'grocery_items_sync';
+
+/**
+ * Announce the changes `store` (see createItemStore) saves to other tabs, and
+ * apply the changes they announce to it. The items themselves are already in the
+ * shared storage; messages only carry what changed. Returns a function that stops syncing.
+ */
+export const startItemSync = (store) => {
+  const tabId = generateId();
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  const receive = (message) => {
+    if (!message || message.source === tabId) return;
+    store.applyRemote(message);
+  };
+
+  const publish = (change) => {
+    const message = { ...change, source: tabId };
+    if (channel) {
+      channel.postMessage(message);
+      return;
+    }
+    try {
+      // Only other tabs get storage events; the timestamp makes repeated changes distinct
+      localStorage.setItem(SYNC_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+    } catch (error) {
+      console.error('Error announcing item changes:', error);
+    }
+  };
+
+  const handleStorage = (event) => {
+    if (event.key !== SYNC_KEY || !event.newValue) return;
+    try {
+      receive(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('Error reading item changes from another tab:', error);
+    }
+  };
+
+  const stopPublishing = store.onChange(publish);
+  if (channel) {
+    channel.onmessage = (event) => receive(event.data);
+  } else {
+    window.addEventListener('storage', handleStorage);
+  }
+
+  return () => {
+    stopPublishing();
+    if (channel) {
+      channel.close();
+    } else {
+      window.removeEventListener('storage', handleStorage);
+    }
+  };
+};
@@ -0,0 +1,133 @@
+// Learning from scan reviews: name corrections become a personal alias dictionary
+// and confirmed date readings teach which field order this household's labels use
+import { getDateReadings } from './dateParsing.js';
+import { findFuzzyPhrase } from './fuzzyMatch.js';
+import { getPrintedDate } from './shelfLife.js';
+import { learnedRulesStorage, storageUtils, generateId } from './storage.js';
+
+// How close OCR text must be to a learned misreading for the correction to apply
+const MIN_ALIAS_SIMILARITY = 0.8;
+// Confidence of a name found through a correction that matched exactly
+const ALIAS_CONFIDENCE = 0.95;
+
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+// Names made up for items the scan found no name for, e.g. "Item 3"
+const PLACEHOLDER_NAME = /^item \d+$/i;
+const isPlaceholderName = (name) => PLACEHOLDER_NAME.test(normalizeName(name));
+
+/**
+ * Learned rules from storage, or empty rules where storage is unavailable (e.g. in Node)
+ */
+export const getLearnedRules = () =>
+  storageUtils.isStorageAvailable() ? learnedRulesStorage.get() : { aliases: [], dateOrders: {} };
+
+/**
+ * Remember that a scanned name was corrected, e.g. "Chickn" -> "Chicken breast".
+ * Repeated corrections of the same misreading are counted; the latest target wins.
+ * Returns the updated rules.
+ */
+export const recordNameCorrection = (from, to) => {
+  const source = normalizeName(from).toLowerCase();
+  const target = normalizeName(to);
+  const rules = getLearnedRules();
+  if (!source || !target || source === target.toLowerCase()) return rules;
+
+  const existing = rules.aliases.find(alias => alias.from === source);
+  const alias = {
+    id: existing?.id || generateId(),
+    from: source,
+    to: target,
+    count: (existing?.to === target ? existing.count : 0) + 1,
+    updatedAt: new Date().toISOString()
+  };
+  const updated = {
+    ...rules,
+    aliases: [alias, ...rules.aliases.filter(entry => entry.from !== source)]
+  };
+  learnedRulesStorage.save(updated);
+  return updated;
+};
+
+/**
+ * Remember that a date printed in `format` was confirmed as read in `order` (e.g. 'DMY').
+ * Returns the updated rules.
+ */
+export const recordDateConfirmation = (format, order) => {
+  const rules = getLearnedRules();
+  const counts = rules.dateOrders[format] || {};
+  const updated = {
+    ...rules,
+    dateOrders: { ...rules.dateOrders, [format]: { ...counts, [order]: (counts[order] || 0) + 1 } }
+  };
+  learnedRulesStorage.save(updated);
+  return updated;
+};
+
+/**
+ * Record what the user changed or confirmed when saving a reviewed scan item.
+ * `original` is the item as scanned, `reviewed` as saved; `options` are the date
+ * parsing options the scan used. A renamed item teaches a correction from the
+ * words printed on the label (`original.text`), not from the name the dictionary
+ * made of them; items without printed text or left with a placeholder name teach
+ * none. Only dates that allowed more than one reading teach a field order, and
+ * only when the saved date is one of those readings.
+ */
+export const learnFromReview = (original, reviewed, options = {}) => {
+  if (!original || !reviewed) return;
+
+  const renamed = normalizeName(original.name) !== normalizeName(reviewed.name);
+  if (renamed && original.text && !isPlaceholderName(original.text) && !isPlaceholderName(reviewed.name)) {
+    recordNameCorrection(original.text, reviewed.name);
+  }
+
+  if (original.dateText && original.dateFormat) {
+    const readings = getDateReadings(original.dateText, options);
+    // Expiries worked out from a packing or production date are compared as printed
+    const printedDate = getPrintedDate(reviewed) || reviewed.expiryDate;
+    const confirmed = readings.find(reading => reading.date === printedDate);
+    if (readings.length > 1 && confirmed) {
+      recordDateConfirmation(original.dateFormat, confirmed.order);
+    }
+  }
+};
+
+/**
+ * Names in OCR text that match a learned misreading, as
+ * `[{ name, confidence, text }]` with `text` the words that matched.
+ * Matching is fuzzy, so "chickn brest" still finds a correction learned from "chickn breast".
+ */
+export const findLearnedNames = (text, aliases = getLearnedRules().aliases) =>
+  aliases
+    .map(alias => {
+      const match = findFuzzyPhrase(text, alias.from, MIN_ALIAS_SIMILARITY);
+      return match && { name: alias.to, confidence: ALIAS_CONFIDENCE * match.similarity, text: match.text };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.confidence - a.confidence)
+    .filter((match, index, matches) =>
+      matches.findIndex(other => other.name.toLowerCase() === match.name.toLowerCase()) === index
+    );
+
+/**
+ * Forget one name correction
+ */
+export const removeAlias = (id) => {
+  const rules = getLearnedRules();
+  const updated = { ...rules, aliases: rules.aliases.filter(alias => alias.id !== id) };
+  learnedRulesStorage.save(updated);
+  return updated;
+};
+
+/**
+ * Forget the confirmed field orders of one date format
+ */
+export const removeDateRule = (format) => {
+  const rules = getLearnedRules();
+  const dateOrders = Object.fromEntries(
+    Object.entries(rules.dateOrders).filter(([entryFormat]) => entryFormat !== format)
+  );
+  const updated = { ...rules, dateOrders };
+  learnedRulesStorage.save(updated);
+  return updated;
+};
@@ -0,0 +1,103 @@
+// Viewfinder OCR: reads throttled video frames and reports where dates were found
+import { format } from 'date-fns';
+import { extractDates } from './dateParsing.js';
+import { extractTextFromImage } from './ocrProcessing.js';
+import { boxForRange } from './ocrGeometry.js';
+
+// Frames are scaled down to this width; large enough for label print held close to the camera
+const FRAME_WIDTH = 640;
+const DEFAULT_INTERVAL_MS = 700;
+const DEFAULT_MIN_CONFIDENCE = 0.75;
+const DEFAULT_STABLE_FRAMES = 3;
+// Frames get their own OCR worker, so dropping one never cancels a photo being scanned
+const LIVE_OCR_QUEUE = 'live';
+
+/**
+ * Dates found in an OCR result with the box they were printed in.
+ * Returns `[{ text, date (yyyy-MM-dd), confidence, bbox }]`, where confidence is
+ * that of the least certain word of the date. `options` are passed to extractDates.
+ */
+export const findDateBoxes = (ocrResult, options = {}) =>
+  ocrResult.lines.flatMap(line =>
+    extractDates(line.text, options)
+      .filter(dateInfo => dateInfo.date !== null)
+      .map(dateInfo => ({
+        text: dateInfo.text,
+        date: format(dateInfo.date, 'yyyy-MM-dd'),
+        ...boxForRange(line, dateInfo.index, dateInfo.index + dateInfo.text.length)
+      }))
+  );
+
+/**
+ * Read the current video frame into a scaled-down canvas
+ */
+const grabFrame = (video, canvas) => {
+  const scale = Math.min(1, FRAME_WIDTH / video.videoWidth);
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * Run OCR on frames of a playing <video> element, one frame at a time and at
+ * most every `interval` ms.
+ * Calls `onFrame({ boxes, width, height })` after every frame with the dates
+ * found (see findDateBoxes) in frame pixels, and `onStable(box)` once the same
+ * date has been read at `minConfidence` or better on `stableFrames` frames in a row.
+ * Aborting `signal` stops the loop and cancels the frame being recognized.
+ * `parseOptions` (locale, languages, today) control how dates are read.
+ */
+export const startLiveOcr = (video, {
+  onFrame,
+  onStable,
+  signal,
+  parseOptions,
+  interval = DEFAULT_INTERVAL_MS,
+  minConfidence = DEFAULT_MIN_CONFIDENCE,
+  stableFrames = DEFAULT_STABLE_FRAMES
+} = {}) => {
+  const canvas = document.createElement('canvas');
+  let timer = null;
+  let streakDate = null;
+  let streak = 0;
+
+  const scheduleNext = (startedAt) => {
+    if (signal?.aborted) return;
+    timer = setTimeout(readFrame, Math.max(0, interval - (Date.now() - startedAt)));
+  };
+
+  const readFrame = async () => {
+    const startedAt = Date.now();
+    if (video.readyState < video.HAVE_CURRENT_DATA || video.videoWidth === 0) {
+      scheduleNext(startedAt);
+      return;
+    }
+
+    try {
+      const frame = grabFrame(video, canvas);
+      const result = await extractTextFromImage(frame, { signal, queue: LIVE_OCR_QUEUE });
+      const boxes = findDateBoxes(result, parseOptions);
+      onFrame?.({ boxes, width: frame.width, height: frame.height });
+
+      const best = boxes
+        .filter(box => box.confidence >= minConfidence)
+        .sort((a, b) => b.confidence - a.confidence)[0];
+      streak = best && best.date === streakDate ? streak + 1 : Number(Boolean(best));
+      streakDate = best?.date || null;
+
+      if (best && streak >= stableFrames) {
+        onStable?.(best);
+        return;
+      }
+    } catch (error) {
+      if (error?.name === 'AbortError') return;
+      console.error('Live OCR frame failed:', error);
+    }
+
+    scheduleNext(startedAt);
+  };
+
+  signal?.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  readFrame();
+};
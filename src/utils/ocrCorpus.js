@@ -0,0 +1,209 @@
+// Regression corpus for label parsing: OCR texts with the items a person would read from them
+import { OCR_FIXTURES } from './ocrFixtures.js';
+
+/**
+ * Every case has the raw `text` the OCR engine returned, the `today` it is parsed
+ * against, and the `expected` items. Expected items list only the fields a
+ * reader can tell from the label; fields left out are not scored.
+ * `image` optionally names a photo under fixtures/ocr/ that the harness can run
+ * through the OCR engine instead of using `text`.
+ * `mode: 'receipt'` cases are parsed as shop receipts.
+ */
+export const OCR_CORPUS = [
+  {
+    id: 'dairy',
+    text: OCR_FIXTURES.dairy,
+    image: 'dairy.png',
+    today: '2024-12-15',
+    expected: [
+      { name: 'Milk', expiryDate: '2024-12-25', category: 'dairy' },
+      { name: 'Bread', expiryDate: '2024-12-20', category: 'bakery' },
+      { name: 'Apples', expiryDate: '2024-12-22', category: 'produce' },
+      { name: 'Yogurt', expiryDate: '2024-12-18', category: 'dairy' }
+    ]
+  },
+  {
+    id: 'mixed',
+    text: OCR_FIXTURES.mixed,
+    today: '2024-12-15',
+    expected: [
+      { name: 'Bananas', expiryDate: '2024-12-19', category: 'produce' },
+      { name: 'Chicken Breast', expiryDate: '2024-12-21', category: 'meat' },
+      { name: 'Cheese', expiryDate: '2024-12-23', category: 'dairy' },
+      { name: 'Eggs', expiryDate: '2024-12-26', category: 'dairy' }
+    ]
+  },
+  {
+    id: 'produce',
+    text: OCR_FIXTURES.produce,
+    today: '2024-12-15',
+    expected: [
+      { name: 'Tomatoes', expiryDate: '2024-12-20' },
+      { name: 'Lettuce', expiryDate: '2024-12-18' },
+      { name: 'Carrots', expiryDate: '2024-12-25' },
+      { name: 'Onions', expiryDate: '2024-12-30' }
+    ]
+  },
+  {
+    id: 'coded',
+    text: OCR_FIXTURES.coded,
+    today: '2025-03-01',
+    expected: [
+      { name: 'Cheese', expiryDate: '2025-03-18' },
+      { name: 'Chicken', expiryDate: '2025-03-18' },
+      { name: 'Cereal', expiryDate: '2025-03-31' },
+      { name: 'Rice', expiryDate: '2025-03-18' }
+    ]
+  },
+  {
+    id: 'label-en',
+    text: OCR_FIXTURES['label-en'],
+    image: 'label-en.png',
+    today: '2025-03-01',
+    locale: 'en-GB',
+    expected: [{ name: 'Greek Yogurt', expiryDate: '2025-03-14', quantity: '500g', category: 'dairy' }]
+  },
+  {
+    id: 'label-de',
+    text: OCR_FIXTURES['label-de'],
+    image: 'label-de.png',
+    today: '2025-03-01',
+    locale: 'de-DE',
+    languages: ['de'],
+    expected: [{ name: 'Milk', expiryDate: '2025-03-12' }]
+  },
+  {
+    id: 'label-fr',
+    text: OCR_FIXTURES['label-fr'],
+    image: 'label-fr.png',
+    today: '2025-03-01',
+    locale: 'fr-FR',
+    languages: ['fr'],
+    expected: [{ name: 'Milk', expiryDate: '2025-04-05' }]
+  },
+  {
+    id: 'label-es',
+    text: OCR_FIXTURES['label-es'],
+    image: 'label-es.png',
+    today: '2025-03-01',
+    locale: 'es-ES',
+    languages: ['es'],
+    expected: [{ name: 'Yogurt', expiryDate: '2025-04-05' }]
+  },
+  {
+    id: 'label-ja',
+    text: OCR_FIXTURES['label-ja'],
+    image: 'label-ja.png',
+    today: '2025-03-01',
+    locale: 'ja-JP',
+    languages: ['ja'],
+    expected: [{ name: 'Milk', expiryDate: '2025-04-05', quantity: '1000ml' }]
+  },
+  {
+    // Names and dates on separate lines: paired by order in the second pass
+    id: 'names-then-dates',
+    text: 'Butter\nCream Cheese\n03/10/2025\n03/14/2025',
+    today: '2025-03-01',
+    expected: [
+      { name: 'Butter', expiryDate: '2025-03-10' },
+      { name: 'Cream Cheese', expiryDate: '2025-03-14' }
+    ]
+  },
+  {
+    // No recognizable product: the date still becomes an item
+    id: 'date-only',
+    text: 'EXP 04/02/2025\nLOT 2241 B',
+    today: '2025-03-01',
+    expected: [{ expiryDate: '2025-04-02' }]
+  },
+  {
+    // A product without a printed date still becomes an item
+    id: 'no-date',
+    text: 'Organic Bananas\nProduct of Ecuador',
+    today: '2025-03-01',
+    expected: [{ name: 'Bananas', category: 'produce' }]
+  },
+  {
+    // Store and reference numbers are not yymmdd dates: the item keeps the default week
+    id: 'reference-numbers',
+    text: 'Butter 250g\nStore #123456 ref 240101',
+    today: '2025-01-01',
+    expected: [{ name: 'Butter', expiryDate: '2025-01-08', quantity: '250g' }]
+  },
+  {
+    id: 'pineapple',
+    text: 'Pineapples 2 pack\nBest before 22/03/2025',
+    today: '2025-03-15',
+    locale: 'en-GB',
+    expected: [{ name: 'Pineapple', expiryDate: '2025-03-22', quantity: '2 pack', category: 'produce', isDateAmbiguous: false }]
+  },
+  {
+    // 05/04 reads as May 4 in the US, but April 5 is as likely: flagged for review
+    id: 'ambiguous-us',
+    text: 'Sliced Ham 200 g\nUse by 05/04/2025',
+    today: '2025-04-01',
+    expected: [{ name: 'Ham', expiryDate: '2025-05-04', quantity: '200 g', isDateAmbiguous: true }]
+  },
+  {
+    // The same label in Germany reads as April 5, still flagged
+    id: 'ambiguous-de',
+    text: 'Sliced Ham 200 g\nUse by 05/04/2025',
+    today: '2025-04-01',
+    locale: 'de-DE',
+    expected: [{ name: 'Ham', expiryDate: '2025-04-05', isDateAmbiguous: true }]
+  },
+  {
+    id: 'misread-name',
+    text: 'Chickn Breast Fillets 450g\nUSE BY 21/03/2025',
+    today: '2025-03-15',
+    locale: 'en-GB',
+    expected: [{ name: 'Chicken Breast', expiryDate: '2025-03-21', quantity: '450g', category: 'meat' }]
+  },
+  {
+    id: 'scale-weights',
+    text: 'Bananas 1.250 kg best before 20/03/2025\nApples 1,250 kg best before 24/03/2025\n' +
+      'Orange Juice 2.500 l best before 30/03/2025\nRice 1,000 g best before 31/12/2025',
+    today: '2025-03-15',
+    locale: 'en-GB',
+    expected: [
+      { name: 'Bananas', expiryDate: '2025-03-20', quantity: '1.250 kg', parsedQuantity: '1250g' },
+      { name: 'Apples', expiryDate: '2025-03-24', quantity: '1,250 kg', parsedQuantity: '1250g' },
+      { name: 'Orange Juice', expiryDate: '2025-03-30', quantity: '2.500 l', parsedQuantity: '2500ml' },
+      { name: 'Rice', expiryDate: '2025-12-31', quantity: '1,000 g', parsedQuantity: '1000g' }
+    ]
+  },
+  {
+    id: 'multipack',
+    text: 'Sparkling Water 6 x 500ml\nBest before end 12/2025',
+    today: '2025-03-01',
+    locale: 'en-GB',
+    expected: [{ name: 'Water', expiryDate: '2025-12-31', quantity: '6 x 500ml', parsedQuantity: '3000ml' }]
+  },
+  {
+    // Only a packing date: the expiry comes from the product's shelf life
+    id: 'packed-date',
+    text: 'Chicken Breast 450g\nPacked on 28/02/2025\nUse within 2 days of opening',
+    today: '2025-03-01',
+    locale: 'en-GB',
+    expected: [{ name: 'Chicken Breast', expiryDate: '2025-03-02', quantity: '450g', category: 'meat' }]
+  },
+  {
+    id: 'sell-by',
+    text: 'Whole Milk 2 pints\nDisplay until 05/03/2025',
+    today: '2025-03-01',
+    locale: 'en-GB',
+    expected: [{ name: 'Milk', expiryDate: '2025-03-10', category: 'dairy' }]
+  },
+  {
+    id: 'receipt',
+    mode: 'receipt',
+    text: OCR_FIXTURES.receipt,
+    today: '2024-12-20',
+    expected: [
+      { name: 'Bananas', category: 'produce' },
+      { name: 'Whole Milk', quantity: '1GAL', category: 'dairy' },
+      { name: 'Eggs', quantity: '12CT', category: 'dairy' },
+      { name: 'Chicken Breast', category: 'meat' }
+    ]
+  }
+];
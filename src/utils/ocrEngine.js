@@ -0,0 +1,182 @@
+// On-device OCR engine: a WebAssembly Tesseract build running inside a Web Worker
+import { createWorker, OEM } from 'tesseract.js';
+
+const DEFAULT_LANGUAGES = ['eng'];
+
+const isBrowser = typeof window !== 'undefined';
+
+const DEFAULT_QUEUE = 'default';
+
+let engineOptions = { languages: DEFAULT_LANGUAGES };
+// One engine per queue: `{ workerPromise, jobs }`, where `jobs` maps the id of every
+// recognition still running on the worker to its `{ reject, onProgress }`
+const engines = new Map();
+let jobCounter = 0;
+
+/**
+ * Where the worker script, WASM core and traineddata live. The browser uses the
+ * copies emitted under `ocr/` by the build; Node resolves them from node_modules.
+ */
+const resolveEnginePaths = async () => {
+  if (isBrowser) {
+    const base = `${import.meta.env.BASE_URL}ocr`;
+    return {
+      workerPath: `${base}/worker.min.js`,
+      corePath: `${base}/core`,
+      langPath: `${base}/lang`,
+      workerBlobURL: false
+    };
+  }
+
+  // Kept out of the browser bundle: the specifier is only resolved at runtime in Node.
+  // Each language ships in its own package, so with several languages set `langPath`
+  // to a directory holding all of their traineddata files.
+  const moduleSpecifier = 'node:module';
+  const { createRequire } = await import(/* @vite-ignore */ moduleSpecifier);
+  const require = createRequire(import.meta.url);
+  const [code] = engineOptions.languages;
+  const dataFile = require.resolve(`@tesseract.js-data/${code}/4.0.0_best_int/${code}.traineddata.gz`);
+  return { langPath: dataFile.slice(0, dataFile.lastIndexOf('/')) };
+};
+
+// Progress messages carry the id of the job they belong to, so each call hears only its own
+const createEngineWorker = async (jobs) => {
+  const paths = await resolveEnginePaths();
+
+  return createWorker(engineOptions.languages, OEM.LSTM_ONLY, {
+    ...paths,
+    ...(engineOptions.langPath && { langPath: engineOptions.langPath }),
+    cacheMethod: 'none',
+    logger: (message) => jobs.get(message.userJobId)?.onProgress?.(message)
+  });
+};
+
+const getEngine = (queue) => {
+  if (!engines.has(queue)) {
+    const jobs = new Map();
+    const engine = {
+      jobs,
+      workerPromise: createEngineWorker(jobs).catch((error) => {
+        if (engines.get(queue) === engine) engines.delete(queue);
+        throw error;
+      })
+    };
+    engines.set(queue, engine);
+  }
+  return engines.get(queue);
+};
+
+/**
+ * Shut down a queue's worker. Its running recognitions can never finish, so they
+ * are rejected with `error` first.
+ */
+const stopEngine = async (queue, engine, error) => {
+  if (engines.get(queue) === engine) engines.delete(queue);
+  engine.jobs.forEach(job => job.reject(error));
+  engine.jobs.clear();
+  try {
+    const worker = await engine.workerPromise;
+    await worker.terminate();
+  } catch (terminateError) {
+    console.error('Error terminating OCR engine:', terminateError);
+  }
+};
+
+const toBox = ({ x0, y0, x1, y1 }) => ({ x0, y0, x1, y1 });
+
+/**
+ * Flatten tesseract's block/paragraph/line/word tree into lines and words
+ * with 0-1 confidences, matching the scale used everywhere else in the app
+ */
+const normalizeResult = (data) => {
+  const lines = (data.blocks || [])
+    .flatMap(block => block.paragraphs)
+    .flatMap(paragraph => paragraph.lines)
+    .map(line => ({
+      text: line.text.trim(),
+      confidence: line.confidence / 100,
+      bbox: toBox(line.bbox),
+      words: line.words.map(word => ({
+        text: word.text,
+        confidence: word.confidence / 100,
+        bbox: toBox(word.bbox)
+      }))
+    }));
+
+  return {
+    text: data.text || '',
+    confidence: (data.confidence || 0) / 100,
+    lines,
+    words: lines.flatMap(line => line.words)
+  };
+};
+
+/**
+ * Override engine options (`languages`, or `langPath` to load traineddata from
+ * another directory). Any running worker is shut down so the next recognition
+ * starts with the new configuration.
+ */
+export const configureOcrEngine = async (options = {}) => {
+  engineOptions = { ...engineOptions, ...options };
+  await terminateOcrEngine();
+};
+
+/**
+ * Make sure the engine loads exactly these traineddata languages, restarting
+ * the worker only when the set has changed
+ */
+export const ensureOcrLanguages = async (languages) => {
+  if (languages.length === 0 || languages.join('+') === engineOptions.languages.join('+')) return;
+  await configureOcrEngine({ languages });
+};
+
+/**
+ * Recognize text in an image (File, Blob, data URL, canvas, or a Buffer/path in Node).
+ * Resolves to `{ text, confidence, lines, words }` where every line and word
+ * carries its own confidence and bounding box in image pixels.
+ * `onProgress` receives the progress messages of this recognition only.
+ *
+ * Recognitions on the same `queue` share a worker and run one after another;
+ * live viewfinder frames use their own queue so photo scans never wait behind them.
+ * Aborting `signal` rejects with the signal's reason and terminates the queue's
+ * worker, since tesseract cannot cancel a job that is already running; other
+ * recognitions still running on that worker are rejected as well.
+ */
+export const recognizeImage = async (image, { onProgress, signal, queue = DEFAULT_QUEUE } = {}) => {
+  signal?.throwIfAborted();
+  const engine = getEngine(queue);
+  const worker = await engine.workerPromise;
+  signal?.throwIfAborted();
+
+  jobCounter += 1;
+  const jobId = `recognize-${jobCounter}`;
+  const stopped = new Promise((_, reject) => {
+    engine.jobs.set(jobId, { reject, onProgress });
+  });
+  const onAbort = () => {
+    engine.jobs.get(jobId)?.reject(signal.reason);
+    engine.jobs.delete(jobId);
+    stopEngine(queue, engine, new Error('Text recognition was interrupted by a cancelled scan'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const { data } = await Promise.race([
+      worker.recognize(image, {}, { text: true, blocks: true }, jobId),
+      stopped
+    ]);
+    return normalizeResult(data);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    engine.jobs.delete(jobId);
+  }
+};
+
+/**
+ * Shut down every OCR worker and release its memory. Recognitions still running
+ * are rejected.
+ */
+export const terminateOcrEngine = async () => {
+  const error = new Error('The OCR engine was shut down');
+  await Promise.all([...engines].map(([queue, engine]) => stopEngine(queue, engine, error)));
+};
@@ -0,0 +1,177 @@
+// Scoring parsed scan results against expected items: precision and recall per field
+import { format, parseISO } from 'date-fns';
+import { findLabelDates, processOCRText, validateExtractedItem } from './ocrProcessing.js';
+import { parseReceipt } from './receiptParsing.js';
+import { BUILT_IN_PRODUCTS } from './productDictionary.js';
+
+/**
+ * Item fields that are scored
+ */
+export const EVALUATED_FIELDS = ['name', 'expiryDate', 'quantity', 'parsedQuantity', 'category', 'isDateAmbiguous'];
+
+// Yes/no fields: only a set flag claims anything about an item
+const FLAG_FIELDS = ['isDateAmbiguous'];
+
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (FLAG_FIELDS.includes(field)) return String(Boolean(value));
+  if (field === 'quantity') return String(value).toLowerCase().replace(/\s+/g, '');
+  // Parsed amounts are written as in the base unit they are stored in: '1250g'
+  if (field === 'parsedQuantity') {
+    return typeof value === 'object' ? `${value.amount}${value.unit}` : String(value).replace(/\s+/g, '');
+  }
+  return String(value).trim().toLowerCase();
+};
+
+/**
+ * Pair expected items with parsed ones: by name where the case names the item,
+ * otherwise by expiry date. Returns `{ pairs: [[expected, actual | null]], unmatched }`
+ * where `unmatched` are parsed items no expected item claimed.
+ */
+const alignItems = (expectedItems, actualItems) => {
+  const remaining = [...actualItems];
+  const take = (predicate) => {
+    const index = remaining.findIndex(predicate);
+    return index === -1 ? null : remaining.splice(index, 1)[0];
+  };
+
+  const pairs = expectedItems.map(expected => {
+    const name = normalizeValue('name', expected.name);
+    const actual = name
+      ? take(item => normalizeValue('name', item.name) === name)
+      : take(item => item.expiryDate === expected.expiryDate);
+    return [expected, actual];
+  });
+
+  return { pairs, unmatched: remaining };
+};
+
+/**
+ * Count true positives, false positives and false negatives per field for one case.
+ * A field only counts where the expected item states it; a parsed value that is
+ * wrong is both a false positive and a false negative.
+ */
+export const scoreItems = (expectedItems, actualItems, fields = EVALUATED_FIELDS) => {
+  const { pairs, unmatched } = alignItems(expectedItems, actualItems);
+  const counts = Object.fromEntries(fields.map(field => [field, { tp: 0, fp: 0, fn: 0 }]));
+  const mismatches = [];
+
+  pairs.forEach(([expected, actual]) => {
+    fields.forEach(field => {
+      const expectedValue = normalizeValue(field, expected[field]);
+      if (expectedValue === null) return;
+
+      const actualValue = normalizeValue(field, actual?.[field]);
+      if (actualValue === expectedValue) {
+        counts[field].tp += 1;
+        return;
+      }
+      counts[field].fn += 1;
+      if (actualValue !== null) counts[field].fp += 1;
+      mismatches.push({ field, expected: expected[field], actual: actual?.[field] ?? null });
+    });
+  });
+
+  unmatched.forEach(actual => {
+    fields.forEach(field => {
+      const claimsValue = FLAG_FIELDS.includes(field) ? actual[field] === true : normalizeValue(field, actual[field]) !== null;
+      if (claimsValue) counts[field].fp += 1;
+    });
+    mismatches.push({ field: 'item', expected: null, actual: actual.name });
+  });
+
+  return { counts, mismatches };
+};
+
+const withRates = ({ tp, fp, fn }) => ({
+  tp,
+  fp,
+  fn,
+  precision: tp + fp === 0 ? 1 : tp / (tp + fp),
+  recall: tp + fn === 0 ? 1 : tp / (tp + fn)
+});
+
+/**
+ * Parse the text of one corpus case the way the app would, with a fixed
+ * `today`, no learned rules and only the built-in product dictionary so
+ * results do not depend on the machine or the date the harness runs.
+ * `mode: 'receipt'` cases go through the receipt parser.
+ */
+export const parseCase = (testCase, text, { today } = {}) => {
+  const options = {
+    today: parseISO(testCase.today || today),
+    locale: testCase.locale || 'en-US',
+    languages: testCase.languages || ['en'],
+    learnedOrders: {},
+    aliases: [],
+    dictionary: BUILT_IN_PRODUCTS
+  };
+
+  const items = testCase.mode === 'receipt'
+    ? parseReceipt(text, options).items
+    : processOCRText(text, options);
+  return items.map(validateExtractedItem).filter(Boolean);
+};
+
+/**
+ * Score a corpus of cases (`{ id, text, expected, today?, locale?, languages?, mode? }`).
+ * `getText(testCase)` may resolve the text some other way, e.g. by running OCR
+ * on the case's fixture image; it defaults to the case's own text.
+ * Resolves to `{ cases: [{ id, counts, mismatches }], fields: { [field]: { tp, fp, fn, precision, recall } } }`.
+ */
+export const evaluateCorpus = async (corpus, { today, getText = testCase => testCase.text, fields = EVALUATED_FIELDS } = {}) => {
+  const totals = Object.fromEntries(fields.map(field => [field, { tp: 0, fp: 0, fn: 0 }]));
+  const cases = [];
+
+  for (const testCase of corpus) {
+    const text = await getText(testCase);
+    const { counts, mismatches } = scoreItems(testCase.expected, parseCase(testCase, text, { today }), fields);
+    fields.forEach(field => {
+      totals[field].tp += counts[field].tp;
+      totals[field].fp += counts[field].fp;
+      totals[field].fn += counts[field].fn;
+    });
+    cases.push({ id: testCase.id, counts, mismatches });
+  }
+
+  return {
+    cases,
+    fields: Object.fromEntries(fields.map(field => [field, withRates(totals[field])]))
+  };
+};
+
+/**
+ * Check the dates read from a language fixture (see LANGUAGE_FIXTURES) in its
+ * locale and language. Returns the expected dates that were not found and the
+ * found ones that were not expected, as `{ missing, unexpected }` with entries
+ * `{ date, isExpiry }`; both are empty when the fixture passes.
+ */
+export const checkLanguageFixture = (fixture, text, { today } = {}) => {
+  const found = findLabelDates(text, {
+    today: parseISO(today),
+    locale: fixture.locale,
+    languages: [fixture.language],
+    learnedOrders: {}
+  }).map(dateInfo => ({ date: format(dateInfo.date, 'yyyy-MM-dd'), isExpiry: dateInfo.isExpiry }));
+
+  const key = ({ date, isExpiry }) => `${date} ${isExpiry}`;
+  const unexpected = [...found];
+  const missing = fixture.expectedDates.filter(expected => {
+    const index = unexpected.findIndex(actual => key(actual) === key(expected));
+    if (index === -1) return true;
+    unexpected.splice(index, 1);
+    return false;
+  });
+  return { missing, unexpected };
+};
+
+/**
+ * Fields whose precision or recall fell below a saved baseline
+ * (`{ [field]: { precision, recall } }`), as `[{ field, metric, baseline, actual }]`
+ */
+export const findRegressions = (fields, baseline) =>
+  Object.entries(baseline).flatMap(([field, expected]) =>
+    ['precision', 'recall']
+      .filter(metric => fields[field] && fields[field][metric] < expected[metric] - 1e-9)
+      .map(metric => ({ field, metric, baseline: expected[metric], actual: fields[field][metric] }))
+  );
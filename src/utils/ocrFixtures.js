@@ -0,0 +1,105 @@
+// Deterministic OCR fixtures shared by the fixture provider and the mock OCR server
+
+/**
+ * Label texts keyed by fixture name. The first entry is used when no name is given.
+ */
+export const OCR_FIXTURES = {
+  dairy: "Milk expires 2024-12-25\nBread best by 12/20/2024\nApples fresh until Dec 22, 2024\nYogurt use by 2024-12-18",
+  mixed: "Bananas 12/19/2024\nChicken breast exp 12/21/24\nCheese expires December 23 2024\nEggs best before 12/26/2024",
+  produce: "Tomatoes Dec 20 2024\nLettuce expires 12/18/24\nCarrots fresh until 12/25/2024\nOnions good until December 30, 2024",
+  coded: "Cheese EXP 250318\nChicken BB 18MAR25\nCereal EXP 03 25\nRice BB 25077",
+  receipt: "FRESH MART #1234\n123 Main St, Springfield\n12/20/2024 14:33\n4011 ORG BNNA 1.29 F\nWHL MLK 1GAL 3.49 F\nLG EGGS 12CT 2.99 F\nCHKN BRST 1.25 lb @ 5.99 /lb 7.49\nSTORE COUPON -1.00\nSUBTOTAL 14.26\nTAX 0.42\nTOTAL 14.68\nVISA 14.68",
+  'label-en': "Greek Yogurt 500g\nBest before 14 Mar 2025\nPacked 02/03/2025",
+  'label-de': "Vollmilch 3,5% Fett\nMindestens haltbar bis 12. März 2025\nMHD 12.03.2025",
+  'label-fr': "Lait demi-écrémé\nÀ consommer de préférence avant le 5 avril 2025",
+  'label-es': "Yogur natural\nConsumir antes de 5 de abril de 2025\nLote 2241",
+  'label-ja': "牛乳 1000ml\n賞味期限 2025年4月5日\n製造所 東京"
+};
+
+/**
+ * Per-language label fixtures with the dates the parser must find in them.
+ * `isExpiry` states whether the date sits next to an expiry keyword of that language.
+ */
+export const LANGUAGE_FIXTURES = [
+  {
+    language: 'en',
+    locale: 'en-GB',
+    fixture: 'label-en',
+    expectedDates: [
+      { date: '2025-03-14', isExpiry: true },
+      { date: '2025-03-02', isExpiry: false }
+    ]
+  },
+  {
+    language: 'de',
+    locale: 'de-DE',
+    fixture: 'label-de',
+    expectedDates: [
+      { date: '2025-03-12', isExpiry: true },
+      { date: '2025-03-12', isExpiry: true }
+    ]
+  },
+  {
+    language: 'fr',
+    locale: 'fr-FR',
+    fixture: 'label-fr',
+    expectedDates: [{ date: '2025-04-05', isExpiry: true }]
+  },
+  {
+    language: 'es',
+    locale: 'es-ES',
+    fixture: 'label-es',
+    expectedDates: [{ date: '2025-04-05', isExpiry: true }]
+  },
+  {
+    language: 'ja',
+    locale: 'ja-JP',
+    fixture: 'label-ja',
+    expectedDates: [{ date: '2025-04-05', isExpiry: true }]
+  }
+];
+
+export const DEFAULT_FIXTURE = Object.keys(OCR_FIXTURES)[0];
+
+const LINE_HEIGHT = 24;
+const CHAR_WIDTH = 12;
+
+/**
+ * Build a provider result from plain text, laying lines and words out on a
+ * fixed grid so bounding boxes are stable between runs
+ */
+export const createFixtureResult = (text) => {
+  const lines = text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((lineText, lineIndex) => {
+      const y0 = lineIndex * LINE_HEIGHT;
+      const y1 = y0 + LINE_HEIGHT - 4;
+      let cursor = 0;
+
+      const words = lineText.split(/\s+/).map(wordText => {
+        const x0 = cursor * CHAR_WIDTH;
+        cursor += wordText.length + 1;
+        return {
+          text: wordText,
+          confidence: 1,
+          bbox: { x0, y0, x1: x0 + wordText.length * CHAR_WIDTH, y1 }
+        };
+      });
+
+      return {
+        text: lineText,
+        confidence: 1,
+        bbox: { x0: 0, y0, x1: lineText.length * CHAR_WIDTH, y1 },
+        words
+      };
+    });
+
+  return {
+    text,
+    confidence: lines.length > 0 ? 1 : 0,
+    lines,
+    words: lines.flatMap(line => line.words)
+  };
+};
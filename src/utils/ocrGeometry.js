@@ -0,0 +1,42 @@
+// Locating strings inside OCR results: which words they were read from and where they sit on the image
+
+/**
+ * Union of the boxes of the words that overlap characters `start`..`end` of a line,
+ * with the confidence of the least certain of those words.
+ * Word positions are found by walking the line text, since OCR words carry no offsets.
+ */
+export const boxForRange = (line, start, end) => {
+  let cursor = 0;
+  const words = line.words.filter(word => {
+    const wordStart = line.text.indexOf(word.text, cursor);
+    if (wordStart === -1) return false;
+    cursor = wordStart + word.text.length;
+    return wordStart < end && cursor > start;
+  });
+  if (words.length === 0) return { bbox: line.bbox, confidence: line.confidence };
+
+  return {
+    bbox: {
+      x0: Math.min(...words.map(word => word.bbox.x0)),
+      y0: Math.min(...words.map(word => word.bbox.y0)),
+      x1: Math.max(...words.map(word => word.bbox.x1)),
+      y1: Math.max(...words.map(word => word.bbox.y1))
+    },
+    confidence: Math.min(...words.map(word => word.confidence))
+  };
+};
+
+/**
+ * Where `text` was read: `{ bbox, confidence }` for its first case-insensitive
+ * occurrence in the OCR lines, or null when no line contains it
+ */
+export const locateText = (lines = [], text) => {
+  const needle = String(text || '').toLowerCase();
+  if (!needle) return null;
+
+  for (const line of lines) {
+    const start = line.text.toLowerCase().indexOf(needle);
+    if (start !== -1) return boxForRange(line, start, start + needle.length);
+  }
+  return null;
+};
@@ -0,0 +1,246 @@
+// Per-language dictionaries for reading grocery labels: expiry keywords and month names
+import { settingsStorage, storageUtils } from './storage.js';
+
+export const DEFAULT_OCR_LANGUAGES = ['en'];
+
+/**
+ * What a printed date means, told by the words in front of it
+ */
+export const DATE_KIND_LABELS = {
+  useBy: 'Use by',
+  bestBefore: 'Best before',
+  sellBy: 'Sell by',
+  expiry: 'Expires',
+  packed: 'Packed on',
+  produced: 'Produced on'
+};
+
+/**
+ * Date kinds that state when the product stops being good, as opposed to when it
+ * was made or packed
+ */
+export const EXPIRY_DATE_KINDS = ['useBy', 'bestBefore', 'sellBy', 'expiry'];
+
+/**
+ * Keyed by app language code. `tesseract` is the traineddata the OCR engine loads,
+ * `dateKeywords` lists the lowercase words printed before each kind of date,
+ * `codeKeywords` the words printed before lot and batch codes,
+ * `openedPattern` matches "use within N days of opening" with N captured, and
+ * `months` maps every spelling and abbreviation (lowercase) to its month number.
+ */
+export const OCR_LANGUAGES = {
+  en: {
+    label: 'English',
+    tesseract: 'eng',
+    dateKeywords: {
+      useBy: ['use by', 'use before'],
+      bestBefore: ['best by', 'best before', 'best before end', 'fresh until', 'good until', 'bb', 'bbe'],
+      sellBy: ['sell by', 'display until', 'display by'],
+      expiry: ['exp', 'expires', 'expiry', 'expiration'],
+      packed: ['packed', 'packed on', 'pack date', 'packaged on', 'pkd'],
+      produced: ['produced', 'production date', 'prod.', 'prod date', 'manufactured', 'mfg', 'mfd', 'made on', 'baked on']
+    },
+    codeKeywords: ['lot', 'batch', 'code'],
+    openedPattern: /(?:use|consume|eat) within (\d+) days? (?:of|after) opening|once opened,? (?:use|consume|eat) within (\d+) days?/,
+    months: {
+      january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3,
+      april: 4, apr: 4, may: 5, june: 6, jun: 6, july: 7, jul: 7,
+      august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10, oct: 10,
+      november: 11, nov: 11, december: 12, dec: 12
+    }
+  },
+  de: {
+    label: 'Deutsch',
+    tesseract: 'deu',
+    dateKeywords: {
+      useBy: ['zu verbrauchen bis', 'verbrauchen bis', 'verbrauchsdatum'],
+      bestBefore: ['mhd', 'mindestens haltbar bis', 'mind. haltbar bis', 'haltbar bis'],
+      sellBy: [],
+      expiry: ['ablaufdatum'],
+      packed: ['verpackt am', 'abgepackt am', 'packdatum'],
+      produced: ['hergestellt am', 'herstelldatum', 'herstellungsdatum', 'produziert am', 'gebacken am']
+    },
+    codeKeywords: ['charge', 'chargennummer', 'los'],
+    openedPattern: /nach (?:dem )?öffnen (?:innerhalb von |binnen )?(\d+) tage/,
+    months: {
+      januar: 1, jänner: 1, jan: 1, jän: 1, februar: 2, feb: 2, märz: 3, maerz: 3, mär: 3, mrz: 3,
+      april: 4, apr: 4, mai: 5, juni: 6, jun: 6, juli: 7, jul: 7, august: 8, aug: 8,
+      september: 9, sept: 9, sep: 9, oktober: 10, okt: 10, november: 11, nov: 11,
+      dezember: 12, dez: 12
+    }
+  },
+  fr: {
+    label: 'Français',
+    tesseract: 'fra',
+    dateKeywords: {
+      useBy: ['à consommer avant', 'a consommer avant', 'à consommer jusqu', 'a consommer jusqu', 'date limite', 'dlc'],
+      bestBefore: [
+        'à consommer de préférence avant', 'a consommer de preference avant',
+        'préférence avant', 'preference avant', 'dluo', 'ddm'
+      ],
+      sellBy: [],
+      expiry: [],
+      packed: ['emballé le', 'emballe le', 'conditionné le', 'conditionne le'],
+      produced: ['fabriqué le', 'fabrique le', 'date de fabrication', 'produit le']
+    },
+    codeKeywords: ['lot', 'numéro de lot', 'numero de lot'],
+    openedPattern: /après ouverture,? (?:à consommer |a consommer |consommer )?(?:sous|dans les) (\d+) jours/,
+    months: {
+      janvier: 1, janv: 1, février: 2, fevrier: 2, févr: 2, fevr: 2, fév: 2, mars: 3,
+      avril: 4, avr: 4, mai: 5, juin: 6, juillet: 7, juil: 7, août: 8, aout: 8,
+      septembre: 9, sept: 9, octobre: 10, oct: 10, novembre: 11, nov: 11,
+      décembre: 12, decembre: 12, déc: 12
+    }
+  },
+  es: {
+    label: 'Español',
+    tesseract: 'spa',
+    dateKeywords: {
+      useBy: ['fecha de caducidad', 'caducidad', 'caduca', 'cad.'],
+      bestBefore: ['consumir antes de', 'consumir antes del', 'consumir preferentemente antes'],
+      sellBy: [],
+      expiry: ['vence', 'fecha de vencimiento'],
+      packed: ['envasado', 'envasado el', 'fecha de envasado'],
+      produced: ['fabricado el', 'fecha de fabricación', 'fecha de fabricacion', 'elaborado el', 'fecha de elaboración']
+    },
+    codeKeywords: ['lote'],
+    openedPattern: /una vez abierto,? consumir en (?:un plazo de )?(\d+) días/,
+    months: {
+      enero: 1, ene: 1, febrero: 2, feb: 2, marzo: 3, mar: 3, abril: 4, abr: 4,
+      mayo: 5, may: 5, junio: 6, jun: 6, julio: 7, jul: 7, agosto: 8, ago: 8,
+      septiembre: 9, setiembre: 9, sept: 9, sep: 9, octubre: 10, oct: 10,
+      noviembre: 11, nov: 11, diciembre: 12, dic: 12
+    }
+  },
+  ja: {
+    label: '日本語',
+    tesseract: 'jpn',
+    dateKeywords: {
+      useBy: ['消費期限'],
+      bestBefore: ['賞味期限', '品質保持期限'],
+      sellBy: ['販売期限'],
+      expiry: ['期限'],
+      packed: ['包装日', '加工日'],
+      produced: ['製造日', '製造年月日']
+    },
+    codeKeywords: ['ロット', '製造番号'],
+    openedPattern: /開封後は?(\d+)日/,
+    // Japanese labels write months as numbers (4月), handled by the date patterns
+    months: {}
+  }
+};
+
+/**
+ * Language codes enabled in settings, falling back to English
+ */
+export const getActiveLanguages = () => {
+  const configured = storageUtils.isStorageAvailable() ? settingsStorage.get().ocr?.languages : null;
+  const languages = (configured || []).filter(code => OCR_LANGUAGES[code]);
+  return languages.length > 0 ? languages : DEFAULT_OCR_LANGUAGES;
+};
+
+const resolveLanguages = (languages) =>
+  (languages || getActiveLanguages()).map(code => OCR_LANGUAGES[code]).filter(Boolean);
+
+/**
+ * Tesseract traineddata codes for the given (or active) languages
+ */
+export const getTesseractLanguages = (languages) =>
+  resolveLanguages(languages).map(language => language.tesseract);
+
+/**
+ * Expiry keywords of the given (or active) languages, lowercase
+ */
+export const getExpiryKeywords = (languages) =>
+  Array.from(new Set(resolveLanguages(languages).flatMap(language =>
+    EXPIRY_DATE_KINDS.flatMap(kind => language.dateKeywords[kind])
+  )));
+
+/**
+ * Month spellings of the given (or active) languages merged into one lookup
+ */
+export const getMonthNames = (languages) =>
+  Object.assign({}, ...resolveLanguages(languages).map(language => language.months));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Index just past the last occurrence of a keyword in lowercase text, or -1
+const findLastKeyword = (lowerText, keyword) => {
+  if (!/^\p{Script=Latin}/u.test(keyword)) {
+    const index = lowerText.lastIndexOf(keyword);
+    return index === -1 ? -1 : index + keyword.length;
+  }
+  const matches = [...lowerText.matchAll(new RegExp(`(?<!\\p{L})${escapeRegExp(keyword)}`, 'gu'))];
+  return matches.length > 0 ? matches[matches.length - 1].index + keyword.length : -1;
+};
+
+/**
+ * First expiry keyword of the given (or active) languages found in `text`, or null.
+ * Keywords in Latin script must start a word, so "cad." does not fire inside "arcade";
+ * CJK keywords have no word boundaries and match anywhere.
+ */
+export const findExpiryKeyword = (text, languages) => {
+  const lowerText = text.toLowerCase();
+  return getExpiryKeywords(languages).find(keyword => findLastKeyword(lowerText, keyword) !== -1) || null;
+};
+
+/**
+ * Kind of date (see DATE_KIND_LABELS) named by the keyword closest to the end of
+ * `text`, the words printed before a date, or null when there is none.
+ * Of keywords ending at the same place the longest wins, so "賞味期限" beats "期限".
+ */
+export const findDateKind = (text, languages) => {
+  const lowerText = text.toLowerCase();
+  let best = null;
+
+  resolveLanguages(languages).forEach(language => {
+    Object.entries(language.dateKeywords).forEach(([kind, keywords]) => {
+      keywords.forEach(keyword => {
+        const end = findLastKeyword(lowerText, keyword);
+        if (end === -1) return;
+        if (!best || end > best.end || (end === best.end && keyword.length > best.keyword.length)) {
+          best = { kind, keyword, end };
+        }
+      });
+    });
+  });
+
+  return best ? best.kind : null;
+};
+
+/**
+ * Whether a line opens with a date or code keyword of the given (or active)
+ * languages ("MHD 12.03.2025", "LOT 2241"), so it names no product
+ */
+export const startsWithLabelKeyword = (line, languages) => {
+  const lowerLine = line.trim().toLowerCase();
+  return resolveLanguages(languages).some(language =>
+    [...Object.values(language.dateKeywords).flat(), ...language.codeKeywords].some(keyword =>
+      lowerLine.startsWith(keyword) &&
+      (!/^\p{Script=Latin}/u.test(keyword) || !/\p{L}/u.test(lowerLine.charAt(keyword.length)))
+    )
+  );
+};
+
+/**
+ * Days a product keeps once opened when the label says so ("use within 3 days
+ * of opening"), or null
+ */
+export const findOpenedShelfLife = (text, languages) => {
+  const lowerText = text.toLowerCase();
+  for (const language of resolveLanguages(languages)) {
+    const match = language.openedPattern?.exec(lowerText);
+    const days = match && Number(match.slice(1).find(Boolean));
+    if (days > 0) return days;
+  }
+  return null;
+};
+
+/**
+ * Regex source matching any spelling in a month lookup, longest first so
+ * "sept" wins over "sep". Returns null when the lookup is empty.
+ */
+export const buildMonthPattern = (months) => {
+  const names = Object.keys(months).sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return names.length > 0 ? `(?<!\\p{L})(${names.join('|')})\\.?(?!\\p{L})` : null;
+};
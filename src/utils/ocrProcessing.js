@@ -1,172 +1,112 @@
 // OCR text extraction and processing utilities
-import { format, parse, isValid, addDays } from 'date-fns';
+import { format, isValid, addDays, parseISO } from 'date-fns';
+import { extractDates, DATE_FORMAT_LABELS } from './dateParsing.js';
+import {
+  findDateKind,
+  findOpenedShelfLife,
+  startsWithLabelKeyword,
+  DATE_KIND_LABELS,
+  EXPIRY_DATE_KINDS
+} from './ocrLanguages.js';
+import { parseQuantity } from './quantityParsing.js';
+import { parseReceipt } from './receiptParsing.js';
+import { locateText } from './ocrGeometry.js';
+import { findLearnedNames } from './learnedRules.js';
+import { matchProducts } from './productDictionary.js';
+import { findFuzzyPhrase } from './fuzzyMatch.js';
+import { PRODUCT_CATEGORIES } from './productCatalog.js';
+import { deriveExpiryDate } from './shelfLife.js';
+import { getOCRProvider, getActiveOCRProvider } from './ocrProviders.js';
+import { preprocessImage } from './imagePreprocessing.js';
+
+export {
+  registerOCRProvider,
+  getOCRProvider,
+  listOCRProviders,
+  getActiveOCRProvider
+} from './ocrProviders.js';
 
 /**
- * Mock OCR function that simulates text extraction from an image
- * In a real implementation, this would integrate with an OCR service like Tesseract.js
+ * Run OCR over an image (File, Blob, data URL or canvas) with the provider
+ * chosen in settings, or `options.provider` when given.
+ * Resolves to `{ text, confidence, lines, words }` with per-word confidence and bounding boxes.
+ * Cancelling through `options.signal` rejects with an AbortError.
  */
-export const extractTextFromImage = async (imageFile) => {
+export const extractTextFromImage = async (imageFile, options = {}) => {
+  const { provider: providerId, ...recognizeOptions } = options;
+
   try {
-    // Simulate OCR processing delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Mock OCR results for demonstration
-    const mockTexts = [
-      "Milk expires 2024-12-25\nBread best by 12/20/2024\nApples fresh until Dec 22, 2024\nYogurt use by 2024-12-18",
-      "Bananas 12/19/2024\nChicken breast exp 12/21/24\nCheese expires December 23 2024\nEggs best before 12/26/2024",
-      "Tomatoes Dec 20 2024\nLettuce expires 12/18/24\nCarrots fresh until 12/25/2024\nOnions good until December 30, 2024"
-    ];
-    
-    const randomText = mockTexts[Math.floor(Math.random() * mockTexts.length)];
-    return randomText;
+    const provider = providerId ? getOCRProvider(providerId) : getActiveOCRProvider();
+    return await provider.recognize(imageFile, recognizeOptions);
   } catch (error) {
+    if (error?.name === 'AbortError') throw error;
     console.error('OCR extraction failed:', error);
     throw new Error('Failed to extract text from image');
   }
 };
 
 /**
- * Common date patterns found in grocery items
- */
-const DATE_PATTERNS = [
-  // MM/DD/YYYY or MM/DD/YY
-  /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/g,
-  // YYYY-MM-DD
-  /(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})/g,
-  // Month DD, YYYY or Month DD YYYY
-  /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+(\d{1,2}),?\s+(\d{4})/gi,
-  // DD Month YYYY
-  /(\d{1,2})\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+(\d{4})/gi
-];
-
-/**
- * Common expiry keywords that indicate a date is an expiry date
- */
-const EXPIRY_KEYWORDS = [
-  'exp', 'expires', 'expiry', 'expiration',
-  'best by', 'best before', 'use by', 'use before',
-  'sell by', 'fresh until', 'good until'
-];
-
-/**
- * Common grocery item names
+ * Kind of a printed date (see DATE_KIND_LABELS) from the words before it on its
+ * line, or on the line above when the date starts its line ("Use by:\n12/03"),
+ * falling back to any date keyword around it. Null when no keyword names it.
  */
-const COMMON_ITEMS = [
-  'milk', 'bread', 'eggs', 'cheese', 'butter', 'yogurt',
-  'chicken', 'beef', 'pork', 'fish', 'salmon', 'turkey',
-  'apples', 'bananas', 'oranges', 'grapes', 'strawberries',
-  'lettuce', 'tomatoes', 'carrots', 'onions', 'potatoes',
-  'rice', 'pasta', 'cereal', 'juice', 'water'
-];
-
-/**
- * Extract dates from text using various patterns
- */
-const extractDates = (text) => {
-  const dates = [];
-  
-  DATE_PATTERNS.forEach(pattern => {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const matchText = match[0];
-      const fullMatch = match.input.substring(
-        Math.max(0, match.index - 20),
-        Math.min(match.input.length, match.index + matchText.length + 20)
-      );
-      
-      dates.push({
-        text: matchText,
-        context: fullMatch.trim(),
-        index: match.index
-      });
-    }
-  });
-  
-  return dates;
-};
-
-/**
- * Parse a date string into a Date object
- */
-const parseDate = (dateText) => {
-  const cleanDate = dateText.trim();
-  
-  // Try various date formats
-  const formats = [
-    'MM/dd/yyyy', 'MM/dd/yy', 'M/d/yyyy', 'M/d/yy',
-    'yyyy-MM-dd', 'yyyy/MM/dd',
-    'MMM dd yyyy', 'MMM dd, yyyy', 'MMMM dd yyyy', 'MMMM dd, yyyy',
-    'dd MMM yyyy', 'dd MMMM yyyy'
-  ];
-  
-  for (const formatStr of formats) {
-    try {
-      const parsed = parse(cleanDate, formatStr, new Date());
-      if (isValid(parsed)) {
-        return parsed;
-      }
-    } catch (error) {
-      continue;
-    }
-  }
-  
-  // Try native Date parsing as fallback
-  const nativeDate = new Date(cleanDate);
-  if (isValid(nativeDate)) {
-    return nativeDate;
+const classifyDate = (text, dateInfo, languages) => {
+  const lineStart = text.lastIndexOf('\n', dateInfo.index - 1) + 1;
+  let before = text.substring(lineStart, dateInfo.index);
+  if (!/\p{L}/u.test(before) && lineStart > 0) {
+    before = text.substring(text.lastIndexOf('\n', lineStart - 2) + 1, dateInfo.index);
   }
-  
-  return null;
+  return findDateKind(before, languages) || findDateKind(dateInfo.context, languages);
 };
 
 /**
- * Check if a date context suggests it's an expiry date
+ * The dates that could be read in a label's text (see extractDates for `options`),
+ * each with its `kind` (see classifyDate) and `isExpiry` when that kind is an expiry date
  */
-const isLikelyExpiryDate = (context) => {
-  const lowerContext = context.toLowerCase();
-  return EXPIRY_KEYWORDS.some(keyword => lowerContext.includes(keyword));
+export const findLabelDates = (text, options = {}) =>
+  extractDates(text, options)
+    .filter(dateInfo => dateInfo.date !== null)
+    .map(dateInfo => {
+      const kind = classifyDate(text, dateInfo, options.languages);
+      return { ...dateInfo, kind, isExpiry: EXPIRY_DATE_KINDS.includes(kind) };
+    });
+
+// Expiry dates pair with items first, then dates of unknown kind, then production and packing dates
+const dateRank = (dateInfo) => {
+  if (dateInfo.isExpiry) return 0;
+  return dateInfo.kind ? 2 : 1;
 };
 
 /**
- * Extract item names from text
+ * Extract item names from text.
+ * Names the user taught by correcting earlier scans come first, then products
+ * from the product dictionary, rated higher when named next to a date. Both
+ * carry the printed words they were matched on as `text`; dictionary names
+ * also carry their `category`.
  */
-const extractItemNames = (text, dateContexts = []) => {
-  const words = text.toLowerCase().split(/\s+/);
-  const items = [];
+const extractItemNames = (text, dateContexts = [], { aliases, dictionary, languages } = {}) => {
+  const items = findLearnedNames(text, aliases);
+  // Whole words only, so a learned "Graham Crackers" does not hide the dictionary's ham
+  const isLearned = (name) => items.some(item => findFuzzyPhrase(item.name, name));
   
-  // Look for common grocery items
-  COMMON_ITEMS.forEach(item => {
-    if (words.some(word => word.includes(item))) {
-      items.push({
-        name: item.charAt(0).toUpperCase() + item.slice(1),
-        confidence: 0.8
-      });
-    }
-  });
-  
-  // Extract items from date contexts
-  dateContexts.forEach(context => {
-    const contextWords = context.toLowerCase().split(/\s+/);
-    contextWords.forEach(word => {
-      const cleanWord = word.replace(/[^a-z]/g, '');
-      if (cleanWord.length > 2 && COMMON_ITEMS.includes(cleanWord)) {
-        const itemName = cleanWord.charAt(0).toUpperCase() + cleanWord.slice(1);
-        if (!items.find(item => item.name === itemName)) {
-          items.push({
-            name: itemName,
-            confidence: 0.9
-          });
-        }
-      }
+  matchProducts(text, dictionary).forEach(match => {
+    if (isLearned(match.product.name)) return;
+    const isNearDate = dateContexts.some(context => findFuzzyPhrase(context, match.text));
+    items.push({
+      name: match.product.name,
+      category: match.product.category,
+      text: match.text,
+      confidence: (isNearDate ? 0.9 : 0.8) * match.similarity
     });
   });
   
-  // If no items found, extract potential item names from the beginning of lines
+  // If no items found, extract potential item names from the beginning of lines,
+  // skipping date and batch code lines ("EXP 04/02", "LOT 2241")
   if (items.length === 0) {
     const lines = text.split('\n');
     lines.forEach(line => {
       const trimmed = line.trim();
-      if (trimmed) {
+      if (trimmed && !startsWithLabelKeyword(trimmed, languages)) {
         const firstWord = trimmed.split(/\s+/)[0].replace(/[^a-zA-Z]/g, '');
         if (firstWord.length > 2) {
           items.push({
@@ -182,68 +122,164 @@ const extractItemNames = (text, dateContexts = []) => {
 };
 
 /**
- * Process OCR text and extract grocery items with expiry dates
+ * Expiry fields for an item taken from a parsed date, keeping the other
+ * readings of an ambiguous date and the printed text with its detected
+ * format so the review screen can show how the date was read.
+ * Production, packing and sell-by dates are turned into an expiry with the
+ * shelf-life rules; `expiryBasis` records how (see deriveExpiryDate).
+ */
+const toDateFields = (dateInfo, item, dictionary) => {
+  const rules = { name: item.name, category: item.category, dictionary };
+  const { expiryDate, expiryBasis } = deriveExpiryDate(dateInfo.date, dateInfo.kind, rules);
+  return {
+    expiryDate,
+    expiryBasis,
+    dateAlternatives: dateInfo.alternatives.map(date => deriveExpiryDate(date, dateInfo.kind, rules).expiryDate),
+    isDateAmbiguous: dateInfo.isAmbiguous,
+    dateText: dateInfo.text,
+    dateFormat: dateInfo.format
+  };
+};
+
+// Date confidence for items that got the default expiry because no date was read
+const NO_DATE_CONFIDENCE = 0.2;
+
+/**
+ * Fields below this confidence are flagged for the user to check
+ */
+export const LOW_FIELD_CONFIDENCE = 0.6;
+
+/**
+ * Whether a field ('name' or 'expiryDate') of a scanned item needs checking.
+ * Items without per-field confidence (typed in, or saved before it existed) are not flagged.
+ */
+export const isLowConfidence = (item, field) =>
+  (item.fieldConfidence?.[field] ?? 1) < LOW_FIELD_CONFIDENCE;
+
+/**
+ * How far each field of an item can be trusted, before OCR quality is factored in.
+ * Dates next to an expiry keyword are trusted more, ambiguous readings less.
+ */
+const toFieldConfidence = (nameConfidence, dateInfo) => ({
+  fieldConfidence: {
+    name: Math.min(nameConfidence, 1),
+    expiryDate: dateInfo
+      ? (dateInfo.isExpiry ? 1 : 0.7) * (dateInfo.isAmbiguous ? 0.6 : 1)
+      : NO_DATE_CONFIDENCE
+  }
+});
+
+/**
+ * Scale field confidences by how confidently the OCR engine read the words
+ * each field came from, and keep those words' boxes so the review screen can
+ * point at them. Without OCR lines (plain text input) items are left as they are.
+ */
+const withSourceEvidence = (item, printedName, lines) => {
+  if (lines.length === 0) return item;
+
+  const nameSource = locateText(lines, printedName);
+  const dateSource = item.dateText ? locateText(lines, item.dateText) : null;
+  return {
+    ...item,
+    fieldConfidence: {
+      name: item.fieldConfidence.name * (nameSource ? nameSource.confidence : 1),
+      expiryDate: item.fieldConfidence.expiryDate * (dateSource ? dateSource.confidence : 1)
+    },
+    sourceBoxes: {
+      name: nameSource?.bbox || null,
+      expiryDate: dateSource?.bbox || null
+    }
+  };
+};
+
+/**
+ * Quantity fields for an item read from the label line that names it:
+ * `quantity` keeps the printed string for display and `parsedQuantity`
+ * holds the amount and unit in base units (see parseQuantity)
+ */
+const toQuantityFields = (text, itemName) => {
+  const line = text
+    .split('\n')
+    .find(candidate => findFuzzyPhrase(candidate, itemName));
+  const parsedQuantity = line ? parseQuantity(line) : null;
+  return parsedQuantity ? { quantity: parsedQuantity.text, parsedQuantity } : {};
+};
+
+/**
+ * Process OCR text and extract grocery items with expiry dates.
+ * Options: `locale` for day/month order, `languages` for expiry keywords and
+ * month names, `today` as the reference date, `lines`, the OCR result lines
+ * the text was read from, `learnedOrders` (see extractDates) and `aliases`, the
+ * learned name corrections (both default to the rules learned from past reviews),
+ * and `dictionary`, the products to look for (defaults to the product dictionary).
+ * Items named from the label carry `text`, the words printed for the name (the
+ * generic "Item 1" made up for a date alone has none).
+ * Every item carries `fieldConfidence: { name, expiryDate }`; with `lines` it
+ * also carries `sourceBoxes: { name, expiryDate }`, the image boxes each field
+ * was read from (null when not found).
  */
-export const processOCRText = (text) => {
+export const processOCRText = (text, options = {}) => {
   if (!text || typeof text !== 'string') {
     return [];
   }
   
   try {
-    const extractedDates = extractDates(text);
-    const validDates = extractedDates
-      .map(dateInfo => ({
-        ...dateInfo,
-        date: parseDate(dateInfo.text),
-        isExpiry: isLikelyExpiryDate(dateInfo.context)
-      }))
-      .filter(dateInfo => dateInfo.date !== null);
+    const today = options.today || new Date();
+    const validDates = findLabelDates(text, { ...options, today });
     
     // Sort by expiry likelihood and date proximity to today
-    const today = new Date();
     validDates.sort((a, b) => {
-      if (a.isExpiry !== b.isExpiry) {
-        return b.isExpiry - a.isExpiry; // Expiry dates first
+      if (dateRank(a) !== dateRank(b)) {
+        return dateRank(a) - dateRank(b); // Expiry dates first
       }
       const aDiff = Math.abs(a.date.getTime() - today.getTime());
       const bDiff = Math.abs(b.date.getTime() - today.getTime());
       return aDiff - bDiff; // Closer dates first
     });
     
-    const itemNames = extractItemNames(text, validDates.map(d => d.context));
+    const itemNames = extractItemNames(text, validDates.map(d => d.context), options);
+    // Learned and dictionary names differ from the words printed on the label; match on the printed words
+    const nameSources = new Map(itemNames.map(item => [item.name, item]));
+    const printedNames = new Map(itemNames.map(item => [item.name, item.text || item.name]));
     
     // Match items with dates
     const processedItems = [];
     const usedDates = new Set();
+    const datedNames = new Set();
     
-    // First pass: match items with dates from same context
-    itemNames.forEach((item, itemIndex) => {
-      const matchingDate = validDates.find((dateInfo, dateIndex) => {
-        if (usedDates.has(dateIndex)) return false;
-        
-        const contextLower = dateInfo.context.toLowerCase();
-        const itemNameLower = item.name.toLowerCase();
-        
-        return contextLower.includes(itemNameLower) || 
-               contextLower.includes(itemNameLower.substring(0, 4));
-      });
+    // The line of text a date was printed on
+    const getLine = (dateInfo) => {
+      const end = text.indexOf('\n', dateInfo.index);
+      return text.substring(text.lastIndexOf('\n', dateInfo.index - 1) + 1, end === -1 ? text.length : end);
+    };
+    
+    // First pass: match items with dates from same context, a date on the item's own
+    // line first ("Bananas 1.250 kg best before ..." leaves the name outside the context)
+    itemNames.forEach(item => {
+      const printedName = printedNames.get(item.name);
+      const findDate = (getText) => validDates.find((dateInfo, dateIndex) =>
+        !usedDates.has(dateIndex) && findFuzzyPhrase(getText(dateInfo), printedName) !== null
+      );
+      const matchingDate = findDate(getLine) || findDate(dateInfo => dateInfo.context);
       
       if (matchingDate) {
         const dateIndex = validDates.indexOf(matchingDate);
         usedDates.add(dateIndex);
+        datedNames.add(item.name);
         
         processedItems.push({
           id: Date.now() + Math.random(),
           name: item.name,
-          expiryDate: format(matchingDate.date, 'yyyy-MM-dd'),
-          addedDate: format(new Date(), 'yyyy-MM-dd'),
+          ...toDateFields(matchingDate, nameSources.get(item.name), options.dictionary),
+          ...toFieldConfidence(item.confidence, matchingDate),
+          addedDate: format(today, 'yyyy-MM-dd'),
           confidence: item.confidence + (matchingDate.isExpiry ? 0.2 : 0)
         });
       }
     });
     
     // Second pass: match remaining items with remaining dates
-    const remainingItems = itemNames.slice(processedItems.length);
+    const remainingItems = itemNames.filter(item => !datedNames.has(item.name));
     const remainingDates = validDates.filter((_, index) => !usedDates.has(index));
     
     remainingItems.forEach((item, index) => {
@@ -251,8 +287,9 @@ export const processOCRText = (text) => {
         processedItems.push({
           id: Date.now() + Math.random() + index,
           name: item.name,
-          expiryDate: format(remainingDates[index].date, 'yyyy-MM-dd'),
-          addedDate: format(new Date(), 'yyyy-MM-dd'),
+          ...toDateFields(remainingDates[index], nameSources.get(item.name), options.dictionary),
+          ...toFieldConfidence(item.confidence, remainingDates[index]),
+          addedDate: format(today, 'yyyy-MM-dd'),
           confidence: item.confidence
         });
       } else {
@@ -260,27 +297,50 @@ export const processOCRText = (text) => {
         processedItems.push({
           id: Date.now() + Math.random() + index,
           name: item.name,
-          expiryDate: format(addDays(new Date(), 7), 'yyyy-MM-dd'),
-          addedDate: format(new Date(), 'yyyy-MM-dd'),
+          expiryDate: format(addDays(today, 7), 'yyyy-MM-dd'),
+          ...toFieldConfidence(item.confidence, null),
+          addedDate: format(today, 'yyyy-MM-dd'),
           confidence: item.confidence * 0.5
         });
       }
     });
     
-    // If no items were extracted, create generic items from dates
+    // If no items were extracted, create generic items from dates, leaving out
+    // production and packing dates when the label also has another date
     if (processedItems.length === 0 && validDates.length > 0) {
-      validDates.slice(0, 3).forEach((dateInfo, index) => {
+      const genericDates = validDates.some(dateInfo => dateRank(dateInfo) < 2)
+        ? validDates.filter(dateInfo => dateRank(dateInfo) < 2)
+        : validDates;
+      genericDates.slice(0, 3).forEach((dateInfo, index) => {
         processedItems.push({
           id: Date.now() + Math.random() + index,
           name: `Item ${index + 1}`,
-          expiryDate: format(dateInfo.date, 'yyyy-MM-dd'),
-          addedDate: format(new Date(), 'yyyy-MM-dd'),
+          ...toDateFields(dateInfo, {}, options.dictionary),
+          ...toFieldConfidence(0.3, dateInfo),
+          addedDate: format(today, 'yyyy-MM-dd'),
           confidence: 0.3
         });
       });
     }
     
-    return processedItems.sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+    // "Use within 3 days of opening" is only clear when the label names one item
+    const openedShelfLifeDays = processedItems.length === 1
+      ? findOpenedShelfLife(text, options.languages)
+      : null;
+    
+    return processedItems
+      .map(item => {
+        const printedName = printedNames.get(item.name) || item.name;
+        const category = nameSources.get(item.name)?.category;
+        return withSourceEvidence({
+          ...item,
+          ...(printedNames.has(item.name) && { text: printedName }),
+          ...(category && { category }),
+          ...(openedShelfLifeDays && { openedShelfLifeDays }),
+          ...toQuantityFields(text, printedName)
+        }, printedName, options.lines || []);
+      })
+      .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
     
   } catch (error) {
     console.error('Error processing OCR text:', error);
@@ -288,6 +348,14 @@ export const processOCRText = (text) => {
   }
 };
 
+const CATEGORY_VALUES = PRODUCT_CATEGORIES.map(category => category.value);
+
+const EXPIRY_BASIS_RULES = ['printed', 'product', 'category', 'manual'];
+
+const clampConfidence = (value) => (typeof value === 'number' && value > 0 ? Math.min(value, 1) : 0);
+
+const isBox = (box) => Boolean(box) && ['x0', 'y0', 'x1', 'y1'].every(key => Number.isFinite(box[key]));
+
 /**
  * Validate and clean extracted item data
  */
@@ -304,6 +372,11 @@ export const validateExtractedItem = (item) => {
     confidence: 0
   };
   
+  // Receipts set the added date to the purchase date
+  if (typeof item.addedDate === 'string' && isValid(parseISO(item.addedDate))) {
+    cleanedItem.addedDate = item.addedDate;
+  }
+  
   // Validate and clean name
   if (item.name && typeof item.name === 'string') {
     cleanedItem.name = item.name.trim().substring(0, 50);
@@ -311,7 +384,8 @@ export const validateExtractedItem = (item) => {
   
   // Validate and clean expiry date
   if (item.expiryDate) {
-    const date = new Date(item.expiryDate);
+    // parseISO keeps yyyy-MM-dd in local time; new Date() would read it as UTC and shift the day
+    const date = typeof item.expiryDate === 'string' ? parseISO(item.expiryDate) : new Date(item.expiryDate);
     if (isValid(date)) {
       cleanedItem.expiryDate = format(date, 'yyyy-MM-dd');
     } else {
@@ -319,14 +393,211 @@ export const validateExtractedItem = (item) => {
     }
   }
   
-  // Validate confidence
-  if (typeof item.confidence === 'number' && item.confidence >= 0 && item.confidence <= 1) {
-    cleanedItem.confidence = item.confidence;
+  // Keep alternative readings of ambiguous dates for review
+  if (Array.isArray(item.dateAlternatives)) {
+    cleanedItem.dateAlternatives = item.dateAlternatives.filter(date => isValid(parseISO(date)));
+    cleanedItem.isDateAmbiguous = Boolean(item.isDateAmbiguous) && cleanedItem.dateAlternatives.length > 0;
+  }
+  
+  // Expiry estimated from shelf-life defaults rather than read from a label
+  if (item.isExpiryEstimated) {
+    cleanedItem.isExpiryEstimated = true;
+  }
+  
+  // Keep the price and printed line of receipt items
+  if (typeof item.price === 'number' && item.price >= 0) {
+    cleanedItem.price = item.price;
+  }
+  if (item.receiptText && typeof item.receiptText === 'string') {
+    cleanedItem.receiptText = item.receiptText.substring(0, 80);
+  }
+  
+  // Category of products recognized from the dictionary
+  if (CATEGORY_VALUES.includes(item.category)) {
+    cleanedItem.category = item.category;
+  }
+  
+  // Keep the printed quantity and its parsed amount and unit
+  if (item.quantity && typeof item.quantity === 'string') {
+    cleanedItem.quantity = item.quantity.trim().substring(0, 30);
+  }
+  if (item.parsedQuantity && Number.isFinite(item.parsedQuantity.amount) && item.parsedQuantity.unit) {
+    cleanedItem.parsedQuantity = { ...item.parsedQuantity };
+  }
+  
+  // Keep how the expiry was worked out from the printed date (see deriveExpiryDate)
+  if (item.expiryBasis && typeof item.expiryBasis === 'object' && EXPIRY_BASIS_RULES.includes(item.expiryBasis.rule)) {
+    cleanedItem.expiryBasis = {
+      kind: DATE_KIND_LABELS[item.expiryBasis.kind] ? item.expiryBasis.kind : null,
+      days: Number.isInteger(item.expiryBasis.days) && item.expiryBasis.days >= 0 ? item.expiryBasis.days : 0,
+      rule: item.expiryBasis.rule
+    };
+    if (CATEGORY_VALUES.includes(item.expiryBasis.category)) {
+      cleanedItem.expiryBasis.category = item.expiryBasis.category;
+    }
+  }
+  
+  // Days the product keeps once opened, when the label says so
+  if (Number.isInteger(item.openedShelfLifeDays) && item.openedShelfLifeDays > 0) {
+    cleanedItem.openedShelfLifeDays = item.openedShelfLifeDays;
+  }
+  
+  // Keep where the date came from: the printed text and its detected format
+  if (item.dateFormat && DATE_FORMAT_LABELS[item.dateFormat]) {
+    cleanedItem.dateFormat = item.dateFormat;
+    cleanedItem.dateText = typeof item.dateText === 'string' ? item.dateText.substring(0, 50) : '';
+  }
+  
+  // Keep per-field confidence and where on the image each field was read
+  if (item.fieldConfidence && typeof item.fieldConfidence === 'object') {
+    cleanedItem.fieldConfidence = {
+      name: clampConfidence(item.fieldConfidence.name),
+      expiryDate: clampConfidence(item.fieldConfidence.expiryDate)
+    };
+  }
+  if (item.sourceBoxes && typeof item.sourceBoxes === 'object') {
+    cleanedItem.sourceBoxes = {
+      name: isBox(item.sourceBoxes.name) ? item.sourceBoxes.name : null,
+      expiryDate: isBox(item.sourceBoxes.expiryDate) ? item.sourceBoxes.expiryDate : null
+    };
+  }
+  
+  // Validate confidence (context bonuses can push raw scores slightly above 1)
+  if (typeof item.confidence === 'number' && item.confidence >= 0) {
+    cleanedItem.confidence = Math.min(item.confidence, 1);
   }
   
   return cleanedItem.name ? cleanedItem : null;
 };
 
+/**
+ * Collect the parts of the recognized text the parser could not use, so the
+ * review screen can show them instead of silently dropping them
+ */
+const collectParseFailures = (text, candidates, items, options) => {
+  const failures = [];
+
+  if (!text.trim()) {
+    failures.push({ text: '', reason: 'No text was recognized in the image' });
+    return failures;
+  }
+
+  extractDates(text, options)
+    .filter(dateInfo => dateInfo.date === null)
+    .forEach(dateInfo => {
+      failures.push({ text: dateInfo.text, reason: 'Unrecognized date format' });
+    });
+
+  candidates
+    .filter(candidate => !items.some(item => item.id === candidate.id))
+    .forEach(candidate => {
+      failures.push({ text: candidate.expiryDate || '', reason: 'Item name could not be read' });
+    });
+
+  if (items.length === 0) {
+    failures.push({ text: '', reason: 'No grocery items or expiry dates were found' });
+  }
+
+  return failures;
+};
+
+/**
+ * Shared first half of the scan pipelines: optional preprocessing and OCR
+ */
+const recognizeForScan = async (image, options) => {
+  const { preprocess, ...ocrOptions } = options;
+  let ocrInput = image;
+  let preprocessing = null;
+
+  if (preprocess) {
+    preprocessing = await preprocessImage(image, { ...preprocess, signal: ocrOptions.signal });
+    ocrInput = preprocessing.output;
+  }
+
+  const { locale, languages, today, learnedOrders, aliases, dictionary, ...recognizeOptions } = ocrOptions;
+  const ocrResult = await extractTextFromImage(ocrInput, recognizeOptions);
+  return { ocrResult, parseOptions: { locale, languages, today, learnedOrders, aliases, dictionary }, preprocessing };
+};
+
+// The preprocessing stage the OCR boxes line up with that still looks like the photo
+const getSourceImage = (preprocessing) =>
+  preprocessing?.stages.find(stage => stage.name === 'deskewed')?.url || null;
+
+/**
+ * Run the full scan pipeline: optional preprocessing, OCR, text parsing and item validation.
+ * Pass `preprocess: { crop }` (or `preprocess: {}`) to clean the photo up in a worker first,
+ * and `locale`/`languages`/`today` to control how dates are read (`learnedOrders`,
+ * `aliases` and `dictionary` override the learned rules and products, see processOCRText).
+ * Resolves to `{ items, text, confidence, failures, stages, rotation, sourceImage }` where
+ * `confidence` is the engine's overall recognition confidence, `failures` lists what could
+ * not be parsed and `stages` holds previews of each preprocessing step.
+ * Item `sourceBoxes` are in the pixels of `sourceImage`, the preprocessed photo, or of the
+ * input image when it was not preprocessed (`sourceImage` is then null).
+ */
+export const scanImage = async (image, options = {}) => {
+  const { ocrResult, parseOptions, preprocessing } = await recognizeForScan(image, options);
+  const candidates = processOCRText(ocrResult.text, { ...parseOptions, lines: ocrResult.lines });
+  const items = candidates
+    .map(validateExtractedItem)
+    .filter(Boolean);
+
+  return {
+    items,
+    text: ocrResult.text,
+    confidence: ocrResult.confidence,
+    failures: collectParseFailures(ocrResult.text, candidates, items, parseOptions),
+    stages: preprocessing?.stages || [],
+    rotation: preprocessing?.rotation || 0,
+    sourceImage: getSourceImage(preprocessing)
+  };
+};
+
+/**
+ * Run the scan pipeline on a shop receipt instead of a package label.
+ * Takes the same options as scanImage and resolves to the same shape plus
+ * `store`, `purchaseDate` and `skipped`, the priced lines left out as totals,
+ * tax, payments or discounts.
+ */
+export const scanReceipt = async (image, options = {}) => {
+  const { ocrResult, parseOptions, preprocessing } = await recognizeForScan(image, options);
+  const receipt = parseReceipt(ocrResult.text, parseOptions);
+  const items = receipt.items
+    .map(item => {
+      // Names are expanded from abbreviations, so the whole receipt line is their source
+      const source = locateText(ocrResult.lines, item.receiptText);
+      return {
+        ...item,
+        fieldConfidence: {
+          name: item.confidence * (source ? source.confidence : 1),
+          expiryDate: NO_DATE_CONFIDENCE
+        },
+        sourceBoxes: { name: source?.bbox || null, expiryDate: null }
+      };
+    })
+    .map(validateExtractedItem)
+    .filter(Boolean);
+
+  const failures = [];
+  if (!ocrResult.text.trim()) {
+    failures.push({ text: '', reason: 'No text was recognized in the image' });
+  } else if (items.length === 0) {
+    failures.push({ text: '', reason: 'No priced items were found on the receipt' });
+  }
+
+  return {
+    items,
+    store: receipt.store,
+    purchaseDate: receipt.purchaseDate,
+    skipped: receipt.skipped,
+    text: ocrResult.text,
+    confidence: ocrResult.confidence,
+    failures,
+    stages: preprocessing?.stages || [],
+    rotation: preprocessing?.rotation || 0,
+    sourceImage: getSourceImage(preprocessing)
+  };
+};
+
 /**
  * Get confidence level description
  */
@@ -0,0 +1,163 @@
+// OCR provider registry: every backend takes an image and resolves to text blocks
+import { recognizeImage, ensureOcrLanguages } from './ocrEngine.js';
+import { getTesseractLanguages } from './ocrLanguages.js';
+import { OCR_FIXTURES, DEFAULT_FIXTURE, createFixtureResult } from './ocrFixtures.js';
+import { settingsStorage } from './storage.js';
+
+export const DEFAULT_OCR_PROVIDER = 'local';
+export const DEFAULT_OCR_SERVER_URL = 'http://localhost:8884';
+
+/**
+ * Provider contract:
+ *   {
+ *     id, label,
+ *     recognize(image, { signal, onProgress }) => Promise<{ text, confidence, lines, words }>
+ *   }
+ * Confidences are 0-1 and boxes are `{ x0, y0, x1, y1 }` in image pixels.
+ * Aborting `signal` must reject with the signal's reason (an AbortError);
+ * any other failure rejects with an Error describing what went wrong.
+ */
+const providers = new Map();
+
+const toBox = (bbox = {}) => ({
+  x0: Number(bbox.x0) || 0,
+  y0: Number(bbox.y0) || 0,
+  x1: Number(bbox.x1) || 0,
+  y1: Number(bbox.y1) || 0
+});
+
+/**
+ * Coerce a provider response into the shared result shape
+ */
+const normalizeProviderResult = (result = {}) => {
+  const lines = (result.lines || []).map(line => ({
+    text: String(line.text || '').trim(),
+    confidence: Number(line.confidence) || 0,
+    bbox: toBox(line.bbox),
+    words: (line.words || []).map(word => ({
+      text: String(word.text || ''),
+      confidence: Number(word.confidence) || 0,
+      bbox: toBox(word.bbox)
+    }))
+  }));
+
+  return {
+    text: typeof result.text === 'string' ? result.text : lines.map(line => line.text).join('\n'),
+    confidence: Number(result.confidence) || 0,
+    lines,
+    words: lines.flatMap(line => line.words)
+  };
+};
+
+/**
+ * Convert any supported image input into a Blob for upload
+ */
+const toBlob = async (image) => {
+  if (image instanceof Blob) return image;
+
+  if (typeof image === 'string') {
+    const response = await fetch(image);
+    return response.blob();
+  }
+
+  if (image && typeof image.toBlob === 'function') {
+    return new Promise((resolve, reject) => {
+      image.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode canvas'))), 'image/jpeg', 0.9);
+    });
+  }
+
+  throw new Error('Unsupported image type for OCR upload');
+};
+
+/**
+ * Register (or replace) an OCR provider under its id
+ */
+export const registerOCRProvider = (provider) => {
+  if (!provider?.id || typeof provider.recognize !== 'function') {
+    throw new Error('OCR provider needs an id and a recognize function');
+  }
+  providers.set(provider.id, provider);
+  return provider;
+};
+
+/**
+ * Look up a provider by id
+ */
+export const getOCRProvider = (id) => {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown OCR provider "${id}"`);
+  }
+  return provider;
+};
+
+/**
+ * List registered providers for settings screens
+ */
+export const listOCRProviders = () =>
+  Array.from(providers.values()).map(({ id, label }) => ({ id, label }));
+
+/**
+ * Provider currently selected in settings, falling back to the on-device engine
+ */
+export const getActiveOCRProvider = () => {
+  const { ocr } = settingsStorage.get();
+  const id = ocr?.provider || DEFAULT_OCR_PROVIDER;
+  return providers.get(id) || getOCRProvider(DEFAULT_OCR_PROVIDER);
+};
+
+// In-browser WebAssembly engine
+registerOCRProvider({
+  id: 'local',
+  label: 'On-device',
+  recognize: async (image, options) => {
+    await ensureOcrLanguages(getTesseractLanguages());
+    return recognizeImage(image, options);
+  }
+});
+
+// Self-hosted OCR server: POST the image, receive the shared result shape as JSON
+registerOCRProvider({
+  id: 'http',
+  label: 'OCR server',
+  recognize: async (image, { signal, onProgress } = {}) => {
+    const { ocr } = settingsStorage.get();
+    const serverUrl = (ocr?.serverUrl || DEFAULT_OCR_SERVER_URL).replace(/\/$/, '');
+    const body = await toBlob(image);
+
+    onProgress?.({ status: 'uploading image', progress: 0 });
+    const response = await fetch(`${serverUrl}/recognize`, {
+      method: 'POST',
+      headers: { 'Content-Type': body.type || 'application/octet-stream' },
+      body,
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`OCR server responded with ${response.status}`);
+    }
+
+    let reply;
+    try {
+      reply = await response.json();
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error;
+      throw new Error('OCR server sent back a reply that is not JSON');
+    }
+
+    const result = normalizeProviderResult(reply);
+    onProgress?.({ status: 'recognizing text', progress: 1 });
+    return result;
+  }
+});
+
+// Deterministic provider for tests and demos; string images name a fixture
+registerOCRProvider({
+  id: 'fixture',
+  label: 'Test fixtures',
+  recognize: async (image, { signal } = {}) => {
+    signal?.throwIfAborted();
+    const name = typeof image === 'string' && OCR_FIXTURES[image] ? image : DEFAULT_FIXTURE;
+    return createFixtureResult(OCR_FIXTURES[name]);
+  }
+});
@@ -0,0 +1,133 @@
+// Local product catalog in IndexedDB: barcodes the user has taught the app
+import { addDays, format } from 'date-fns';
+
+const DB_NAME = 'grocery_catalog';
+const DB_VERSION = 1;
+const PRODUCTS_STORE = 'products';
+
+/**
+ * Categories a catalog product (and the item created from it) can belong to
+ */
+export const PRODUCT_CATEGORIES = [
+  { value: 'dairy', label: 'Dairy & Eggs' },
+  { value: 'produce', label: 'Fruit & Vegetables' },
+  { value: 'meat', label: 'Meat & Fish' },
+  { value: 'bakery', label: 'Bakery' },
+  { value: 'pantry', label: 'Pantry' },
+  { value: 'frozen', label: 'Frozen' },
+  { value: 'beverages', label: 'Drinks' },
+  { value: 'snacks', label: 'Snacks' },
+  { value: 'other', label: 'Other' }
+];
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PRODUCTS_STORE)) {
+          db.createObjectStore(PRODUCTS_STORE, { keyPath: 'barcode' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call retry instead of caching a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against the products store and resolve with its result
+ */
+const runRequest = async (mode, createRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PRODUCTS_STORE, mode);
+    const request = createRequest(transaction.objectStore(PRODUCTS_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Catalog entries: { barcode, format, name, category, shelfLifeDays, createdAt, updatedAt }
+export const productCatalog = {
+  // Look up a product by its normalized barcode
+  getByBarcode: async (barcode) => {
+    try {
+      return (await runRequest('readonly', store => store.get(barcode))) || null;
+    } catch (error) {
+      console.error('Error reading product from catalog:', error);
+      return null;
+    }
+  },
+
+  // Get every product, most recently updated first
+  getAll: async () => {
+    try {
+      const products = await runRequest('readonly', store => store.getAll());
+      return products.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    } catch (error) {
+      console.error('Error reading product catalog:', error);
+      return [];
+    }
+  },
+
+  // Save a product (create or update)
+  save: async (product) => {
+    if (!product?.barcode || !product.name?.trim()) {
+      throw new Error('Product needs a barcode and a name');
+    }
+
+    try {
+      const existing = await productCatalog.getByBarcode(product.barcode);
+      const now = new Date().toISOString();
+      const saved = {
+        category: 'other',
+        ...existing,
+        ...product,
+        name: product.name.trim(),
+        shelfLifeDays: Math.max(1, Math.round(Number(product.shelfLifeDays) || 7)),
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      };
+      await runRequest('readwrite', store => store.put(saved));
+      return saved;
+    } catch (error) {
+      console.error('Error saving product to catalog:', error);
+      throw new Error('Failed to save product');
+    }
+  },
+
+  // Remove a product
+  delete: async (barcode) => {
+    try {
+      await runRequest('readwrite', store => store.delete(barcode));
+      return true;
+    } catch (error) {
+      console.error('Error deleting product from catalog:', error);
+      throw new Error('Failed to delete product');
+    }
+  }
+};
+
+/**
+ * New grocery item for a catalog product bought today, expiring after its shelf life
+ */
+export const createItemFromProduct = (product, today = new Date()) => ({
+  id: Date.now() + Math.random(),
+  name: product.name,
+  category: product.category || 'other',
+  barcode: product.barcode,
+  expiryDate: format(addDays(today, product.shelfLifeDays), 'yyyy-MM-dd'),
+  addedDate: format(today, 'yyyy-MM-dd'),
+  isExpiryEstimated: true,
+  confidence: 1
+});
@@ -0,0 +1,569 @@
+// Product dictionary: grocery names with synonyms, category and typical shelf life,
+// matched fuzzily against OCR text. Ships built-in entries; users add, edit and import their own.
+import { PRODUCT_CATEGORIES } from './productCatalog.js';
+import { productDictionaryStorage, storageUtils } from './storage.js';
+import { editDistance, isCjkToken, joinTokens, tokenize } from './fuzzyMatch.js';
+
+/**
+ * Built-in entries per category as [name, shelf life in days, synonyms].
+ * Shelf life assumes the item is stored as intended (chilled, frozen or in the cupboard).
+ * Singular and plural forms of every name and synonym are matched automatically.
+ */
+const BUILT_IN_ROWS = {
+  dairy: [
+    ['Milk', 7, ['whole milk', 'skim milk', 'semi skimmed milk', 'lait', 'milch', 'vollmilch', 'frischmilch', 'leche', 'latte', '牛乳', 'ミルク']],
+    ['Oat Milk', 10, ['oat drink', 'haferdrink']],
+    ['Almond Milk', 10, ['almond drink']],
+    ['Soy Milk', 10, ['soya milk', 'soy drink', 'soya drink', '豆乳']],
+    ['Buttermilk', 14],
+    ['Cream', 10, ['single cream', 'double cream', 'heavy cream', 'whipping cream', 'sahne', 'creme', 'nata', '生クリーム']],
+    ['Sour Cream', 14, ['creme fraiche', 'crème fraîche', 'schmand']],
+    ['Yogurt', 14, ['yoghurt', 'joghurt', 'yaourt', 'yogur', 'ヨーグルト']],
+    ['Greek Yogurt', 14, ['greek yoghurt', 'griechischer joghurt']],
+    ['Kefir', 14],
+    ['Quark', 10, ['curd cheese', 'fromage frais']],
+    ['Butter', 30, ['beurre', 'mantequilla', 'burro', 'バター']],
+    ['Margarine', 60, ['spread']],
+    ['Cheese', 21, ['käse', 'kase', 'fromage', 'queso', 'formaggio', 'チーズ']],
+    ['Cheddar', 30, ['cheddar cheese']],
+    ['Mozzarella', 7, ['mozzarella cheese']],
+    ['Parmesan', 60, ['parmigiano', 'grana padano']],
+    ['Feta', 14, ['feta cheese']],
+    ['Brie', 14, ['camembert']],
+    ['Gouda', 30, ['gouda cheese']],
+    ['Cottage Cheese', 7],
+    ['Cream Cheese', 14, ['philadelphia', 'frischkäse']],
+    ['Ricotta', 7],
+    ['Mascarpone', 7],
+    ['Halloumi', 30],
+    ['Shredded Cheese', 14, ['grated cheese']],
+    ['Eggs', 28, ['egg', 'free range eggs', 'eier', 'oeufs', 'huevos', 'uova', 'たまご', '鶏卵']],
+    ['Custard', 7, ['pudding']],
+    ['Ice Cream', 90, ['gelato', 'eiscreme']]
+  ],
+  bakery: [
+    ['Bread', 5, ['loaf', 'white bread', 'brot', 'pain', 'パン', '食パン']],
+    ['Whole Wheat Bread', 5, ['wholemeal bread', 'whole grain bread', 'vollkornbrot']],
+    ['Sourdough', 5, ['sourdough bread', 'sauerteigbrot']],
+    ['Rye Bread', 7, ['roggenbrot', 'pumpernickel']],
+    ['Baguette', 2, ['french stick']],
+    ['Ciabatta', 3],
+    ['Bread Rolls', 3, ['roll', 'brötchen', 'bun', 'dinner roll']],
+    ['Bagels', 5, ['bagel']],
+    ['Croissants', 3, ['croissant']],
+    ['Muffins', 5, ['muffin', 'english muffin']],
+    ['Tortillas', 14, ['wraps', 'tortilla wraps']],
+    ['Pita Bread', 5, ['pitta', 'pita']],
+    ['Naan', 5, ['naan bread']],
+    ['Crumpets', 5],
+    ['Brioche', 5],
+    ['Cake', 5, ['kuchen', 'gateau']],
+    ['Donuts', 2, ['doughnut', 'donut']],
+    ['Pastries', 3, ['danish', 'pastry']],
+    ['Pancakes', 5, ['crepes']],
+    ['Burger Buns', 5, ['hamburger buns', 'hot dog buns']]
+  ],
+  meat: [
+    ['Chicken', 2, ['whole chicken', 'hähnchen', 'poulet', 'pollo', '鶏肉']],
+    ['Chicken Breast', 2, ['chicken fillet', 'chicken breasts', 'hähnchenbrust']],
+    ['Chicken Thighs', 2, ['chicken thigh']],
+    ['Chicken Wings', 2, ['wings']],
+    ['Chicken Drumsticks', 2, ['drumsticks']],
+    ['Ground Chicken', 2, ['chicken mince', 'minced chicken']],
+    ['Turkey', 2, ['pute', 'dinde']],
+    ['Turkey Breast', 2, ['turkey fillet']],
+    ['Ground Turkey', 2, ['turkey mince']],
+    ['Duck', 3, ['duck breast', 'ente']],
+    ['Beef', 3, ['boeuf', 'ternera', '牛肉']],
+    ['Ground Beef', 2, ['beef mince', 'minced beef', 'hackfleisch', 'hamburger meat']],
+    ['Steak', 3, ['sirloin', 'ribeye', 'rump steak', 'fillet steak']],
+    ['Beef Roast', 3, ['roast beef joint', 'brisket']],
+    ['Stewing Beef', 3, ['diced beef', 'beef chunks']],
+    ['Pork', 3, ['schwein', 'porc', 'cerdo', '豚肉']],
+    ['Pork Chops', 3, ['pork chop']],
+    ['Pork Loin', 3, ['pork tenderloin']],
+    ['Ground Pork', 2, ['pork mince']],
+    ['Ribs', 3, ['spare ribs', 'pork ribs']],
+    ['Lamb', 3, ['lamm', 'agneau']],
+    ['Lamb Chops', 3],
+    ['Ground Lamb', 2, ['lamb mince']],
+    ['Veal', 3, ['kalb']],
+    ['Bacon', 7, ['streaky bacon', 'back bacon', 'speck', 'lardons']],
+    ['Ham', 5, ['schinken', 'jambon', 'jamón']],
+    ['Sausages', 3, ['sausage', 'bratwurst', 'wurst', 'bangers', 'chipolatas']],
+    ['Hot Dogs', 14, ['frankfurters', 'wieners']],
+    ['Salami', 30, ['pepperoni']],
+    ['Chorizo', 30],
+    ['Prosciutto', 14, ['parma ham', 'serrano ham']],
+    ['Deli Meat', 5, ['cold cuts', 'lunch meat', 'sliced turkey', 'aufschnitt']],
+    ['Pate', 7, ['pâté', 'liver pate']],
+    ['Fish', 2, ['fisch', 'poisson', 'pescado']],
+    ['Salmon', 2, ['lachs', 'saumon', 'salmon fillet', 'サーモン', '鮭']],
+    ['Smoked Salmon', 14, ['räucherlachs', 'lox']],
+    ['Tuna', 2, ['tuna steak', 'thunfisch']],
+    ['Cod', 2, ['cod fillet', 'kabeljau']],
+    ['Haddock', 2],
+    ['Trout', 2, ['forelle']],
+    ['Mackerel', 2, ['makrele']],
+    ['Sea Bass', 2],
+    ['Tilapia', 2],
+    ['Shrimp', 2, ['prawns', 'king prawns', 'garnelen', 'crevettes']],
+    ['Mussels', 2, ['muscheln']],
+    ['Scallops', 2],
+    ['Crab', 2, ['crab meat']],
+    ['Tofu', 7, ['bean curd', '豆腐']],
+    ['Tempeh', 10]
+  ],
+  produce: [
+    ['Apples', 30, ['apple', 'gala', 'granny smith', 'braeburn', 'fuji', 'pink lady', 'äpfel', 'pommes', 'manzanas', 'りんご']],
+    ['Bananas', 5, ['banana', 'bananen', 'plátanos', 'バナナ']],
+    ['Oranges', 21, ['orange', 'navel oranges', 'orangen', 'naranjas']],
+    ['Clementines', 14, ['mandarins', 'satsumas', 'tangerines', 'easy peelers']],
+    ['Lemons', 21, ['lemon', 'zitronen', 'citrons', 'limones']],
+    ['Limes', 21, ['lime', 'limetten']],
+    ['Grapefruit', 21],
+    ['Grapes', 7, ['grape', 'seedless grapes', 'trauben', 'raisins blancs']],
+    ['Strawberries', 4, ['strawberry', 'erdbeeren', 'fraises', 'fresas', 'いちご']],
+    ['Blueberries', 7, ['blueberry', 'heidelbeeren', 'myrtilles']],
+    ['Raspberries', 3, ['raspberry', 'himbeeren', 'framboises']],
+    ['Blackberries', 3, ['blackberry', 'brombeeren']],
+    ['Cherries', 5, ['cherry', 'kirschen', 'cerises']],
+    ['Pears', 7, ['pear', 'birnen', 'poires']],
+    ['Peaches', 4, ['peach', 'pfirsiche']],
+    ['Nectarines', 4, ['nectarine']],
+    ['Plums', 5, ['plum', 'pflaumen']],
+    ['Apricots', 4, ['apricot', 'aprikosen']],
+    ['Avocados', 4, ['avocado']],
+    ['Pineapple', 5, ['ananas']],
+    ['Mango', 5, ['mangoes', 'mangos']],
+    ['Papaya', 5],
+    ['Kiwi', 14, ['kiwis', 'kiwi fruit']],
+    ['Melon', 7, ['cantaloupe', 'honeydew', 'galia melon']],
+    ['Watermelon', 7],
+    ['Pomegranate', 21],
+    ['Figs', 3, ['fig']],
+    ['Medjool Dates', 60, ['dried dates']],
+    ['Passion Fruit', 7],
+    ['Coconut', 14],
+    ['Lettuce', 5, ['iceberg', 'romaine', 'cos lettuce', 'little gem', 'salat', 'laitue', 'lechuga']],
+    ['Salad Leaves', 4, ['mixed salad', 'salad mix', 'mixed greens', 'rocket', 'arugula', 'baby leaf']],
+    ['Spinach', 5, ['baby spinach', 'spinat', 'épinards', 'espinacas']],
+    ['Kale', 5, ['grünkohl']],
+    ['Cabbage', 30, ['red cabbage', 'white cabbage', 'savoy cabbage', 'kohl']],
+    ['Brussels Sprouts', 7, ['sprouts', 'rosenkohl']],
+    ['Broccoli', 5, ['brokkoli', 'tenderstem']],
+    ['Cauliflower', 7, ['blumenkohl', 'chou fleur', 'coliflor']],
+    ['Tomatoes', 7, ['tomato', 'cherry tomatoes', 'vine tomatoes', 'tomaten', 'tomates', 'トマト']],
+    ['Cucumber', 7, ['cucumbers', 'gurke', 'concombre', 'pepino']],
+    ['Bell Peppers', 10, ['pepper', 'red pepper', 'green pepper', 'yellow pepper', 'paprika', 'poivron', 'pimiento']],
+    ['Chili Peppers', 14, ['chilli', 'chili', 'jalapeno', 'jalapeño']],
+    ['Zucchini', 5, ['courgette', 'zucchini squash']],
+    ['Eggplant', 7, ['aubergine']],
+    ['Butternut Squash', 30, ['squash', 'pumpkin', 'kürbis']],
+    ['Carrots', 21, ['carrot', 'karotten', 'möhren', 'carottes', 'zanahorias', 'にんじん']],
+    ['Parsnips', 21, ['parsnip', 'pastinaken']],
+    ['Beetroot', 14, ['beets', 'rote bete', 'betterave']],
+    ['Radishes', 7, ['radish', 'radieschen']],
+    ['Turnips', 14, ['turnip', 'swede', 'rutabaga']],
+    ['Celery', 14, ['sellerie', 'céleri']],
+    ['Leeks', 14, ['leek', 'lauch', 'poireaux']],
+    ['Onions', 30, ['onion', 'red onion', 'yellow onion', 'zwiebeln', 'oignons', 'cebollas', '玉ねぎ']],
+    ['Spring Onions', 7, ['green onions', 'scallions', 'frühlingszwiebeln']],
+    ['Shallots', 30, ['shallot', 'schalotten']],
+    ['Garlic', 60, ['knoblauch', 'ajo']],
+    ['Ginger', 21, ['ingwer', 'gingembre']],
+    ['Potatoes', 30, ['potato', 'baking potatoes', 'new potatoes', 'kartoffeln', 'pommes de terre', 'patatas', 'じゃがいも']],
+    ['Sweet Potatoes', 21, ['sweet potato', 'süßkartoffeln', 'yams']],
+    ['Mushrooms', 5, ['mushroom', 'button mushrooms', 'champignons', 'pilze', 'setas']],
+    ['Green Beans', 5, ['french beans', 'runner beans', 'string beans', 'bohnen']],
+    ['Peas', 5, ['sugar snap peas', 'mangetout', 'snow peas', 'erbsen']],
+    ['Corn', 3, ['sweetcorn', 'corn on the cob']],
+    ['Asparagus', 4, ['spargel', 'asperges']],
+    ['Artichokes', 5, ['artichoke']],
+    ['Fennel', 7, ['fenchel']],
+    ['Bean Sprouts', 3, ['beansprouts']],
+    ['Pak Choi', 4, ['bok choy']],
+    ['Basil', 5, ['basilikum', 'basilic']],
+    ['Parsley', 7, ['petersilie', 'persil']],
+    ['Coriander', 5, ['cilantro', 'koriander']],
+    ['Mint', 7, ['minze', 'menthe']],
+    ['Dill', 5],
+    ['Chives', 5, ['schnittlauch']],
+    ['Rosemary', 10, ['rosmarin']],
+    ['Thyme', 10, ['thymian']],
+    ['Fresh Herbs', 5, ['herbs', 'kräuter']],
+    ['Coleslaw', 5],
+    ['Prepared Salad', 3, ['salad bowl', 'pasta salad', 'potato salad']],
+    ['Hummus', 7, ['houmous', 'humus']],
+    ['Guacamole', 3],
+    ['Salsa', 7, ['fresh salsa']]
+  ],
+  pantry: [
+    ['Rice', 365, ['basmati', 'jasmine rice', 'long grain rice', 'reis', 'riz', 'arroz', 'お米']],
+    ['Pasta', 365, ['spaghetti', 'penne', 'fusilli', 'macaroni', 'linguine', 'nudeln', 'pâtes']],
+    ['Fresh Pasta', 14, ['tortellini', 'ravioli', 'gnocchi']],
+    ['Noodles', 365, ['egg noodles', 'rice noodles', 'ramen', 'udon']],
+    ['Couscous', 365],
+    ['Quinoa', 365],
+    ['Oats', 365, ['porridge oats', 'rolled oats', 'oatmeal', 'haferflocken']],
+    ['Cereal', 180, ['cornflakes', 'granola', 'muesli', 'müsli', 'bran flakes']],
+    ['Flour', 180, ['plain flour', 'all purpose flour', 'self raising flour', 'mehl', 'farine', 'harina']],
+    ['Sugar', 730, ['caster sugar', 'brown sugar', 'icing sugar', 'zucker', 'sucre', 'azúcar']],
+    ['Salt', 1825, ['sea salt', 'salz']],
+    ['Baking Powder', 365, ['backpulver']],
+    ['Yeast', 120, ['dried yeast', 'hefe']],
+    ['Honey', 730, ['honig', 'miel']],
+    ['Maple Syrup', 365],
+    ['Jam', 365, ['jelly', 'preserves', 'marmalade', 'konfitüre', 'marmelade', 'confiture']],
+    ['Peanut Butter', 180, ['erdnussbutter']],
+    ['Chocolate Spread', 180, ['nutella', 'hazelnut spread']],
+    ['Olive Oil', 365, ['extra virgin olive oil', 'olivenöl', 'huile d olive', 'aceite de oliva']],
+    ['Vegetable Oil', 365, ['sunflower oil', 'rapeseed oil', 'canola oil', 'oil']],
+    ['Vinegar', 730, ['balsamic vinegar', 'essig', 'vinaigre']],
+    ['Soy Sauce', 730, ['soya sauce', 'shoyu', '醤油']],
+    ['Ketchup', 180, ['tomato ketchup']],
+    ['Mayonnaise', 60, ['mayo']],
+    ['Mustard', 365, ['senf', 'moutarde', 'dijon']],
+    ['Pesto', 14, ['basil pesto']],
+    ['Pasta Sauce', 365, ['tomato sauce', 'marinara', 'passata', 'bolognese sauce']],
+    ['Curry Paste', 365, ['curry sauce']],
+    ['Salad Dressing', 90, ['dressing', 'vinaigrette']],
+    ['Stock Cubes', 365, ['stock pot', 'bouillon', 'broth', 'brühe']],
+    ['Canned Tomatoes', 730, ['chopped tomatoes', 'tinned tomatoes', 'plum tomatoes', 'dosentomaten']],
+    ['Tomato Paste', 365, ['tomato puree', 'tomatenmark']],
+    ['Beans', 730, ['baked beans', 'kidney beans', 'black beans', 'cannellini beans', 'haricots']],
+    ['Chickpeas', 730, ['garbanzo beans', 'kichererbsen']],
+    ['Lentils', 365, ['red lentils', 'linsen', 'lentilles']],
+    ['Canned Tuna', 1095, ['tuna chunks', 'tinned tuna']],
+    ['Canned Fish', 1095, ['sardines', 'anchovies']],
+    ['Soup', 730, ['canned soup', 'suppe', 'soupe', 'sopa']],
+    ['Coconut Milk', 730, ['kokosmilch']],
+    ['Canned Fruit', 730, ['tinned peaches', 'fruit cocktail']],
+    ['Canned Vegetables', 730, ['tinned sweetcorn', 'canned corn']],
+    ['Olives', 365, ['oliven']],
+    ['Pickles', 365, ['gherkins', 'cornichons', 'gurken']],
+    ['Mixed Nuts', 180, ['almonds', 'walnuts', 'cashews', 'salted peanuts', 'hazelnuts']],
+    ['Seeds', 180, ['sunflower seeds', 'pumpkin seeds', 'chia seeds', 'flaxseed']],
+    ['Dried Fruit', 180, ['raisins', 'sultanas', 'dried apricots', 'cranberries', 'rosinen']],
+    ['Spices', 730, ['cinnamon', 'cumin', 'turmeric', 'black pepper', 'gewürz']],
+    ['Breadcrumbs', 180, ['panko']],
+    ['Crackers', 90, ['cracker', 'rice cakes', 'crispbread']],
+    ['Baby Food', 365, ['infant formula', 'formula milk']],
+    ['Pet Food', 365, ['dog food', 'cat food']]
+  ],
+  frozen: [
+    ['Frozen Vegetables', 240, ['frozen peas', 'frozen spinach', 'mixed vegetables', 'tiefkühlgemüse']],
+    ['Frozen Fruit', 240, ['frozen berries']],
+    ['Frozen Pizza', 180, ['pizza']],
+    ['Fresh Pizza', 3, ['pizza base']],
+    ['Fish Fingers', 180, ['fish sticks', 'fischstäbchen']],
+    ['Chips', 180, ['french fries', 'oven chips', 'fries', 'pommes frites']],
+    ['Frozen Meals', 180, ['ready meal', 'tv dinner', 'lasagne', 'lasagna']],
+    ['Frozen Chicken', 270, ['chicken nuggets', 'chicken tenders']],
+    ['Frozen Fish', 180, ['frozen prawns', 'frozen salmon']],
+    ['Frozen Burgers', 120, ['burgers', 'beef burgers', 'veggie burgers']],
+    ['Ice Cubes', 365, ['bag of ice']],
+    ['Frozen Desserts', 120, ['sorbet', 'ice lollies', 'popsicles']],
+    ['Puff Pastry', 5, ['shortcrust pastry', 'filo pastry', 'blätterteig']],
+    ['Dumplings', 180, ['gyoza', 'potstickers']],
+    ['Spring Rolls', 180]
+  ],
+  beverages: [
+    ['Water', 365, ['mineral water', 'sparkling water', 'still water', 'wasser', 'eau', 'agua']],
+    ['Juice', 7, ['fruit juice', 'saft', 'jus', 'zumo']],
+    ['Orange Juice', 7, ['oj', 'orangensaft', 'jus d orange']],
+    ['Apple Juice', 7, ['apfelsaft']],
+    ['Smoothie', 4, ['smoothies']],
+    ['Soda', 180, ['cola', 'lemonade', 'soft drink', 'limonade']],
+    ['Sparkling Juice', 180, ['spritzer', 'schorle']],
+    ['Energy Drink', 365, ['energy drinks']],
+    ['Iced Tea', 180, ['eistee']],
+    ['Coffee', 180, ['ground coffee', 'coffee beans', 'instant coffee', 'kaffee', 'café']],
+    ['Tea', 365, ['tea bags', 'green tea', 'tee', 'thé']],
+    ['Hot Chocolate', 365, ['cocoa', 'kakao']],
+    ['Beer', 180, ['lager', 'ale', 'bier', 'bière', 'cerveza']],
+    ['Wine', 365, ['red wine', 'white wine', 'rose wine', 'wein', 'vino']],
+    ['Sparkling Wine', 365, ['prosecco', 'champagne', 'cava', 'sekt']],
+    ['Cider', 365],
+    ['Spirits', 1825, ['vodka', 'gin', 'whisky', 'rum']],
+    ['Kombucha', 30],
+    ['Milkshake', 7, ['milk drink', 'chocolate milk']]
+  ],
+  snacks: [
+    ['Crisps', 60, ['potato chips', 'tortilla chips', 'nachos']],
+    ['Popcorn', 90],
+    ['Pretzels', 90, ['brezeln']],
+    ['Chocolate', 180, ['chocolate bar', 'schokolade', 'chocolat']],
+    ['Candy', 180, ['sweets', 'gummy bears', 'gummibärchen', 'bonbons']],
+    ['Cookies', 60, ['biscuits', 'cookie', 'kekse', 'biscuit', 'galletas']],
+    ['Cereal Bars', 180, ['granola bar', 'protein bar', 'flapjack', 'müsliriegel']],
+    ['Trail Mix', 120, ['mixed nuts']],
+    ['Dips', 7, ['dip', 'tzatziki', 'sour cream dip']],
+    ['Rice Crackers', 90],
+    ['Jerky', 365, ['beef jerky']],
+    ['Cheese Snacks', 30, ['cheese strings', 'babybel']],
+    ['Pudding Cups', 14, ['jelly cups', 'dessert pots']],
+    ['Fruit Snacks', 180, ['fruit leather', 'fruit bars']]
+  ],
+  other: [
+    ['Sandwiches', 2, ['sandwich', 'wrap']],
+    ['Sushi', 1],
+    ['Ready Meal', 3, ['chilled meal', 'microwave meal', 'fertiggericht']],
+    ['Soup (Fresh)', 4, ['fresh soup', 'chilled soup']],
+    ['Quiche', 4],
+    ['Pies', 3, ['pie', 'pork pie', 'meat pie', 'pasty']],
+    ['Sausage Rolls', 3],
+    ['Cooked Chicken', 3, ['rotisserie chicken', 'roast chicken']],
+    ['Leftovers', 3, ['leftover']],
+    ['Baby Wipes', 730, ['wipes']],
+    ['Vitamins', 730, ['supplements']]
+  ]
+};
+
+const slugify = (value) => value.toLowerCase().replace(/[^\p{L}\d]+/gu, '-').replace(/^-|-$/g, '');
+
+/**
+ * The dictionary that ships with the app; ids start with "builtin:"
+ */
+export const BUILT_IN_PRODUCTS = Object.entries(BUILT_IN_ROWS).flatMap(([category, rows]) =>
+  rows.map(([name, shelfLifeDays, synonyms = []]) => ({
+    id: `builtin:${slugify(name)}`,
+    name,
+    category,
+    shelfLifeDays,
+    synonyms,
+    isBuiltIn: true
+  }))
+);
+
+const CATEGORY_VALUES = PRODUCT_CATEGORIES.map(category => category.value);
+
+const singularize = (word) => {
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(ch|sh|x|ss|o)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && word.length > 3) return word.slice(0, -1);
+  return word;
+};
+
+const pluralize = (word) => {
+  if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(ch|sh|x|s|o)$/.test(word)) return `${word}es`;
+  return `${word}s`;
+};
+
+/**
+ * Lowercase words to look for, for a name or synonym in both singular and plural
+ * (Chinese and Japanese names have no plural)
+ */
+const getTermForms = (term) => {
+  const words = tokenize(term);
+  if (words.length === 0) return [];
+  const head = words.slice(0, -1);
+  const last = words[words.length - 1];
+  if (isCjkToken(last)) return [joinTokens(words)];
+  const singular = singularize(last);
+  return [...new Set([last, singular, pluralize(singular)])].map(form => joinTokens([...head, form]));
+};
+
+/**
+ * How many wrong letters OCR text may have and still match a term: none for
+ * short words, where one letter already makes another word ("ham", "jam",
+ * "fresh", "fresa"), one for medium words and two for long names
+ */
+const allowedEdits = (length) => {
+  if (length <= 5) return 0;
+  if (length <= 9) return 1;
+  return 2;
+};
+
+/**
+ * Clean up a user or imported entry; returns null when it has no name.
+ * Unknown categories become 'other' and the shelf life is at least a day.
+ */
+export const normalizeProduct = (entry) => {
+  const name = String(entry?.name || '').trim().replace(/\s+/g, ' ');
+  if (!name) return null;
+
+  const synonyms = (Array.isArray(entry.synonyms) ? entry.synonyms : String(entry.synonyms || '').split(/[;,|]/))
+    .map(synonym => String(synonym).trim())
+    .filter(Boolean);
+  const shelfLifeDays = Math.round(Number(entry.shelfLifeDays));
+
+  return {
+    id: entry.id || `user:${slugify(name)}`,
+    name: name.substring(0, 50),
+    category: CATEGORY_VALUES.includes(entry.category) ? entry.category : 'other',
+    shelfLifeDays: Number.isFinite(shelfLifeDays) && shelfLifeDays > 0 ? shelfLifeDays : 7,
+    synonyms: [...new Set(synonyms)],
+    isBuiltIn: false,
+    updatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * User entries from storage, or none where storage is unavailable (e.g. in Node)
+ */
+const getUserProducts = () => (storageUtils.isStorageAvailable() ? productDictionaryStorage.get() : []);
+
+/**
+ * The full dictionary: built-in entries, replaced by the user's edits of them,
+ * followed by the user's own entries
+ */
+export const getProductDictionary = () => {
+  const userProducts = getUserProducts();
+  const edits = new Map(userProducts.map(product => [product.id, product]));
+  return [
+    ...BUILT_IN_PRODUCTS.map(product => edits.get(product.id) || product),
+    ...userProducts.filter(product => !product.id.startsWith('builtin:'))
+  ];
+};
+
+/**
+ * Add an entry or save an edit of one; editing a built-in entry keeps its id so
+ * the edit replaces it. Returns the saved entry.
+ */
+export const saveProduct = (entry) => {
+  const product = normalizeProduct(entry);
+  if (!product) {
+    throw new Error('Product needs a name');
+  }
+
+  const userProducts = getUserProducts().filter(existing => existing.id !== product.id);
+  if (!productDictionaryStorage.save([...userProducts, product])) {
+    throw new Error('Failed to save product');
+  }
+  return product;
+};
+
+/**
+ * Remove a user entry, or undo the user's edit of a built-in one
+ */
+export const removeProduct = (id) =>
+  productDictionaryStorage.save(getUserProducts().filter(product => product.id !== id));
+
+/**
+ * Parse an import file: a JSON array of entries, or CSV lines of
+ * `name,category,shelfLifeDays,synonyms` with synonyms separated by semicolons
+ * (a header line is skipped)
+ */
+const parseImport = (text) => {
+  const trimmed = String(text || '').trim();
+  if (/^[[{]/.test(trimmed)) {
+    return JSON.parse(trimmed);
+  }
+
+  return trimmed
+    .split('\n')
+    .map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')))
+    .filter(([name]) => name && name.toLowerCase() !== 'name')
+    .map(([name, category, shelfLifeDays, synonyms]) => ({ name, category, shelfLifeDays, synonyms }));
+};
+
+/**
+ * Import entries from JSON or CSV text (see parseImport). Entries whose name
+ * matches an existing entry update it; the rest are added.
+ * Returns `{ added, updated, skipped }` counts.
+ */
+export const importProducts = (text) => {
+  let entries;
+  try {
+    entries = parseImport(text);
+  } catch (error) {
+    console.error('Error parsing product import:', error);
+    throw new Error('Failed to read the import file');
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('Failed to read the import file');
+  }
+
+  const dictionary = getProductDictionary();
+  const userProducts = new Map(getUserProducts().map(product => [product.id, product]));
+  const counts = { added: 0, updated: 0, skipped: 0 };
+
+  entries.forEach(entry => {
+    const existing = dictionary.find(product => product.name.toLowerCase() === String(entry?.name || '').trim().toLowerCase());
+    const product = normalizeProduct({ ...entry, id: existing?.id });
+    if (!product) {
+      counts.skipped += 1;
+      return;
+    }
+    counts[existing ? 'updated' : 'added'] += 1;
+    userProducts.set(product.id, product);
+  });
+
+  if (!productDictionaryStorage.save([...userProducts.values()])) {
+    throw new Error('Failed to save imported products');
+  }
+  return counts;
+};
+
+// Match terms of the last dictionary indexed, grouped by word count; rebuilt when the dictionary changes
+let indexedDictionary = null;
+let termIndex = null;
+
+const getTermIndex = (dictionary) => {
+  if (dictionary !== indexedDictionary) {
+    termIndex = new Map();
+    dictionary.forEach(product => {
+      [product.name, ...(product.synonyms || [])].flatMap(getTermForms).forEach(term => {
+        const wordCount = tokenize(term).length;
+        if (!termIndex.has(wordCount)) termIndex.set(wordCount, []);
+        termIndex.get(wordCount).push({ term, product });
+      });
+    });
+    indexedDictionary = dictionary;
+  }
+  return termIndex;
+};
+
+/**
+ * Dictionary products named in `text`, as `[{ product, text, similarity }]` in
+ * the order they appear, with `text` the words that matched.
+ * Whole words are compared with a few misread letters allowed (see allowedEdits)
+ * after the first, so "pineapples" is pineapple and never apples.
+ * When matches overlap the one covering more words wins, so "chicken breast"
+ * beats "chicken".
+ */
+export const matchProducts = (text, dictionary = getProductDictionary()) => {
+  const words = tokenize(text);
+  const candidates = [];
+
+  getTermIndex(dictionary).forEach((terms, wordCount) => {
+    for (let start = 0; start + wordCount <= words.length; start++) {
+      const window = joinTokens(words.slice(start, start + wordCount));
+      terms.forEach(({ term, product }) => {
+        // Misread words must still start like the term, or "range" would be "orange"
+        const edits = window[0] === term[0] ? allowedEdits(term.length) : 0;
+        if (Math.abs(window.length - term.length) > edits) return;
+        const distance = editDistance(window, term);
+        if (distance <= edits) {
+          candidates.push({ product, text: window, start, wordCount, similarity: 1 - distance / term.length });
+        }
+      });
+    }
+  });
+
+  const claimed = new Set();
+  const seen = new Set();
+  return candidates
+    .sort((a, b) => b.wordCount - a.wordCount || b.similarity - a.similarity || a.start - b.start)
+    .filter(candidate => {
+      const positions = Array.from({ length: candidate.wordCount }, (_, offset) => candidate.start + offset);
+      if (seen.has(candidate.product.id) || positions.some(position => claimed.has(position))) return false;
+      positions.forEach(position => claimed.add(position));
+      seen.add(candidate.product.id);
+      return true;
+    })
+    .sort((a, b) => a.start - b.start)
+    .map(({ product, text: matchText, similarity }) => ({ product, text: matchText, similarity }));
+};
+
+/**
+ * The dictionary product an item name refers to, or null
+ */
+export const findProduct = (name, dictionary = getProductDictionary()) => {
+  const [best] = matchProducts(name, dictionary).sort((a, b) =>
+    tokenize(b.text).length - tokenize(a.text).length || b.similarity - a.similarity
+  );
+  return best ? best.product : null;
+};
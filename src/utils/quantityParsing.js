@@ -0,0 +1,141 @@
+// Quantity and unit recognition for label text: "1L", "500 g", "12 pack", "2 x 250ml"
+
+/**
+ * Spellings of each unit mapped to the base unit they are stored in and the
+ * factor that converts them. Volume (US quarts and gallons included) is kept in ml,
+ * metric weight in g, imperial weight in oz and counted goods in pieces.
+ */
+const UNITS = {
+  ml: { unit: 'ml', factor: 1 },
+  millilitre: { unit: 'ml', factor: 1 },
+  milliliter: { unit: 'ml', factor: 1 },
+  cl: { unit: 'ml', factor: 10 },
+  dl: { unit: 'ml', factor: 100 },
+  l: { unit: 'ml', factor: 1000 },
+  lt: { unit: 'ml', factor: 1000 },
+  ltr: { unit: 'ml', factor: 1000 },
+  litre: { unit: 'ml', factor: 1000 },
+  liter: { unit: 'ml', factor: 1000 },
+  litres: { unit: 'ml', factor: 1000 },
+  liters: { unit: 'ml', factor: 1000 },
+  qt: { unit: 'ml', factor: 946 },
+  quart: { unit: 'ml', factor: 946 },
+  gal: { unit: 'ml', factor: 3785 },
+  gallon: { unit: 'ml', factor: 3785 },
+  g: { unit: 'g', factor: 1 },
+  gr: { unit: 'g', factor: 1 },
+  gram: { unit: 'g', factor: 1 },
+  grams: { unit: 'g', factor: 1 },
+  kg: { unit: 'g', factor: 1000 },
+  kilo: { unit: 'g', factor: 1000 },
+  kilos: { unit: 'g', factor: 1000 },
+  oz: { unit: 'oz', factor: 1 },
+  ounce: { unit: 'oz', factor: 1 },
+  ounces: { unit: 'oz', factor: 1 },
+  lb: { unit: 'oz', factor: 16 },
+  lbs: { unit: 'oz', factor: 16 },
+  pound: { unit: 'oz', factor: 16 },
+  pounds: { unit: 'oz', factor: 16 },
+  pack: { unit: 'pcs', factor: 1 },
+  pk: { unit: 'pcs', factor: 1 },
+  ct: { unit: 'pcs', factor: 1 },
+  count: { unit: 'pcs', factor: 1 },
+  pc: { unit: 'pcs', factor: 1 },
+  pcs: { unit: 'pcs', factor: 1 },
+  pieces: { unit: 'pcs', factor: 1 },
+  stk: { unit: 'pcs', factor: 1 },
+  'stück': { unit: 'pcs', factor: 1 }
+};
+
+/**
+ * Larger units used when displaying an amount, per base unit
+ */
+const DISPLAY_UNITS = {
+  ml: { unit: 'L', factor: 1000 },
+  g: { unit: 'kg', factor: 1000 },
+  oz: { unit: 'lb', factor: 16 }
+};
+
+const UNIT_PATTERN = Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|');
+const NUMBER_PATTERN = '\\d+(?:[.,]\\d+)*';
+
+// 2 x 250ml, 6×330 ml
+const MULTIPACK_REGEX = new RegExp(`(\\d+)\\s*[x×]\\s*(${NUMBER_PATTERN})\\s*(${UNIT_PATTERN})(?!\\p{L})`, 'iu');
+// 1L, 500 g, 12 pack, 1,5 l
+const SINGLE_REGEX = new RegExp(`(?<![\\d.,])(${NUMBER_PATTERN})\\s*(${UNIT_PATTERN})(?!\\p{L})`, 'iu');
+// pack of 12
+const PACK_OF_REGEX = /\bpack of (\d+)\b/i;
+
+// 1,000 or 1.000: three-digit groups after a leading non-zero one, which can separate thousands
+const GROUPED_NUMBER_REGEX = /^[1-9]\d{0,2}(?:[.,]\d{3})+$/;
+
+/**
+ * The number in an amount of `unit` as printed. The last separator is the decimal
+ * point, a comma on many European labels ("1,5 l", "1.234,5 g"), except in amounts
+ * of a base unit (g, ml, oz, pieces) that look like grouped thousands: "1,000 g" is
+ * a kilo, while "1.250 kg" is the three-decimal weight scales print.
+ */
+const toAmount = (value, unit) => {
+  const isBaseUnit = UNITS[unit.toLowerCase()]?.factor === 1;
+  if (isBaseUnit && GROUPED_NUMBER_REGEX.test(value)) return Number(value.replace(/[.,]/g, ''));
+  const decimalIndex = Math.max(value.lastIndexOf('.'), value.lastIndexOf(','));
+  if (decimalIndex === -1) return Number(value);
+  return Number(`${value.slice(0, decimalIndex).replace(/[.,]/g, '')}.${value.slice(decimalIndex + 1)}`);
+};
+
+// Round away floating point noise from unit conversion (0.1 * 1000)
+const roundAmount = (amount) => Math.round(amount * 1000) / 1000;
+
+/**
+ * Normalize an amount in any known unit to its base unit.
+ * Returns `{ amount, unit }` or null for an unknown unit.
+ */
+export const normalizeQuantity = (amount, unit) => {
+  const definition = UNITS[String(unit).toLowerCase()];
+  if (!definition || !Number.isFinite(amount)) return null;
+  return { amount: roundAmount(amount * definition.factor), unit: definition.unit };
+};
+
+/**
+ * Find the first quantity in `text`.
+ * Returns `{ amount, unit, text }` with the amount in its base unit (ml, g, oz or pcs)
+ * and `text` holding the string as printed, or null when there is none.
+ * Multipacks report the total amount and their pack count as `count`.
+ */
+export const parseQuantity = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const multipack = text.match(MULTIPACK_REGEX);
+  if (multipack) {
+    const [matchText, count, amount, unit] = multipack;
+    const quantity = normalizeQuantity(toAmount(amount, unit) * Number(count), unit);
+    if (quantity) return { ...quantity, count: Number(count), text: matchText.trim() };
+  }
+
+  const single = text.match(SINGLE_REGEX);
+  if (single) {
+    const [matchText, amount, unit] = single;
+    const quantity = normalizeQuantity(toAmount(amount, unit), unit);
+    if (quantity) return { ...quantity, text: matchText.trim() };
+  }
+
+  const packOf = text.match(PACK_OF_REGEX);
+  if (packOf) {
+    return { amount: Number(packOf[1]), unit: 'pcs', text: packOf[0] };
+  }
+
+  return null;
+};
+
+/**
+ * Display a normalized quantity in the most readable unit, e.g. 1500 ml -> "1.5 L"
+ */
+export const formatQuantity = (quantity) => {
+  if (!quantity || !Number.isFinite(quantity.amount)) return '';
+
+  const larger = DISPLAY_UNITS[quantity.unit];
+  if (larger && quantity.amount >= larger.factor) {
+    return `${roundAmount(quantity.amount / larger.factor)} ${larger.unit}`;
+  }
+  return `${quantity.amount} ${quantity.unit}`;
+};
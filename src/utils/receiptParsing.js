@@ -0,0 +1,184 @@
+// Receipt parsing: store header, purchase date and priced line items from OCR text
+import { format } from 'date-fns';
+import { extractDates } from './dateParsing.js';
+import { parseQuantity } from './quantityParsing.js';
+import { estimateExpiryDate } from './shelfLife.js';
+import { findProduct } from './productDictionary.js';
+
+/**
+ * Abbreviations printed on till receipts, uppercase, mapped to product names.
+ * Matched as whole words anywhere in the line, longest first.
+ */
+export const RECEIPT_ALIASES = {
+  'ORG BNNA': 'Bananas',
+  BNNA: 'Bananas', BAN: 'Bananas', BANANA: 'Bananas', BANANAS: 'Bananas',
+  APPL: 'Apples', APPLS: 'Apples', 'GALA APL': 'Apples', APL: 'Apples',
+  ORNG: 'Oranges', ORNGS: 'Oranges', STRWB: 'Strawberries', STRAWB: 'Strawberries',
+  BLUEB: 'Blueberries', GRPS: 'Grapes', AVO: 'Avocados', AVOC: 'Avocados',
+  LMN: 'Lemons', TOM: 'Tomatoes', TOMS: 'Tomatoes', TMTO: 'Tomatoes',
+  LETT: 'Lettuce', LTTC: 'Lettuce', ROMAINE: 'Lettuce', SPIN: 'Spinach',
+  CARR: 'Carrots', CRRT: 'Carrots', ONI: 'Onions', ONIO: 'Onions', 'YEL ONION': 'Onions',
+  POT: 'Potatoes', POTS: 'Potatoes', 'RUSS POT': 'Potatoes', CUC: 'Cucumber', CUKE: 'Cucumber',
+  BROC: 'Broccoli', MUSH: 'Mushrooms', MSHRM: 'Mushrooms',
+  MLK: 'Milk', 'WHL MLK': 'Whole Milk', '2% MLK': 'Milk', 'SKM MLK': 'Skim Milk',
+  YOG: 'Yogurt', YGRT: 'Yogurt', 'GRK YOG': 'Greek Yogurt',
+  CHS: 'Cheese', CHSE: 'Cheese', 'CHED CHS': 'Cheddar Cheese', 'SHRD CHS': 'Shredded Cheese',
+  BTR: 'Butter', BUTR: 'Butter', 'CRM CHS': 'Cream Cheese', 'SR CRM': 'Sour Cream',
+  EGG: 'Eggs', EGGS: 'Eggs', 'LG EGGS': 'Eggs', 'EGGS LG': 'Eggs',
+  BRD: 'Bread', 'WHT BRD': 'White Bread', 'WW BRD': 'Whole Wheat Bread', BGL: 'Bagels',
+  CHKN: 'Chicken', 'CHKN BRST': 'Chicken Breast', 'CKN BRST': 'Chicken Breast',
+  'GRND BF': 'Ground Beef', 'GRD BEEF': 'Ground Beef', BF: 'Beef', STK: 'Steak',
+  PRK: 'Pork', 'PRK CHP': 'Pork Chops', BCN: 'Bacon', TRKY: 'Turkey', SLMN: 'Salmon',
+  OJ: 'Orange Juice', JCE: 'Juice', H2O: 'Water', WTR: 'Water',
+  CRL: 'Cereal', PSTA: 'Pasta', PB: 'Peanut Butter'
+};
+
+/**
+ * Words that mark a priced line as a total, tax or payment rather than a product
+ */
+const TOTAL_KEYWORDS = [
+  'total', 'subtotal', 'sub total', 'tax', 'vat', 'mwst', 'ust', 'tva', 'iva',
+  'change', 'cash', 'card', 'visa', 'mastercard', 'amex', 'debit', 'credit',
+  'balance', 'tender', 'paid', 'rounding', 'summe', 'gesamt'
+];
+
+/**
+ * Words that mark a priced line as a discount
+ */
+const DISCOUNT_KEYWORDS = ['discount', 'coupon', 'savings', 'you saved', 'promo', 'rabatt'];
+
+// Product codes (PLU/UPC) printed before the description
+const ITEM_CODE_REGEX = /^\d{4,}\s+/;
+// Trailing price with optional currency, minus sign and tax flag: "3.49 F", "-1.00", "1,99 A"
+const PRICE_REGEX = /(-)?\s?[$€£]?\s?(\d{1,4}[.,]\d{2})\s?(-)?(?:\s+[A-Z*]{1,2})?\s*$/;
+// "2 @ 1.99" or "2 x 1.99" multi-buy prefix or suffix
+const MULTI_BUY_REGEX = /(\d+)\s*[@x×]\s*[$€£]?\s?\d+[.,]\d{2}/i;
+
+const ALIAS_KEYS = Object.keys(RECEIPT_ALIASES).sort((a, b) => b.length - a.length);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toTitleCase = (value) =>
+  value.toLowerCase().replace(/(^|\s)\p{L}/gu, letter => letter.toUpperCase());
+
+const containsKeyword = (line, keywords) => {
+  const lowerLine = line.toLowerCase();
+  return keywords.some(keyword => new RegExp(`(?<!\\p{L})${escapeRegExp(keyword)}(?!\\p{L})`, 'u').test(lowerLine));
+};
+
+/**
+ * Why a priced line is not a product, or null when it is one
+ */
+const getSkipReason = (line, isNegative) => {
+  if (containsKeyword(line, TOTAL_KEYWORDS)) return 'Total, tax or payment line';
+  if (isNegative || containsKeyword(line, DISCOUNT_KEYWORDS)) return 'Discount line';
+  return null;
+};
+
+/**
+ * Expand an abbreviated receipt description through RECEIPT_ALIASES, or else
+ * recognize it as a product dictionary entry (`dictionary` defaults to the full one).
+ * Returns `{ name, isKnown, category }`; unknown descriptions come back
+ * title-cased without a category.
+ */
+export const expandReceiptName = (description, dictionary) => {
+  const normalized = description.toUpperCase().replace(/[^\p{L}\d%\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  const alias = ALIAS_KEYS.find(key =>
+    new RegExp(`(?<![\\p{L}\\d])${escapeRegExp(key)}(?![\\p{L}\\d])`, 'u').test(normalized)
+  );
+  const name = alias ? RECEIPT_ALIASES[alias] : null;
+  const product = findProduct(name || normalized, dictionary);
+
+  if (name || product) {
+    return { name: name || product.name, isKnown: true, category: product?.category };
+  }
+  return { name: toTitleCase(normalized.replace(/\d+/g, '').replace(/\s+/g, ' ').trim()), isKnown: false };
+};
+
+/**
+ * Store name from the receipt header: the first line with words in it that is
+ * not a street address (starting with a house number), phone number, web address or date
+ */
+const findStoreName = (lines, firstItemIndex, dates) => {
+  const header = lines.slice(0, firstItemIndex === -1 ? 3 : firstItemIndex);
+  const store = header.find(line =>
+    /\p{L}{3,}/u.test(line)
+    && !/^\d/.test(line)
+    && !/www\.|https?:|\btel\b|phone|fax/i.test(line)
+    && !dates.some(date => line.includes(date.text))
+  );
+  return store ? store.trim() : '';
+};
+
+/**
+ * Parse receipt text into `{ store, purchaseDate, items, skipped }`.
+ * Options: `locale`, `languages` and `today` as for extractDates; `today` is also
+ * the purchase date when the receipt shows none. `dictionary` is the product
+ * dictionary names are recognized from (defaults to the full one).
+ * Every item has `name`, `price`, `receiptText` (the printed line), an
+ * `expiryDate` estimated from shelf-life defaults with `isExpiryEstimated`,
+ * and `addedDate` set to the purchase date. `skipped` lists priced lines that
+ * were left out (totals, tax, payments, discounts) with the reason.
+ */
+export const parseReceipt = (text, options = {}) => {
+  const today = options.today || new Date();
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const dates = extractDates(lines.join('\n'), { ...options, today })
+    .filter(dateInfo => dateInfo.date !== null)
+    .sort((a, b) => a.index - b.index);
+  const purchaseDate = format(dates[0]?.date || today, 'yyyy-MM-dd');
+  const items = [];
+  const skipped = [];
+
+  const firstItemIndex = lines.findIndex(line => PRICE_REGEX.test(line));
+
+  lines.forEach((line, index) => {
+    const priceMatch = line.match(PRICE_REGEX);
+    if (!priceMatch) return;
+
+    const [priceText, leadingMinus, amount, trailingMinus] = priceMatch;
+    const price = Number(amount.replace(',', '.'));
+
+    const skipReason = getSkipReason(line, Boolean(leadingMinus || trailingMinus));
+    if (skipReason) {
+      skipped.push({ text: line, reason: skipReason });
+      return;
+    }
+
+    const multiBuy = line.match(MULTI_BUY_REGEX);
+    const description = line
+      .slice(0, line.length - priceText.length)
+      .replace(MULTI_BUY_REGEX, '')
+      .replace(ITEM_CODE_REGEX, '')
+      .trim();
+
+    if (!/\p{L}{2,}/u.test(description)) {
+      skipped.push({ text: line, reason: 'No product name on this line' });
+      return;
+    }
+
+    const { name, isKnown, category } = expandReceiptName(description, options.dictionary);
+    const parsedQuantity = parseQuantity(description)
+      || (multiBuy ? { amount: Number(multiBuy[1]), unit: 'pcs', text: multiBuy[0] } : null);
+
+    items.push({
+      id: Date.now() + Math.random() + index,
+      name,
+      price,
+      receiptText: line,
+      ...(category && { category }),
+      ...(parsedQuantity ? { quantity: parsedQuantity.text, parsedQuantity } : {}),
+      expiryDate: estimateExpiryDate(name, dates[0]?.date || today, options.dictionary),
+      isExpiryEstimated: true,
+      addedDate: purchaseDate,
+      confidence: isKnown ? 0.8 : 0.4
+    });
+  });
+
+  return {
+    store: findStoreName(lines, firstItemIndex, dates),
+    purchaseDate,
+    items,
+    skipped
+  };
+};
@@ -0,0 +1,242 @@
+// Batch scanning: a queue of photos scanned one after another, merged into one list for review
+import { similarity, tokenize } from './fuzzyMatch.js';
+
+const SAME_NAME_SIMILARITY = 0.85;
+
+// Fallback names given to dates no product name was found for
+const GENERIC_NAME = /^item \d+$/i;
+
+let nextShotId = 1;
+
+/**
+ * Create a scanning session. Photos added with `add` wait in a queue and are
+ * scanned one at a time in the background by `scan(shot, { signal, onProgress })`,
+ * which resolves to a scan result (see scanImage). `onChange(shots)` is called with
+ * a fresh array whenever a shot is added, removed or changes, where each shot is
+ * `{ id, image, preview, status, progress, result, error, ...extra }` and status is
+ * one of 'queued', 'processing', 'done' or 'failed'.
+ */
+export const createScanSession = ({ scan, onChange } = {}) => {
+  let shots = [];
+  let running = false;
+  let current = null;
+
+  const emit = () => onChange?.(shots);
+
+  const update = (id, changes) => {
+    shots = shots.map(shot => (shot.id === id ? { ...shot, ...changes } : shot));
+    emit();
+  };
+
+  const releasePreview = (shot) => {
+    if (shot.preview !== shot.image) URL.revokeObjectURL(shot.preview);
+  };
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    let shot = shots.find(candidate => candidate.status === 'queued');
+    while (shot) {
+      const { id } = shot;
+      const controller = new AbortController();
+      current = { id, controller };
+      update(id, { status: 'processing', progress: 0 });
+
+      try {
+        const result = await scan(shot, {
+          signal: controller.signal,
+          onProgress: ({ progress }) => {
+            if (Number.isFinite(progress)) update(id, { progress });
+          }
+        });
+        update(id, { status: 'done', progress: 1, result });
+      } catch (error) {
+        // Removed shots abort their scan and are already gone from the list
+        if (!controller.signal.aborted) {
+          console.error('Error scanning photo:', error);
+          update(id, { status: 'failed', error: error.message || 'Failed to process image' });
+        }
+      }
+
+      shot = shots.find(candidate => candidate.status === 'queued');
+    }
+
+    current = null;
+    running = false;
+  };
+
+  return {
+    /**
+     * Queue photos (Files, Blobs or data URLs) for scanning; `extra` is stored on
+     * each shot, e.g. `{ mode: 'receipt' }`. Returns the new shots' ids.
+     */
+    add: (images, extra = {}) => {
+      const added = Array.from(images).map(image => ({
+        ...extra,
+        id: `shot-${nextShotId++}`,
+        image,
+        preview: typeof image === 'string' ? image : URL.createObjectURL(image),
+        status: 'queued',
+        progress: 0,
+        result: null,
+        error: null
+      }));
+      shots = [...shots, ...added];
+      emit();
+      run();
+      return added.map(shot => shot.id);
+    },
+
+    // Put a failed shot back in the queue
+    retry: (id) => {
+      update(id, { status: 'queued', progress: 0, error: null });
+      run();
+    },
+
+    // Drop a shot, cancelling its scan when it is the one being processed
+    remove: (id) => {
+      if (current?.id === id) current.controller.abort();
+      shots.filter(shot => shot.id === id).forEach(releasePreview);
+      shots = shots.filter(shot => shot.id !== id);
+      emit();
+    },
+
+    // Drop every shot and stop scanning
+    clear: () => {
+      current?.controller.abort();
+      shots.forEach(releasePreview);
+      shots = [];
+      emit();
+    },
+
+    getShots: () => shots
+  };
+};
+
+/**
+ * Overall state of a session's shots: how many are finished or failed, and
+ * `progress` from 0 to 1 across all of them
+ */
+export const getSessionProgress = (shots) => {
+  const done = shots.filter(shot => shot.status === 'done').length;
+  const failed = shots.filter(shot => shot.status === 'failed').length;
+  const progress = shots.length === 0
+    ? 0
+    : shots.reduce((sum, shot) => sum + (shot.status === 'failed' ? 1 : shot.progress), 0) / shots.length;
+
+  return {
+    total: shots.length,
+    done,
+    failed,
+    pending: shots.length - done - failed,
+    progress
+  };
+};
+
+const nameKey = (name) => tokenize(name).join(' ');
+
+// Items without a date read from the label carry a default or shelf-life estimate
+const hasPrintedDate = (item) => Boolean(item.dateFormat) && !item.isExpiryEstimated;
+
+const isSameProduct = (a, b) => {
+  const isGenericA = GENERIC_NAME.test(a.name);
+  const isGenericB = GENERIC_NAME.test(b.name);
+
+  // Unnamed dates are only the same item when they read the same printed date
+  if (isGenericA || isGenericB) {
+    return isGenericA && isGenericB && a.expiryDate === b.expiryDate && a.dateText === b.dateText;
+  }
+
+  const keyA = nameKey(a.name);
+  const keyB = nameKey(b.name);
+  if (!keyA || !keyB || similarity(keyA, keyB) < SAME_NAME_SIMILARITY) return false;
+
+  // Different printed dates mean different packages of the same product
+  return !hasPrintedDate(a) || !hasPrintedDate(b) || a.expiryDate === b.expiryDate;
+};
+
+const fieldConfidence = (item, field) => item.fieldConfidence?.[field] ?? item.confidence ?? 0;
+
+// Whether `candidate`'s expiry date is a better reading than `current`'s
+const isBetterDate = (candidate, current) => {
+  if (hasPrintedDate(candidate) !== hasPrintedDate(current)) return hasPrintedDate(candidate);
+  return fieldConfidence(candidate, 'expiryDate') > fieldConfidence(current, 'expiryDate');
+};
+
+const DATE_FIELDS = ['expiryDate', 'expiryBasis', 'dateFormat', 'dateText', 'dateAlternatives', 'isDateAmbiguous', 'isExpiryEstimated'];
+
+const pickFields = (item, fields) =>
+  Object.fromEntries(fields.map(field => [field, item[field]]).filter(([, value]) => value !== undefined));
+
+// Combine two readings of one product, keeping the more confident name and date
+const mergeReadings = (merged, reading, source, shotId) => {
+  let item = { ...merged };
+  const nextSource = { ...source, shotIds: [...source.shotIds, shotId] };
+
+  if (fieldConfidence(reading, 'name') > fieldConfidence(item, 'name')) {
+    item.name = reading.name;
+    nextSource.name = shotId;
+  }
+
+  if (isBetterDate(reading, item)) {
+    DATE_FIELDS.forEach(field => delete item[field]);
+    item = { ...item, ...pickFields(reading, DATE_FIELDS) };
+    nextSource.expiryDate = shotId;
+  }
+
+  // Fill in what only the other photo showed
+  ['quantity', 'parsedQuantity', 'category', 'openedShelfLifeDays', 'price', 'receiptText'].forEach(field => {
+    if (item[field] === undefined && reading[field] !== undefined) item[field] = reading[field];
+  });
+
+  item.confidence = Math.max(item.confidence || 0, reading.confidence || 0);
+  if (item.fieldConfidence || reading.fieldConfidence) {
+    item.fieldConfidence = {
+      name: nextSource.name === shotId ? fieldConfidence(reading, 'name') : fieldConfidence(merged, 'name'),
+      expiryDate: nextSource.expiryDate === shotId ? fieldConfidence(reading, 'expiryDate') : fieldConfidence(merged, 'expiryDate')
+    };
+  }
+  item.sourceBoxes = {
+    name: (nextSource.name === shotId ? reading : merged).sourceBoxes?.name || null,
+    expiryDate: (nextSource.expiryDate === shotId ? reading : merged).sourceBoxes?.expiryDate || null
+  };
+
+  return { item, source: nextSource };
+};
+
+/**
+ * Merge the items of every finished shot into one list, folding together the same
+ * product seen in several photos. Items from one photo are never merged with each
+ * other, since a photo can show two packages of the same thing.
+ * Returns `{ items, sources }` where `sources[itemId]` is `{ shotIds, name, expiryDate }`:
+ * the photos the item was seen in and the one each field was read from, so its
+ * `sourceBoxes` can be shown on the right photo.
+ */
+export const mergeScanResults = (shots) => {
+  const merged = [];
+  const sources = {};
+
+  shots
+    .filter(shot => shot.status === 'done' && shot.result)
+    .forEach(shot => {
+      shot.result.items.forEach(reading => {
+        const index = merged.findIndex(item =>
+          !sources[item.id].shotIds.includes(shot.id) && isSameProduct(item, reading)
+        );
+
+        if (index === -1) {
+          merged.push(reading);
+          sources[reading.id] = { shotIds: [shot.id], name: shot.id, expiryDate: shot.id };
+          return;
+        }
+
+        const existing = merged[index];
+        const { item, source } = mergeReadings(existing, reading, sources[existing.id], shot.id);
+        merged[index] = item;
+        sources[existing.id] = source;
+      });
+    });
+
+  return { items: merged, sources };
+};
@@ -0,0 +1,54 @@
+// App settings, kept by the storage backend with a copy in localStorage
+// (settingsStorage) for code that reads them synchronously, like the OCR locale and languages
+import { settingsStorage, getDefaultSettings, STORAGE_KEYS } from './storage.js';
+import { getStorageBackend } from './storageBackends.js';
+
+export const settingsRepository = {
+  // Get the settings from the backend, refreshing the localStorage copy
+  get: async () => {
+    try {
+      const saved = await (await getStorageBackend()).settings.get();
+      if (!saved) return settingsStorage.get();
+
+      const settings = { ...getDefaultSettings(), ...saved };
+      settingsStorage.save(settings);
+      return settings;
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      return settingsStorage.get();
+    }
+  },
+
+  save: async (settings) => {
+    settingsStorage.save(settings);
+    try {
+      await (await getStorageBackend()).settings.save(settings);
+      return true;
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      return false;
+    }
+  },
+
+  reset: async () => {
+    settingsStorage.reset();
+    try {
+      await (await getStorageBackend()).settings.clear();
+      return true;
+    } catch (error) {
+      console.error('Error resetting settings:', error);
+      return false;
+    }
+  },
+
+  // Call `listener` with the new settings whenever another tab changes them (it
+  // writes the localStorage copy, which fires a storage event here); returns a
+  // function that unsubscribes it
+  subscribe: (listener) => {
+    const handleStorage = (event) => {
+      if (event.key === STORAGE_KEYS.SETTINGS || event.key === null) listener(settingsStorage.get());
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }
+};
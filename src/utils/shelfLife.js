@@ -0,0 +1,108 @@
+// Typical shelf life of groceries, used to estimate expiry dates when no expiry date is printed
+import { addDays, format, parseISO, subDays } from 'date-fns';
+import { findProduct } from './productDictionary.js';
+
+/**
+ * Days an item usually keeps when stored as intended, for items not in the product dictionary
+ */
+export const DEFAULT_SHELF_LIFE_DAYS = 7;
+
+/**
+ * Shelf-life rules per product category: days from the day a product was produced
+ * or packed until it should be eaten, for products not in the dictionary, and days
+ * it is still good past its sell-by date
+ */
+export const CATEGORY_SHELF_LIFE = {
+  dairy: { shelfLifeDays: 10, afterSellByDays: 5 },
+  produce: { shelfLifeDays: 7, afterSellByDays: 3 },
+  meat: { shelfLifeDays: 4, afterSellByDays: 2 },
+  bakery: { shelfLifeDays: 5, afterSellByDays: 2 },
+  pantry: { shelfLifeDays: 180, afterSellByDays: 30 },
+  frozen: { shelfLifeDays: 90, afterSellByDays: 30 },
+  beverages: { shelfLifeDays: 30, afterSellByDays: 7 },
+  snacks: { shelfLifeDays: 60, afterSellByDays: 14 },
+  other: { shelfLifeDays: DEFAULT_SHELF_LIFE_DAYS, afterSellByDays: 3 }
+};
+
+/**
+ * Printed date kinds (see DATE_KIND_LABELS) the expiry is worked out from rather than read off
+ */
+export const DERIVED_DATE_KINDS = ['sellBy', 'packed', 'produced'];
+
+/**
+ * Shelf life in days for an item name from its entry in `dictionary` (defaults
+ * to the product dictionary), falling back to DEFAULT_SHELF_LIFE_DAYS
+ */
+export const getShelfLifeDays = (name, dictionary) =>
+  findProduct(String(name || ''), dictionary)?.shelfLifeDays || DEFAULT_SHELF_LIFE_DAYS;
+
+/**
+ * Estimated expiry date (yyyy-MM-dd) for an item bought on `fromDate`
+ */
+export const estimateExpiryDate = (name, fromDate = new Date(), dictionary) =>
+  format(addDays(fromDate, getShelfLifeDays(name, dictionary)), 'yyyy-MM-dd');
+
+const toDay = (date) => (typeof date === 'string' ? parseISO(date) : date);
+
+/**
+ * Expiry date for a date printed on an item, given what kind of date it is.
+ * Expiry dates (and dates of unknown kind) are taken as printed. Sell-by dates
+ * get the grace days of the product's category; production and packing dates the
+ * product's shelf life from the dictionary, or its category's when it is not listed.
+ * `date` is a Date or yyyy-MM-dd string. Returns `{ expiryDate, expiryBasis }` where
+ * `expiryBasis` is `{ kind, days, rule }`, `rule` being 'printed', 'product' or
+ * 'category' (with the `category` used).
+ */
+export const deriveExpiryDate = (date, kind, { name, category, dictionary } = {}) => {
+  const day = toDay(date);
+  if (!DERIVED_DATE_KINDS.includes(kind)) {
+    return { expiryDate: format(day, 'yyyy-MM-dd'), expiryBasis: { kind: kind || null, days: 0, rule: 'printed' } };
+  }
+
+  const product = findProduct(String(name || ''), dictionary);
+  const productCategory = product?.category || category;
+  const ruleCategory = CATEGORY_SHELF_LIFE[productCategory] ? productCategory : 'other';
+  const categoryRule = CATEGORY_SHELF_LIFE[ruleCategory];
+
+  const expiryBasis = kind === 'sellBy' || !product
+    ? {
+        kind,
+        days: kind === 'sellBy' ? categoryRule.afterSellByDays : categoryRule.shelfLifeDays,
+        rule: 'category',
+        category: ruleCategory
+      }
+    : { kind, days: product.shelfLifeDays, rule: 'product' };
+
+  return { expiryDate: format(addDays(day, expiryBasis.days), 'yyyy-MM-dd'), expiryBasis };
+};
+
+/**
+ * The date printed on a scanned item (yyyy-MM-dd) that its expiry was worked out
+ * from, or null for items whose expiry was not derived from a printed date
+ */
+export const getPrintedDate = (item) => {
+  if (!item?.expiryBasis || item.expiryBasis.rule === 'manual' || !item.expiryDate) return null;
+  return format(subDays(parseISO(item.expiryDate), item.expiryBasis.days), 'yyyy-MM-dd');
+};
+
+/**
+ * Changes to a scanned item when the user says its printed date is of another
+ * kind: the expiry and the other readings of the date are worked out again.
+ * Items without a printed date, or whose expiry the user typed in, are left as they are.
+ */
+export const reclassifyPrintedDate = (item, kind, dictionary) => {
+  const printedDate = getPrintedDate(item);
+  if (!printedDate) return {};
+
+  const options = { name: item.name, category: item.category, dictionary };
+  const { expiryDate, expiryBasis } = deriveExpiryDate(printedDate, kind, options);
+  const changes = { expiryDate, expiryBasis };
+
+  if (item.dateAlternatives) {
+    changes.dateAlternatives = item.dateAlternatives.map(alternative => {
+      const printed = subDays(parseISO(alternative), item.expiryBasis.days);
+      return deriveExpiryDate(printed, kind, options).expiryDate;
+    });
+  }
+  return changes;
+};
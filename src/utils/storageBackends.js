@@ -0,0 +1,398 @@
+// Where items, their change log, settings and notifications are persisted: IndexedDB when the
+// browser has it, localStorage otherwise. Both backends keep the same async contract.
+import { STORAGE_KEYS } from './storage.js';
+
+const DB_NAME = 'grocery_tracker';
+const DB_VERSION = 2;
+const ITEMS_STORE = 'items';
+const EVENTS_STORE = 'item_events';
+const SETTINGS_STORE = 'settings';
+const NOTIFICATIONS_STORE = 'notifications';
+const SETTINGS_KEY = 'app';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+/**
+ * Item fields the backends can look items up by
+ */
+export const ITEM_INDEXES = ['expiryDate', 'category', 'location'];
+
+const checkIndex = (index) => {
+  if (!ITEM_INDEXES.includes(index)) throw new Error(`Items are not indexed by ${index}`);
+};
+
+const byExpiryDate = (a, b) => a.expiryDate.localeCompare(b.expiryDate);
+
+/**
+ * Backend over a Storage (window.localStorage by default). Every item write
+ * rewrites the whole item list, so it is only the fallback.
+ *
+ * The contract both backends keep, every method returning a promise:
+ * - `items`: `getAll()`, `get(id)` (null when missing), `put(items)` (insert or
+ *   replace by id), `delete(ids)`, `clear()`, `getByIndex(index, value)` for an
+ *   ITEM_INDEXES field, and `getExpiringBefore(day)`: items with an expiry date
+ *   before the yyyy-MM-dd `day`, soonest first, and `commit({ clear, delete, put },
+ *   events)`: clear the items if `clear`, delete the `delete` ids, put the `put`
+ *   items and append `events` to the change log, all saved or none
+ * - `events`: the item change log, append-only: `getAll()` and `getByItem(itemId)`
+ *   in the order the events were appended, `append(events)`, `clear()`, and
+ *   `logUntracked(createEvent)`: append `createEvent(item)` for every stored item
+ *   with no event yet, checking and appending at once so that calls made together
+ *   log each item once; resolves to how many were logged
+ * - `settings`: `get()` (null when never saved), `save(settings)`, `clear()`
+ * - `notifications`: `getAll()`, `saveAll(notifications)`, `clear()`
+ * - `schema`: `getVersion()` (null when never stamped) and `setVersion(version)`,
+ *   the schema version (see storageMigrations) of the data in the backend
+ */
+export const createLocalStorageBackend = (storage = globalThis.localStorage) => {
+  const read = (key, fallback) => {
+    const value = storage.getItem(key);
+    return value === null ? fallback : JSON.parse(value);
+  };
+  const write = (key, value) => storage.setItem(key, JSON.stringify(value));
+
+  const readItems = () => {
+    const items = read(STORAGE_KEYS.ITEMS, []);
+    if (!Array.isArray(items)) throw new Error('Stored items are not a list');
+    return items;
+  };
+
+  const readEvents = () => {
+    const events = read(STORAGE_KEYS.ITEM_EVENTS, []);
+    if (!Array.isArray(events)) throw new Error('Stored item events are not a list');
+    return events;
+  };
+
+  return {
+    name: 'localStorage',
+
+    items: {
+      getAll: async () => readItems(),
+
+      get: async (id) => readItems().find(item => item.id === id) || null,
+
+      put: async (items) => {
+        const byId = new Map(readItems().map(item => [item.id, item]));
+        items.forEach(item => byId.set(item.id, item));
+        write(STORAGE_KEYS.ITEMS, [...byId.values()]);
+      },
+
+      delete: async (ids) => {
+        const removed = new Set(ids);
+        write(STORAGE_KEYS.ITEMS, readItems().filter(item => !removed.has(item.id)));
+      },
+
+      clear: async () => storage.removeItem(STORAGE_KEYS.ITEMS),
+
+      getByIndex: async (index, value) => {
+        checkIndex(index);
+        return readItems().filter(item => item[index] === value);
+      },
+
+      getExpiringBefore: async (day) =>
+        readItems().filter(item => item.expiryDate && item.expiryDate < day).sort(byExpiryDate),
+
+      commit: async ({ clear = false, delete: deleted = [], put = [] }, events = []) => {
+        const byId = new Map((clear ? [] : readItems()).map(item => [item.id, item]));
+        deleted.forEach(id => byId.delete(id));
+        put.forEach(item => byId.set(item.id, item));
+        const itemsValue = JSON.stringify([...byId.values()]);
+        const eventsValue = JSON.stringify([...readEvents(), ...events]);
+
+        // Put the items back as they were when the log cannot be written (storage full, say)
+        const previousItems = storage.getItem(STORAGE_KEYS.ITEMS);
+        storage.setItem(STORAGE_KEYS.ITEMS, itemsValue);
+        try {
+          storage.setItem(STORAGE_KEYS.ITEM_EVENTS, eventsValue);
+        } catch (error) {
+          if (previousItems === null) storage.removeItem(STORAGE_KEYS.ITEMS);
+          else storage.setItem(STORAGE_KEYS.ITEMS, previousItems);
+          throw error;
+        }
+      }
+    },
+
+    events: {
+      getAll: async () => readEvents(),
+      getByItem: async (itemId) => readEvents().filter(event => event.itemId === itemId),
+      append: async (events) => write(STORAGE_KEYS.ITEM_EVENTS, [...readEvents(), ...events]),
+      clear: async () => storage.removeItem(STORAGE_KEYS.ITEM_EVENTS),
+      logUntracked: async (createEvent) => {
+        const events = readEvents();
+        const tracked = new Set(events.map(event => event.itemId));
+        const logged = readItems().filter(item => !tracked.has(item.id)).map(createEvent);
+        if (logged.length) write(STORAGE_KEYS.ITEM_EVENTS, [...events, ...logged]);
+        return logged.length;
+      }
+    },
+
+    settings: {
+      get: async () => read(STORAGE_KEYS.SETTINGS, null),
+      save: async (settings) => write(STORAGE_KEYS.SETTINGS, settings),
+      clear: async () => storage.removeItem(STORAGE_KEYS.SETTINGS)
+    },
+
+    notifications: {
+      getAll: async () => read(STORAGE_KEYS.NOTIFICATIONS, []),
+      saveAll: async (notifications) => write(STORAGE_KEYS.NOTIFICATIONS, notifications),
+      clear: async () => storage.removeItem(STORAGE_KEYS.NOTIFICATIONS)
+    },
+
+    schema: {
+      getVersion: async () => {
+        const version = storage.getItem(STORAGE_KEYS.SCHEMA_VERSION);
+        return version === null ? null : Number(version);
+      },
+      setVersion: async (version) => storage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(version))
+    }
+  };
+};
+
+/**
+ * Backend over IndexedDB (the browser's by default), with items indexed by
+ * ITEM_INDEXES so lookups by those fields do not read every item. Events get
+ * increasing keys, which keep them in the order appended. Keeps the contract
+ * described at createLocalStorageBackend.
+ */
+export const createIndexedDBBackend = ({ indexedDB = globalThis.indexedDB, name = DB_NAME } = {}) => {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(ITEMS_STORE)) {
+            const items = db.createObjectStore(ITEMS_STORE, { keyPath: 'id' });
+            ITEM_INDEXES.forEach(index => items.createIndex(index, index));
+          }
+          if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+            const events = db.createObjectStore(EVENTS_STORE, { autoIncrement: true });
+            events.createIndex('itemId', 'itemId');
+          }
+          if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+            db.createObjectStore(SETTINGS_STORE);
+          }
+          if (!db.objectStoreNames.contains(NOTIFICATIONS_STORE)) {
+            db.createObjectStore(NOTIFICATIONS_STORE, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let the next call retry instead of caching a failed open
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Run requests against one store, or several (`storeName` a list, each passed to
+   * `createRequests` in turn), in a single transaction and resolve with the result of
+   * the last one once the transaction completes. When a request cannot be made the
+   * transaction is aborted, so the requests made before it are not saved either.
+   */
+  const run = async (storeName, mode, createRequests) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const stores = [].concat(storeName).map(name => transaction.objectStore(name));
+      let requests;
+      try {
+        requests = [].concat(createRequests(...stores));
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+        return;
+      }
+      transaction.oncomplete = () => resolve(requests[requests.length - 1]?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+
+    // Open the database up front, so a browser that refuses IndexedDB is noticed
+    open: async () => {
+      await openDatabase();
+    },
+
+    items: {
+      getAll: () => run(ITEMS_STORE, 'readonly', store => store.getAll()),
+
+      get: async (id) => (await run(ITEMS_STORE, 'readonly', store => store.get(id))) || null,
+
+      put: async (items) => {
+        if (items.length) await run(ITEMS_STORE, 'readwrite', store => items.map(item => store.put(item)));
+      },
+
+      delete: async (ids) => {
+        if (ids.length) await run(ITEMS_STORE, 'readwrite', store => ids.map(id => store.delete(id)));
+      },
+
+      clear: async () => {
+        await run(ITEMS_STORE, 'readwrite', store => store.clear());
+      },
+
+      getByIndex: async (index, value) => {
+        checkIndex(index);
+        return run(ITEMS_STORE, 'readonly', store => store.index(index).getAll(value));
+      },
+
+      // Items without an expiry date are stored with '' and fall outside the range
+      getExpiringBefore: (day) =>
+        run(ITEMS_STORE, 'readonly', store => store.index('expiryDate').getAll(IDBKeyRange.bound('', day, true, true))),
+
+      commit: async ({ clear = false, delete: deleted = [], put = [] }, events = []) => {
+        await run([ITEMS_STORE, EVENTS_STORE], 'readwrite', (items, log) => [
+          ...(clear ? [items.clear()] : []),
+          ...deleted.map(id => items.delete(id)),
+          ...put.map(item => items.put(item)),
+          ...events.map(event => log.add(event))
+        ]);
+      }
+    },
+
+    events: {
+      getAll: () => run(EVENTS_STORE, 'readonly', store => store.getAll()),
+      getByItem: (itemId) => run(EVENTS_STORE, 'readonly', store => store.index('itemId').getAll(itemId)),
+      append: async (events) => {
+        if (events.length) await run(EVENTS_STORE, 'readwrite', store => events.map(event => store.add(event)));
+      },
+      clear: async () => {
+        await run(EVENTS_STORE, 'readwrite', store => store.clear());
+      },
+      // The ids of the items with events are read in the transaction that appends
+      logUntracked: async (createEvent) => {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+          const transaction = db.transaction([ITEMS_STORE, EVENTS_STORE], 'readwrite');
+          const log = transaction.objectStore(EVENTS_STORE);
+          const itemsRequest = transaction.objectStore(ITEMS_STORE).getAll();
+          const trackedRequest = log.index('itemId').openKeyCursor(null, 'nextunique');
+          const tracked = new Set();
+          let count = 0;
+          trackedRequest.onsuccess = () => {
+            const cursor = trackedRequest.result;
+            if (cursor) {
+              tracked.add(cursor.key);
+              cursor.continue();
+              return;
+            }
+            try {
+              const untracked = itemsRequest.result.filter(item => !tracked.has(item.id));
+              untracked.forEach(item => log.add(createEvent(item)));
+              count = untracked.length;
+            } catch (error) {
+              transaction.abort();
+              reject(error);
+            }
+          };
+          transaction.oncomplete = () => resolve(count);
+          transaction.onerror = () => reject(transaction.error);
+          transaction.onabort = () => reject(transaction.error);
+        });
+      }
+    },
+
+    settings: {
+      get: async () => (await run(SETTINGS_STORE, 'readonly', store => store.get(SETTINGS_KEY))) || null,
+      save: async (settings) => {
+        await run(SETTINGS_STORE, 'readwrite', store => store.put(settings, SETTINGS_KEY));
+      },
+      clear: async () => {
+        await run(SETTINGS_STORE, 'readwrite', store => store.delete(SETTINGS_KEY));
+      }
+    },
+
+    notifications: {
+      getAll: () => run(NOTIFICATIONS_STORE, 'readonly', store => store.getAll()),
+      saveAll: async (notifications) => {
+        await run(NOTIFICATIONS_STORE, 'readwrite', store => [
+          store.clear(),
+          ...notifications.map(notification => store.put(notification))
+        ]);
+      },
+      clear: async () => {
+        await run(NOTIFICATIONS_STORE, 'readwrite', store => store.clear());
+      }
+    },
+
+    // Kept next to the settings, under a key of its own
+    schema: {
+      getVersion: async () => (await run(SETTINGS_STORE, 'readonly', store => store.get(SCHEMA_VERSION_KEY))) ?? null,
+      setVersion: async (version) => {
+        await run(SETTINGS_STORE, 'readwrite', store => store.put(version, SCHEMA_VERSION_KEY));
+      }
+    }
+  };
+};
+
+/**
+ * Copy items, item events, settings and notifications kept in `storage`
+ * (localStorage by default) into `backend`, then drop the localStorage items,
+ * events and notifications so they are moved only once. Settings stay in
+ * localStorage as well, for code that reads them synchronously. Only data at schema
+ * `version` moves, and only into a backend at that version or a new one, which is
+ * stamped with it: data the migrations did not upgrade stays where it is, untouched.
+ * Resolves to whether the data was moved.
+ */
+export const moveLocalStorageData = async (backend, { storage = globalThis.localStorage, version }) => {
+  const source = createLocalStorageBackend(storage);
+  const backendVersion = await backend.schema.getVersion();
+  if ((await source.schema.getVersion()) !== version) return false;
+  if (backendVersion !== null && backendVersion !== version) return false;
+
+  const hasItems = storage.getItem(STORAGE_KEYS.ITEMS) !== null;
+  const hasEvents = storage.getItem(STORAGE_KEYS.ITEM_EVENTS) !== null;
+  const hasNotifications = storage.getItem(STORAGE_KEYS.NOTIFICATIONS) !== null;
+
+  if (hasItems) {
+    await backend.items.put(await source.items.getAll());
+  }
+  if (hasEvents) {
+    await backend.events.append(await source.events.getAll());
+  }
+  if (hasNotifications) {
+    await backend.notifications.saveAll(await source.notifications.getAll());
+  }
+  const settings = await source.settings.get();
+  if (settings && !(await backend.settings.get())) {
+    await backend.settings.save(settings);
+  }
+
+  if (hasItems) storage.removeItem(STORAGE_KEYS.ITEMS);
+  if (hasEvents) storage.removeItem(STORAGE_KEYS.ITEM_EVENTS);
+  if (hasNotifications) storage.removeItem(STORAGE_KEYS.NOTIFICATIONS);
+  if (backendVersion === null) await backend.schema.setVersion(version);
+  return true;
+};
+
+let backendPromise = null;
+
+/**
+ * The backend this browser stores data in: IndexedDB, or localStorage when
+ * IndexedDB cannot be opened (private browsing in some browsers, or an old one).
+ * Data is upgraded and moved from localStorage into it by runStorageMigrations.
+ */
+export const getStorageBackend = () => {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (typeof indexedDB !== 'undefined') {
+        try {
+          const backend = createIndexedDBBackend();
+          await backend.open();
+          return backend;
+        } catch (error) {
+          console.warn('IndexedDB is not available, storing data in localStorage:', error);
+        }
+      }
+      return createLocalStorageBackend();
+    })();
+  }
+  return backendPromise;
+};
@@ -0,0 +1,288 @@
+// Versioned storage schema: upgrades persisted items, settings and notifications
+// step by step when the app starts
+import { format, isValid, parseISO } from 'date-fns';
+import { STORAGE_KEYS, generateId, getDefaultSettings } from './storage.js';
+import { getStorageBackend, moveLocalStorageData } from './storageBackends.js';
+
+// Keys the migrations read and write
+const MIGRATED_KEYS = {
+  items: STORAGE_KEYS.ITEMS,
+  legacyItems: STORAGE_KEYS.LEGACY_ITEMS,
+  settings: STORAGE_KEYS.SETTINGS,
+  notifications: STORAGE_KEYS.NOTIFICATIONS
+};
+
+const toTimestamp = (value) => {
+  if (!value) return '';
+  const date = typeof value === 'string' ? parseISO(value) : new Date(value);
+  return isValid(date) ? date.toISOString() : '';
+};
+
+// Item fields version 2 replaced: creation times now live in createdAt, and
+// expiry status is worked out from expiryDate when needed
+const RETIRED_ITEM_FIELDS = ['dateAdded', 'addedAt', 'isExpired', 'isExpiringSoon'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Defaults filled in under settings the user saved, keeping what they chose
+const mergeDefaults = (defaults, saved) => {
+  if (!isPlainObject(saved)) return defaults;
+  const merged = { ...saved };
+  Object.entries(defaults).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) ? mergeDefaults(value, saved[key]) : (saved[key] ?? value);
+  });
+  return merged;
+};
+
+/**
+ * Schema migrations in order. Each takes the stored state
+ * `{ items, legacyItems, settings, notifications }` (null for keys that are not
+ * stored) and returns the state of its `version`. Add a step here, with the next
+ * version, whenever the shape of stored data changes; never change a released step.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fold items saved under groceryItems into grocery_items',
+    migrate: (state) => {
+      if (!state.legacyItems) return state;
+      if (!Array.isArray(state.legacyItems)) throw new Error('Legacy items are not a list');
+
+      const items = state.items || [];
+      const knownIds = new Set(items.map(item => String(item.id)));
+      const moved = state.legacyItems.filter(item => item?.name && !knownIds.has(String(item.id)));
+      return { ...state, items: [...items, ...moved], legacyItems: null };
+    }
+  },
+  {
+    version: 2,
+    description: 'Item timestamps in createdAt, quantities as text, no stored expiry flags',
+    migrate: (state) => {
+      if (!state.items) return state;
+      if (!Array.isArray(state.items)) throw new Error('Items are not a list');
+
+      const items = state.items.map(item => {
+        const createdAt = toTimestamp(item.createdAt) || toTimestamp(item.dateAdded) || toTimestamp(item.addedAt) ||
+          new Date().toISOString();
+        const upgraded = { ...item };
+        RETIRED_ITEM_FIELDS.forEach(field => delete upgraded[field]);
+        return {
+          ...upgraded,
+          id: item.id !== undefined && item.id !== null && item.id !== '' ? String(item.id) : generateId(),
+          addedDate: item.addedDate || format(parseISO(createdAt), 'yyyy-MM-dd'),
+          quantity: item.quantity === undefined || item.quantity === null ? '' : String(item.quantity),
+          createdAt,
+          updatedAt: toTimestamp(item.updatedAt) || createdAt
+        };
+      });
+      return { ...state, items };
+    }
+  },
+  {
+    version: 3,
+    description: 'Settings filled in with new defaults, notifications with ids',
+    migrate: (state) => {
+      const notifications = state.notifications || [];
+      if (!Array.isArray(notifications)) throw new Error('Notifications are not a list');
+
+      return {
+        ...state,
+        settings: state.settings ? mergeDefaults(getDefaultSettings(), state.settings) : null,
+        notifications: notifications.map(notification => ({
+          ...notification,
+          id: notification.id || generateId(),
+          createdAt: toTimestamp(notification.createdAt) || new Date().toISOString()
+        }))
+      };
+    }
+  }
+];
+
+/**
+ * Version of the stored data this build of the app reads
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run the given migration steps over `state`. Returns the migrated state, or
+ * throws an error naming the step that failed.
+ */
+export const migrateState = (state, fromVersion, migrations = MIGRATIONS) =>
+  migrations
+    .filter(step => step.version > fromVersion)
+    .reduce((current, step) => {
+      try {
+        return step.migrate(current);
+      } catch (error) {
+        throw new Error(`Migration to version ${step.version} (${step.description}) failed: ${error.message}`);
+      }
+    }, state);
+
+const readStoredState = () => {
+  const raw = {};
+  const state = {};
+  Object.entries(MIGRATED_KEYS).forEach(([name, key]) => {
+    raw[key] = localStorage.getItem(key);
+    try {
+      state[name] = raw[key] === null ? null : JSON.parse(raw[key]);
+    } catch {
+      throw new Error(`Stored data under ${key} is not readable`);
+    }
+  });
+  return { raw, state };
+};
+
+const writeRaw = (raw) => {
+  Object.entries(raw).forEach(([key, value]) => {
+    if (value === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+  });
+};
+
+/**
+ * The stored data as it was before the last migration:
+ * `{ fromVersion, createdAt, data: { [storage key]: raw string or null } }`, or null
+ */
+export const getMigrationBackup = () => {
+  try {
+    const backup = localStorage.getItem(STORAGE_KEYS.MIGRATION_BACKUP);
+    return backup ? JSON.parse(backup) : null;
+  } catch (error) {
+    console.error('Error getting migration backup:', error);
+    return null;
+  }
+};
+
+// Databases made before their schema version was kept in them hold version 3 data
+const UNSTAMPED_BACKEND_VERSION = 3;
+
+// Bring the data kept under localStorage keys up to `toVersion`, as runStorageMigrations does
+const migrateLocalStorage = (migrations, toVersion) => {
+  const storedVersion = localStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION);
+  const fromVersion = Number(storedVersion) || 0;
+  const result = { ok: true, fromVersion, toVersion: fromVersion, applied: [], error: null };
+
+  if (fromVersion > toVersion) {
+    return { ...result, ok: false, error: `Stored data is from a newer version of the app (schema ${fromVersion})` };
+  }
+  if (fromVersion === toVersion) return result;
+
+  let raw;
+  try {
+    const stored = readStoredState();
+    raw = stored.raw;
+
+    if (storedVersion === null && Object.values(raw).every(value => value === null)) {
+      localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(toVersion));
+      return { ...result, toVersion };
+    }
+
+    const migrated = migrateState(stored.state, fromVersion, migrations);
+    localStorage.setItem(STORAGE_KEYS.MIGRATION_BACKUP, JSON.stringify({
+      fromVersion,
+      createdAt: new Date().toISOString(),
+      data: raw
+    }));
+
+    writeRaw(Object.fromEntries(Object.entries(MIGRATED_KEYS).map(([name, key]) => [
+      key,
+      migrated[name] === null || migrated[name] === undefined ? null : JSON.stringify(migrated[name])
+    ])));
+    localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(toVersion));
+
+    return {
+      ...result,
+      toVersion,
+      applied: migrations.filter(step => step.version > fromVersion).map(step => step.version)
+    };
+  } catch (error) {
+    console.error('Error migrating stored data:', error);
+    // A write that failed part way (storage full, say) is rolled back
+    if (raw) {
+      try {
+        writeRaw(raw);
+      } catch (restoreError) {
+        console.error('Error restoring data after failed migration:', restoreError);
+      }
+    }
+    return { ...result, ok: false, error: error.message };
+  }
+};
+
+const writeBackendState = async (backend, { items, settings, notifications }) => {
+  await backend.items.commit({ clear: true, put: items });
+  if (settings) await backend.settings.save(settings);
+  else await backend.settings.clear();
+  await backend.notifications.saveAll(notifications);
+};
+
+// Bring the data in `backend` up to `toVersion` through its own reads and writes;
+// resolves with the versions migrated to, or throws with nothing changed
+const migrateBackend = async (backend, migrations, toVersion) => {
+  const stampedVersion = await backend.schema.getVersion();
+  const fromVersion = stampedVersion ?? UNSTAMPED_BACKEND_VERSION;
+  if (fromVersion > toVersion) {
+    throw new Error(`Stored data is from a newer version of the app (schema ${fromVersion})`);
+  }
+  if (fromVersion === toVersion) {
+    if (stampedVersion === null) await backend.schema.setVersion(toVersion);
+    return [];
+  }
+
+  const stored = {
+    items: await backend.items.getAll(),
+    legacyItems: null,
+    settings: await backend.settings.get(),
+    notifications: await backend.notifications.getAll()
+  };
+  const migrated = migrateState(stored, fromVersion, migrations);
+  try {
+    await writeBackendState(backend, {
+      items: migrated.items || [],
+      settings: migrated.settings,
+      notifications: migrated.notifications || []
+    });
+    await backend.schema.setVersion(toVersion);
+  } catch (error) {
+    // Put back what was there before the writes that went through
+    try {
+      await writeBackendState(backend, stored);
+    } catch (restoreError) {
+      console.error('Error restoring data after failed migration:', restoreError);
+    }
+    throw error;
+  }
+  return migrations.filter(step => step.version > fromVersion).map(step => step.version);
+};
+
+/**
+ * Bring stored data up to SCHEMA_VERSION (or the last of `migrations`, when given)
+ * and into the storage backend. Run it before anything else reads or writes stored
+ * data. Data under localStorage keys is migrated first: data without a version
+ * stamp is version 0, and a fresh install is just stamped. Before migrating it, the
+ * stored data is backed up (see getMigrationBackup). Then the data already in the
+ * backend is migrated from the version stamped in it, and what localStorage held
+ * is moved into the backend. When a step fails nothing is written, and data
+ * stored by a newer version of the app is left alone; either way nothing is moved.
+ * Resolves to `{ ok, fromVersion, toVersion, applied, error }`, `fromVersion` being
+ * the version of the localStorage data, `applied` listing the versions migrated to
+ * and `error` saying what went wrong when `ok` is false.
+ */
+export const runStorageMigrations = async ({ migrations = MIGRATIONS } = {}) => {
+  const toVersion = migrations[migrations.length - 1].version;
+  const result = migrateLocalStorage(migrations, toVersion);
+  if (!result.ok) return result;
+
+  try {
+    const backend = await getStorageBackend();
+    const applied = await migrateBackend(backend, migrations, toVersion);
+    // The localStorage backend keeps its data where the migrations above found it
+    if (backend.name !== 'localStorage') {
+      await moveLocalStorageData(backend, { version: toVersion });
+    }
+    return { ...result, toVersion, applied: [...new Set([...result.applied, ...applied])].sort((a, b) => a - b) };
+  } catch (error) {
+    console.error('Error migrating stored data:', error);
+    return { ...result, ok: false, error: error.message };
+  }
+};
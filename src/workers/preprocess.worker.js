@@ -0,0 +1,14 @@
+// Runs the image preprocessing chain off the main thread
+import { runPreprocessing } from '../utils/imageFilters.js';
+
+self.onmessage = ({ data: { id, image } }) => {
+  try {
+    const { rotation, stages } = runPreprocessing(image);
+    const transfer = stages
+      .filter(stage => stage.image !== image)
+      .map(stage => stage.image.data.buffer);
+    self.postMessage({ id, rotation, stages }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Preprocessing failed' });
+  }
+};
@@ -1,10 +1,21 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { viteStaticCopy } from 'vite-plugin-static-copy'
 import path from 'path'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Ship the OCR worker, WASM core and language data with the app so scanning works offline
+    viteStaticCopy({
+      targets: [
+        { src: 'node_modules/tesseract.js/dist/worker.min.js', dest: 'ocr' },
+        { src: 'node_modules/tesseract.js-core/tesseract-core*-lstm.wasm.js', dest: 'ocr/core' },
+        { src: 'node_modules/@tesseract.js-data/*/4.0.0_best_int/*.traineddata.gz', dest: 'ocr/lang' },
+      ],
+    }),
+  ],
   server: {
     allowedHosts: true
   },
@@ -21,4 +32,4 @@ export default defineConfig({
       },
     },
   },
-}) 
\ No newline at end of file
+})